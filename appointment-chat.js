@@ -0,0 +1,258 @@
+// appointment-chat.js - Customer <-> garage chat on an appointment for Top Autocare Garage
+// Messages live in appointments/{id}/messages (realtime). Attachments are uploaded with
+// storageUtils.uploadFile under appointments/{id}/messages/. Opening the chat stamps readAt
+// on the other side's messages (read receipts); notifyAppointmentMessage alerts them of new ones.
+// Only garage staff set senderName (firestore.rules); customer messages show customerName.
+// Usage: import { mountAppointmentChat } from './appointment-chat.js';
+//        const chat = mountAppointmentChat(db, { container, appointmentId, user, role: 'admin', senderName, customerName });
+//        chat.destroy(); // stop listening
+//        await sendAppointmentMessage(db, { appointmentId, user, role: 'customer', text, files });
+
+const STORAGE_URL = /^https:\/\/firebasestorage\.googleapis\.com\//;
+
+import {
+  collection,
+  query,
+  orderBy,
+  limitToLast,
+  onSnapshot,
+  addDoc,
+  updateDoc,
+  serverTimestamp
+} from 'https://www.gstatic.com/firebasejs/10.7.1/firebase-firestore.js';
+import { storageUtils } from './scripts/firebase-utils.js';
+import { utils } from './config.js';
+
+const MESSAGE_LIMIT = 200;
+const MAX_TEXT_LENGTH = 2000;
+const MAX_ATTACHMENTS = 5;
+const MAX_FILE_BYTES = 10 * 1024 * 1024; // Matches storage.rules
+const ALLOWED_TYPES = /^(image\/.+|application\/pdf)$/;
+
+function formatMessageTime(timestamp) {
+  const date = timestamp?.toDate ? timestamp.toDate() : null;
+  if (!date) return 'Sending...';
+  const sameDay = date.toDateString() === new Date().toDateString();
+  return sameDay
+    ? date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
+    : date.toLocaleString([], { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+}
+
+function renderAttachment(attachment) {
+  const name = utils.escapeHtml(attachment.name || 'Attachment');
+  // Only our own Storage uploads become images/links (no tracking pixels or javascript: URLs)
+  if (!STORAGE_URL.test(String(attachment.url))) return `<span class="chat-file"><i class="fas fa-file"></i> ${name}</span>`;
+  const url = utils.escapeHtml(attachment.url);
+  if (String(attachment.contentType).startsWith('image/')) {
+    return `<a href="${url}" target="_blank" rel="noopener"><img class="chat-image" src="${url}" alt="${name}" loading="lazy"></a>`;
+  }
+  return `<a class="chat-file" href="${url}" target="_blank" rel="noopener"><i class="fas fa-file-pdf"></i> ${name}</a>`;
+}
+
+function renderMessage(message, role, customerName) {
+  const mine = message.senderRole === role;
+  const receipt = mine
+    ? `<span class="chat-receipt${message.readAt ? ' read' : ''}" title="${message.readAt ? `Seen ${formatMessageTime(message.readAt)}` : 'Delivered'}">
+         <i class="fas ${message.readAt ? 'fa-check-double' : 'fa-check'}"></i>
+       </span>`
+    : '';
+  return `
+    <div class="chat-message ${mine ? 'mine' : 'theirs'}">
+      ${mine ? '' : `<div class="chat-sender">${utils.escapeHtml(message.senderRole === 'admin' ? message.senderName || 'Top Autocare' : customerName || 'Customer')}</div>`}
+      ${message.text ? `<div class="chat-text">${utils.escapeHtml(message.text)}</div>` : ''}
+      ${(message.attachments || []).map(renderAttachment).join('')}
+      <div class="chat-meta">${formatMessageTime(message.createdAt)} ${receipt}</div>
+    </div>
+  `;
+}
+
+// Upload picked files; returns attachment entries for the message doc
+async function uploadAttachments(appointmentId, files) {
+  return Promise.all(files.map(async (file) => {
+    const path = `appointments/${appointmentId}/messages/${Date.now()}-${file.name.replace(/[^A-Za-z0-9._-]/g, '_')}`;
+    const url = await storageUtils.uploadFile(file, path);
+    return { name: file.name, url, path, contentType: file.type, size: file.size };
+  }));
+}
+
+// Post a message (with optional attachments) outside the chat panel, e.g. a photo shared
+// into book-appointment.html once the booking exists
+export async function sendAppointmentMessage(db, { appointmentId, user, role, senderName, text = '', files = [] }) {
+  const allowed = files.filter((file) => ALLOWED_TYPES.test(file.type) && file.size < MAX_FILE_BYTES).slice(0, MAX_ATTACHMENTS);
+  const attachments = await uploadAttachments(appointmentId, allowed);
+  return addDoc(collection(db, 'appointments', appointmentId, 'messages'), {
+    senderId: user.uid,
+    senderRole: role,
+    senderName: role === 'admin' ? senderName || null : null,
+    text: text.slice(0, MAX_TEXT_LENGTH),
+    attachments,
+    readAt: null,
+    createdAt: serverTimestamp()
+  });
+}
+
+// role: 'customer' | 'admin' (which side of the conversation this page is)
+export function mountAppointmentChat(db, { container, appointmentId, user, role, senderName, customerName }) {
+  const messagesRef = collection(db, 'appointments', appointmentId, 'messages');
+  let pendingFiles = [];
+
+  container.innerHTML = `
+    <h3><i class="fas fa-comments"></i> ${role === 'admin' ? 'Messages with Customer' : 'Messages with the Garage'}</h3>
+    <div class="chat-messages" aria-live="polite">
+      <div class="chat-empty">Loading messages...</div>
+    </div>
+    <form class="chat-form">
+      <textarea class="chat-input" maxlength="${MAX_TEXT_LENGTH}" rows="2" placeholder="Write a message..."></textarea>
+      <div class="chat-form-actions">
+        <label class="chat-attach" title="Attach photos or PDFs">
+          <i class="fas fa-paperclip"></i>
+          <input type="file" accept="image/*,application/pdf" multiple hidden>
+        </label>
+        <span class="chat-files"></span>
+        <button type="submit" class="btn btn-primary chat-send"><i class="fas fa-paper-plane"></i> Send</button>
+      </div>
+    </form>
+  `;
+  container.classList.add('open');
+
+  const list = container.querySelector('.chat-messages');
+  const form = container.querySelector('.chat-form');
+  const input = container.querySelector('.chat-input');
+  const fileInput = container.querySelector('input[type="file"]');
+  const fileLabel = container.querySelector('.chat-files');
+  const sendBtn = container.querySelector('.chat-send');
+  let latestDocs = [];
+
+  // Read receipts: only while the page is actually being looked at
+  function markRead() {
+    if (document.visibilityState !== 'visible') return;
+    latestDocs
+      .filter((messageDoc) => messageDoc.data().senderRole !== role && !messageDoc.data().readAt)
+      .forEach((messageDoc) => {
+        updateDoc(messageDoc.ref, { readAt: serverTimestamp() })
+          .catch((error) => console.warn('Read receipt failed:', error));
+      });
+  }
+
+  const unsubscribe = onSnapshot(query(messagesRef, orderBy('createdAt'), limitToLast(MESSAGE_LIMIT)), (snapshot) => {
+    latestDocs = snapshot.docs;
+    const nearBottom = list.scrollHeight - list.scrollTop - list.clientHeight < 80;
+    list.innerHTML = snapshot.empty
+      ? `<div class="chat-empty">No messages yet. ${role === 'admin' ? 'Send the customer an update.' : 'Questions about this booking? Ask the garage here.'}</div>`
+      : snapshot.docs.map((messageDoc) => renderMessage(messageDoc.data(), role, customerName)).join('');
+    if (nearBottom || snapshot.docChanges().some((change) => change.type === 'added' && change.doc.data().senderId === user.uid)) {
+      list.scrollTop = list.scrollHeight;
+    }
+    markRead();
+  }, (error) => {
+    console.error('Chat listener error:', error);
+    list.innerHTML = '<div class="chat-empty">Messages could not be loaded.</div>';
+  });
+
+  document.addEventListener('visibilitychange', markRead);
+
+  fileInput.addEventListener('change', () => {
+    const picked = Array.from(fileInput.files);
+    const rejected = picked.filter((file) => !ALLOWED_TYPES.test(file.type) || file.size >= MAX_FILE_BYTES);
+    pendingFiles = picked.filter((file) => !rejected.includes(file)).slice(0, MAX_ATTACHMENTS);
+    fileLabel.textContent = [
+      pendingFiles.length ? `${pendingFiles.length} file${pendingFiles.length === 1 ? '' : 's'} attached` : '',
+      rejected.length ? `${rejected.length} skipped (images/PDF under 10MB only)` : '',
+      picked.length - rejected.length > MAX_ATTACHMENTS ? `max ${MAX_ATTACHMENTS} per message` : ''
+    ].filter(Boolean).join(', ');
+  });
+
+  input.addEventListener('keydown', (event) => {
+    if (event.key === 'Enter' && !event.shiftKey) {
+      event.preventDefault();
+      form.requestSubmit();
+    }
+  });
+
+  form.addEventListener('submit', async (event) => {
+    event.preventDefault();
+    const text = input.value.trim();
+    if (!text && pendingFiles.length === 0) return;
+
+    sendBtn.disabled = true;
+    sendBtn.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Sending...';
+    try {
+      await sendAppointmentMessage(db, { appointmentId, user, role, senderName, text, files: pendingFiles });
+      input.value = '';
+      fileInput.value = '';
+      pendingFiles = [];
+      fileLabel.textContent = '';
+    } catch (error) {
+      console.error('Send message error:', error);
+      fileLabel.textContent = 'Message not sent. Please try again.';
+    } finally {
+      sendBtn.disabled = false;
+      sendBtn.innerHTML = '<i class="fas fa-paper-plane"></i> Send';
+    }
+  });
+
+  return {
+    destroy() {
+      unsubscribe();
+      document.removeEventListener('visibilitychange', markRead);
+    }
+  };
+}
+
+const style = document.createElement('style');
+style.textContent = `
+  .chat-panel {
+    display: none;
+    background: rgba(51, 51, 51, 0.3);
+    padding: 1.25rem;
+    border-radius: 8px;
+    border-left: 4px solid #d4af37;
+    margin-bottom: 1.5rem;
+  }
+  .chat-panel.open { display: block; }
+  .chat-panel h3 { color: #d4af37; font-size: 1.1rem; margin-bottom: 1rem; }
+  .chat-messages {
+    display: flex;
+    flex-direction: column;
+    gap: 0.75rem;
+    max-height: 420px;
+    overflow-y: auto;
+    padding: 0.5rem 0.25rem;
+    margin-bottom: 1rem;
+  }
+  .chat-empty { color: #888; font-size: 0.9rem; text-align: center; padding: 1rem; }
+  .chat-message {
+    max-width: 80%;
+    padding: 0.6rem 0.85rem;
+    border-radius: 10px;
+    background: rgba(42, 42, 42, 0.9);
+    border: 1px solid #333;
+    color: #fff;
+    font-size: 0.9rem;
+    word-wrap: break-word;
+  }
+  .chat-message.mine { align-self: flex-end; background: rgba(212, 175, 55, 0.15); border-color: rgba(212, 175, 55, 0.4); }
+  .chat-message.theirs { align-self: flex-start; }
+  .chat-sender { color: #d4af37; font-size: 0.75rem; font-weight: 600; margin-bottom: 0.25rem; }
+  .chat-text { white-space: pre-wrap; }
+  .chat-image { display: block; max-width: 220px; max-height: 220px; border-radius: 6px; margin-top: 0.5rem; }
+  .chat-file { display: inline-flex; gap: 0.4rem; align-items: center; color: #d4af37; margin-top: 0.5rem; }
+  .chat-meta { color: #888; font-size: 0.7rem; margin-top: 0.3rem; text-align: right; }
+  .chat-receipt.read { color: #4CAF50; }
+  .chat-input {
+    width: 100%;
+    padding: 0.75rem;
+    border-radius: 6px;
+    border: 1px solid #333;
+    background: #121212;
+    color: #fff;
+    font-family: inherit;
+    font-size: 0.9rem;
+    resize: vertical;
+  }
+  .chat-form-actions { display: flex; align-items: center; gap: 0.75rem; margin-top: 0.5rem; }
+  .chat-attach { color: #BDBDBD; cursor: pointer; font-size: 1.1rem; }
+  .chat-attach:hover { color: #d4af37; }
+  .chat-files { flex: 1; color: #BDBDBD; font-size: 0.8rem; }
+`;
+document.head.appendChild(style);
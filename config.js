@@ -23,6 +23,10 @@ export const environment = {
     }
     return 'https://top-autocare.firebaseio.com'; // Firebase or production API
   },
+  // HTTP Cloud Functions (the emulator when running locally)
+  functionsUrl: (name) => environment.isDevelopment()
+    ? `http://127.0.0.1:5001/${firebaseConfig.projectId}/us-central1/${name}`
+    : `https://us-central1-${firebaseConfig.projectId}.cloudfunctions.net/${name}`,
   offlineFallbackUrl: '/offline.html',
   defaultRedirectUrl: '/dashboard.html',
   adminRedirectUrl: '/admin.html',
@@ -64,10 +68,23 @@ export const appConstants = {
   appointmentStatuses: [
     'pending',
     'approved',
+    'in_progress',
     'completed',
     'cancelled',
-    'rejected'
+    'rejected',
+    'no_show'
   ],
+  // Allowed status changes (enforced server-side by transitionAppointment - keep in sync
+  // with functions/appointment-status.js). Customers may only cancel pending/approved.
+  appointmentTransitions: {
+    pending: ['approved', 'rejected', 'cancelled'],
+    approved: ['in_progress', 'cancelled', 'no_show'],
+    in_progress: ['completed'],
+    completed: [],
+    cancelled: [],
+    rejected: [],
+    no_show: []
+  },
   serviceTypes: [
     'Routine Maintenance',
     'Engine Overhaul',
@@ -82,9 +99,25 @@ export const appConstants = {
     'reminder',
     'service',
     'payment',
+    'quote',
+    'invoice',
+    'message',
     'system',
     'promotion'
   ],
+  notificationChannels: ['inApp', 'email', 'sms', 'push'],
+  // Keep in sync with DEFAULT_PREFERENCES in functions/notifications.js
+  defaultNotificationPreferences: {
+    appointment: { inApp: true, email: true, sms: true, push: true },
+    reminder: { inApp: true, email: true, sms: true, push: true },
+    service: { inApp: true, email: true, sms: false, push: true },
+    payment: { inApp: true, email: true, sms: true, push: true },
+    quote: { inApp: true, email: true, sms: false, push: true },
+    invoice: { inApp: true, email: true, sms: false, push: true },
+    message: { inApp: true, email: true, sms: false, push: true },
+    system: { inApp: true, email: true, sms: false, push: false },
+    promotion: { inApp: true, email: true, sms: false, push: false }
+  },
   userFields: [
     'fullName',
     'email',
@@ -101,6 +134,7 @@ export const appConstants = {
     'plate',
     'vin',
     'mileage',
+    'mileageUpdatedAt',
     'userId'
   ],
   // Firestore Collection Names
@@ -110,6 +144,7 @@ export const appConstants = {
     VEHICLES: 'vehicles',
     SERVICES: 'services',
     NOTIFICATIONS: 'notifications',
+    INVOICES: 'invoices',
     SETTINGS: 'settings'
   },
   // LocalStorage Keys
@@ -118,14 +153,17 @@ export const appConstants = {
     USER_DATA: 'top-autocare-user',
     USER_PREFERENCES: 'top-autocare-prefs',
     LAST_SYNC: 'top-autocare-last-sync',
-    OFFLINE_QUEUE: 'top-autocare-offline-queue'
+    OFFLINE_QUEUE: 'top-autocare-offline-queue',
+    PUSH_DEVICE_ID: 'top-autocare-push-device'
   },
   // PWA Constants
   pwa: {
-    cacheName: 'top-autocare-v2.0',
+    cacheName: 'top-autocare', // Cache name prefix in sw.js; versions come from precache-manifest.js
     offlinePage: '/offline.html',
     manifestUrl: '/manifest.json',
-    serviceWorkerUrl: '/sw.js'
+    serviceWorkerUrl: '/sw.js',
+    // Web Push certificate (Firebase console > Cloud Messaging). null uses FCM's default key.
+    pushVapidKey: null
   },
   // API Endpoints (Firebase Functions or REST)
   apiEndpoints: {
@@ -209,6 +247,13 @@ export const utils = {
     return phone;
   },
 
+  // Escape user-entered text before putting it in innerHTML
+  escapeHtml(value) {
+    return String(value ?? '').replace(/[&<>"']/g, (char) => ({
+      '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+    })[char]);
+  },
+
   // Format Currency (KES)
   formatCurrency(amount) {
     return new Intl.NumberFormat('en-KE', {
@@ -218,6 +263,11 @@ export const utils = {
     }).format(amount);
   },
 
+  // Amount billed for an appointment: the issued invoice total, else the booked price
+  getAppointmentAmount(appointment) {
+    return Number(appointment?.invoiceTotal ?? appointment?.price) || 0;
+  },
+
   // Format Date (Local timezone)
   formatDate(date, options = { year: 'numeric', month: 'short', day: 'numeric' }) {
     return new Intl.DateTimeFormat(appConstants.dateFormat, {
@@ -256,17 +306,58 @@ export const utils = {
     const classes = {
       pending: 'status-pending',
       approved: 'status-approved',
+      in_progress: 'status-in-progress',
       completed: 'status-completed',
       cancelled: 'status-cancelled',
-      rejected: 'status-rejected'
+      rejected: 'status-rejected',
+      no_show: 'status-rejected'
     };
     return classes[status] || 'status-pending';
   },
 
+  // Get Status Display Text (e.g., in_progress -> In Progress)
+  getStatusDisplay(status) {
+    return (status || 'pending').split('_').map(w => w.charAt(0).toUpperCase() + w.slice(1)).join(' ');
+  },
+
+  // Next statuses an appointment can move to from its current status
+  getNextStatuses(status) {
+    return appConstants.appointmentTransitions[status] || [];
+  },
+
+  // Service-due summary from getServiceDueForecast, e.g. "Oil Change due in ~800 km / 3 weeks"
+  formatServiceDue(item) {
+    const parts = [];
+    if (item.kmRemaining !== null && item.kmRemaining !== undefined) {
+      parts.push(`~${Math.abs(Math.round(item.kmRemaining / 100) * 100).toLocaleString()} km`);
+    }
+    const days = Math.abs(item.daysRemaining);
+    parts.push(days >= 60 ? `${Math.round(days / 30)} months` : days >= 14 ? `${Math.round(days / 7)} weeks` : `${days} day${days === 1 ? '' : 's'}`);
+
+    return item.status === 'overdue'
+      ? `${item.serviceName} overdue by ${parts.join(' / ')}`
+      : `${item.serviceName} due in ${parts.join(' / ')}`;
+  },
+
+  // Merge serviceRecords and odometerLog docs into one newest-first vehicle timeline.
+  // Readings taken at a garage service are already shown on that service record.
+  buildVehicleTimeline(records = [], odometerLog = []) {
+    const toDate = (value) => (value && typeof value.toDate === 'function' ? value.toDate() : value ? new Date(value) : null);
+    const entries = [
+      ...records.map((record) => ({ kind: 'service', date: toDate(record.date), record })),
+      ...odometerLog
+        .filter((entry) => entry.source !== 'service')
+        .map((entry) => ({ kind: 'odometer', date: toDate(entry.recordedAt), entry }))
+    ];
+    return entries
+      .filter((item) => item.date && !isNaN(item.date.getTime()))
+      .sort((a, b) => b.date - a.date);
+  },
+
   // Get Notification Icon (Font Awesome)
   getNotificationIcon(type) {
     const icons = appConstants.notificationTypes.reduce((acc, t) => {
-      acc[t] = `fas fa-${t === 'appointment' ? 'calendar-check' : t === 'payment' ? 'credit-card' : t === 'promotion' ? 'tag' : t === 'system' ? 'info-circle' : 'bell'}`;
+      acc[t] = `fas fa-${t === 'appointment' ? 'calendar-check' : t === 'payment' ? 'credit-card' : t === 'quote' || t === 'invoice' ? 'file-invoice' : t === 'message' ? 'comments' : t === 'promotion' ? 'tag' : t === 'system' ? 'info-circle' : 'bell'}`;
       return acc;
     }, {});
     return icons[type] || 'fas fa-bell';
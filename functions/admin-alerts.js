@@ -0,0 +1,207 @@
+// admin-alerts.js - Operational alerts for Top Autocare Garage admins
+// Rules live in settings/alerts ({ rules: [...], repeatMinutes }) and are edited in admin-settings.html.
+// evaluateAdminAlerts (index.js) measures every enabled rule on a schedule; a rule over its threshold
+// opens adminAlerts/{ruleId} (firing -> acknowledged | snoozed -> resolved) and the on-duty admins
+// (users with role admin and onDuty: true, or every admin when nobody is on duty) are notified.
+// Client errors reach the clientErrors collection through reportClientErrors (scripts/error-handler.js),
+// which only takes signed-in reports and is rate-limited per user and per IP (clientErrorQuotas).
+
+const admin = require('firebase-admin');
+const crypto = require('crypto');
+
+const SETTINGS_DOC = 'alerts';
+const COLLECTION = 'adminAlerts';
+const CLIENT_ERRORS = 'clientErrors';
+const ALERT_CHANNELS = ['email', 'sms', 'push'];
+const DEFAULT_REPEAT_MINUTES = 60; // Re-notify while a firing alert is left unacknowledged
+const MAX_SNOOZE_MINUTES = 24 * 60;
+const CLIENT_ERROR_RETENTION_MS = 24 * 60 * 60 * 1000;
+const CLIENT_ERROR_QUOTAS = 'clientErrorQuotas';
+const CLIENT_ERROR_QUOTA_WINDOW_MS = 10 * 60 * 1000;
+const CLIENT_ERROR_QUOTA = { uid: 20, ip: 60 }; // Reports per window (an IP may be shared, e.g. a garage Wi-Fi)
+const MINUTE_MS = 60 * 1000;
+
+// Rule type -> how to measure it. count(windowStart) returns the number of matching records.
+const RULE_TYPES = {
+  pending_appointments: {
+    label: 'Pending appointments waiting',
+    describe: (count, rule) => `${count} appointment${count === 1 ? ' has' : 's have'} been pending for over ${formatWindow(rule.windowMinutes)}.`,
+    // Booked before the window started and still not approved/rejected
+    count: (windowStart) => admin.firestore().collection('appointments')
+      .where('status', '==', 'pending')
+      .where('createdAt', '<=', windowStart)
+      .count()
+      .get(),
+  },
+  failed_payments: {
+    label: 'Failed payments',
+    describe: (count, rule) => `${count} M-Pesa payment${count === 1 ? '' : 's'} failed in the last ${formatWindow(rule.windowMinutes)}.`,
+    count: (windowStart) => admin.firestore().collection('payments')
+      .where('status', '==', 'failed')
+      .where('settledAt', '>=', windowStart)
+      .count()
+      .get(),
+  },
+  client_errors: {
+    label: 'Client error spike',
+    describe: (count, rule) => `${count} client errors were reported in the last ${formatWindow(rule.windowMinutes)}.`,
+    count: (windowStart) => admin.firestore().collection(CLIENT_ERRORS)
+      .where('createdAt', '>=', windowStart)
+      .count()
+      .get(),
+  },
+};
+
+// Used until an admin saves settings/alerts
+const DEFAULT_RULES = [
+  { id: 'pending-appointments', type: 'pending_appointments', enabled: true, threshold: 1, windowMinutes: 120, channels: ['email', 'push'] },
+  { id: 'failed-payments', type: 'failed_payments', enabled: true, threshold: 3, windowMinutes: 60, channels: ['email', 'push'] },
+  { id: 'client-errors', type: 'client_errors', enabled: true, threshold: 20, windowMinutes: 10, channels: ['email', 'sms', 'push'] },
+];
+
+function formatWindow(minutes) {
+  if (minutes % 60 === 0) return `${minutes / 60} hour${minutes === 60 ? '' : 's'}`;
+  return `${minutes} minutes`;
+}
+
+function boundedInt(value, min, max, fallback) {
+  const number = Math.round(Number(value));
+  return Number.isFinite(number) ? Math.min(max, Math.max(min, number)) : fallback;
+}
+
+// Clean stored rules; unknown types are dropped, bad numbers fall back to the defaults
+function sanitizeRule(rule = {}) {
+  if (!RULE_TYPES[rule.type]) return null;
+  const fallback = DEFAULT_RULES.find((candidate) => candidate.type === rule.type);
+  const channels = Array.isArray(rule.channels) ? rule.channels.filter((channel) => ALERT_CHANNELS.includes(channel)) : fallback.channels;
+  return {
+    id: String(rule.id || rule.type).replace(/[^A-Za-z0-9_-]/g, '').slice(0, 50) || rule.type,
+    type: rule.type,
+    label: typeof rule.label === 'string' && rule.label.trim() ? rule.label.trim().slice(0, 80) : RULE_TYPES[rule.type].label,
+    enabled: rule.enabled !== false,
+    threshold: boundedInt(rule.threshold, 1, 10000, fallback.threshold),
+    windowMinutes: boundedInt(rule.windowMinutes, 5, 7 * 24 * 60, fallback.windowMinutes),
+    channels,
+  };
+}
+
+async function getAlertSettings() {
+  const settingsSnap = await admin.firestore().collection('settings').doc(SETTINGS_DOC).get();
+  const stored = settingsSnap.exists ? settingsSnap.data() : {};
+  const rules = (Array.isArray(stored.rules) ? stored.rules : DEFAULT_RULES).map(sanitizeRule).filter(Boolean);
+  return {
+    rules,
+    repeatMinutes: boundedInt(stored.repeatMinutes, 5, MAX_SNOOZE_MINUTES, DEFAULT_REPEAT_MINUTES),
+  };
+}
+
+async function measureRule(rule, now = new Date()) {
+  const windowStart = admin.firestore.Timestamp.fromMillis(now.getTime() - rule.windowMinutes * MINUTE_MS);
+  const snapshot = await RULE_TYPES[rule.type].count(windowStart);
+  return snapshot.data().count;
+}
+
+function toMillis(timestamp) {
+  return timestamp?.toMillis ? timestamp.toMillis() : null;
+}
+
+// Decide what happens to adminAlerts/{ruleId} after a measurement. existing is the stored alert
+// (or null); returns { changes, notify } where changes is null when nothing needs writing.
+function nextAlertState(existing, breached, now = new Date(), repeatMinutes = DEFAULT_REPEAT_MINUTES) {
+  const nowMs = now.getTime();
+  const status = existing?.status || 'resolved';
+
+  if (!breached) {
+    return status === 'resolved' ? { changes: null, notify: false } : { changes: { status: 'resolved', resolvedAt: now }, notify: false };
+  }
+  if (status === 'resolved') {
+    return {
+      changes: { status: 'firing', firedAt: now, acknowledgedAt: null, acknowledgedBy: null, snoozedUntil: null, resolvedAt: null },
+      notify: true,
+    };
+  }
+  if (status === 'acknowledged') return { changes: {}, notify: false };
+  if (status === 'snoozed') {
+    if (toMillis(existing.snoozedUntil) > nowMs) return { changes: {}, notify: false };
+    return { changes: { status: 'firing', snoozedUntil: null }, notify: true };
+  }
+  // Still firing: remind every repeatMinutes until someone acknowledges it
+  const lastNotified = toMillis(existing.lastNotifiedAt) || 0;
+  return { changes: {}, notify: nowMs - lastNotified >= repeatMinutes * MINUTE_MS };
+}
+
+// On-duty admins, or every admin when nobody has marked themselves on duty
+async function getOnDutyAdmins() {
+  const adminsSnap = await admin.firestore().collection('users').where('role', '==', 'admin').get();
+  const admins = adminsSnap.docs.map((userDoc) => ({ id: userDoc.id, ...userDoc.data() }));
+  const onDuty = admins.filter((user) => user.onDuty === true);
+  return onDuty.length ? onDuty : admins;
+}
+
+// Client error reports from the browser (sanitised, at most `limit` per request)
+function sanitizeClientErrors(errors, limit = 10) {
+  if (!Array.isArray(errors)) return [];
+  return errors.slice(0, limit).map((error) => ({
+    message: String(error?.message || 'Unknown error').slice(0, 500),
+    type: String(error?.type || 'unknown').slice(0, 50),
+    url: String(error?.url || '').slice(0, 300),
+    fatal: error?.fatal === true,
+  }));
+}
+
+// Count one report against the sender's user and IP quotas; false when either is used up.
+// IPs are stored hashed; expiresAt lets a Firestore TTL policy clear old windows. keys: { uid, ip }
+async function consumeClientErrorQuota({ uid, ip }, now = Date.now()) {
+  const db = admin.firestore();
+  const refs = [
+    { ref: db.collection(CLIENT_ERROR_QUOTAS).doc(`uid_${uid}`), limit: CLIENT_ERROR_QUOTA.uid },
+    { ref: db.collection(CLIENT_ERROR_QUOTAS).doc(`ip_${crypto.createHash('sha256').update(String(ip)).digest('hex').slice(0, 32)}`), limit: CLIENT_ERROR_QUOTA.ip },
+  ];
+
+  return db.runTransaction(async (transaction) => {
+    const snaps = await Promise.all(refs.map(({ ref }) => transaction.get(ref)));
+    const windows = snaps.map((snap) => {
+      const data = snap.exists ? snap.data() : null;
+      return data && now - data.windowStart < CLIENT_ERROR_QUOTA_WINDOW_MS
+        ? { windowStart: data.windowStart, count: data.count }
+        : { windowStart: now, count: 0 };
+    });
+    if (windows.some((window, i) => window.count >= refs[i].limit)) return false;
+
+    windows.forEach((window, i) => transaction.set(refs[i].ref, {
+      windowStart: window.windowStart,
+      count: window.count + 1,
+      expiresAt: admin.firestore.Timestamp.fromMillis(window.windowStart + CLIENT_ERROR_QUOTA_WINDOW_MS),
+    }));
+    return true;
+  });
+}
+
+// Old reports only matter for the rolling windows; drop a batch per evaluation run
+async function pruneClientErrors(now = new Date()) {
+  const cutoff = admin.firestore.Timestamp.fromMillis(now.getTime() - CLIENT_ERROR_RETENTION_MS);
+  const snapshot = await admin.firestore().collection(CLIENT_ERRORS).where('createdAt', '<', cutoff).limit(400).get();
+  if (snapshot.empty) return 0;
+  const batch = admin.firestore().batch();
+  snapshot.docs.forEach((errorDoc) => batch.delete(errorDoc.ref));
+  await batch.commit();
+  return snapshot.size;
+}
+
+module.exports = {
+  SETTINGS_DOC,
+  COLLECTION,
+  CLIENT_ERRORS,
+  ALERT_CHANNELS,
+  MAX_SNOOZE_MINUTES,
+  RULE_TYPES,
+  DEFAULT_RULES,
+  sanitizeRule,
+  getAlertSettings,
+  measureRule,
+  nextAlertState,
+  getOnDutyAdmins,
+  sanitizeClientErrors,
+  consumeClientErrorQuota,
+  pruneClientErrors
+};
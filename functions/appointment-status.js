@@ -0,0 +1,106 @@
+// appointment-status.js - Appointment state machine for Top Autocare Garage
+// Single source of truth for allowed status transitions on the server. Every change
+// goes through applyTransition(), which validates it and appends an entry to
+// appointments/{id}/history in the same transaction.
+// Keep in sync with appConstants.appointmentTransitions in config.js (client copy).
+
+const admin = require('firebase-admin');
+
+const TRANSITIONS = {
+  pending: ['approved', 'rejected', 'cancelled'],
+  approved: ['in_progress', 'cancelled', 'no_show'],
+  in_progress: ['completed'],
+  completed: [],
+  cancelled: [],
+  rejected: [],
+  no_show: []
+};
+
+// Customers may only cancel their own bookings before work starts
+const CUSTOMER_TRANSITIONS = {
+  pending: ['cancelled'],
+  approved: ['cancelled']
+};
+
+// Milestone timestamps stamped on the appointment when it enters a status
+const STATUS_TIMESTAMP_FIELDS = {
+  approved: 'approvedAt',
+  in_progress: 'startedAt',
+  completed: 'completedAt',
+  cancelled: 'cancelledAt',
+  rejected: 'rejectedAt',
+  no_show: 'noShowAt'
+};
+
+function getAllowedTransitions(fromStatus, role) {
+  const table = role === 'admin' ? TRANSITIONS : CUSTOMER_TRANSITIONS;
+  return table[fromStatus] || [];
+}
+
+function canTransition(fromStatus, toStatus, role) {
+  return getAllowedTransitions(fromStatus, role).includes(toStatus);
+}
+
+function transitionError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+// Apply a status change atomically and record it in the history subcollection.
+// actor: { uid, role }. extraUpdates are merged into the appointment update.
+// Returns { appointment, fromStatus, toStatus } where appointment is the pre-change data.
+async function applyTransition({ appointmentId, toStatus, actor, reason = '', extraUpdates = {} }) {
+  const db = admin.firestore();
+  const appointmentRef = db.collection('appointments').doc(appointmentId);
+  const historyRef = appointmentRef.collection('history').doc();
+
+  return db.runTransaction(async (transaction) => {
+    const appointmentSnap = await transaction.get(appointmentRef);
+    if (!appointmentSnap.exists) {
+      throw transitionError('not-found', 'Appointment not found');
+    }
+
+    const appointment = appointmentSnap.data();
+    const fromStatus = appointment.status || 'pending';
+
+    if (actor.role !== 'admin' && appointment.userId !== actor.uid) {
+      throw transitionError('permission-denied', 'You can only change your own appointments');
+    }
+    if (!canTransition(fromStatus, toStatus, actor.role)) {
+      throw transitionError('invalid-transition', `Cannot change status from ${fromStatus} to ${toStatus}`);
+    }
+    // Deposit bookings are held until paid (admins may waive via extraUpdates.depositStatus)
+    if (toStatus === 'approved' && appointment.depositStatus === 'due' && extraUpdates.depositStatus !== 'waived') {
+      throw transitionError('deposit-required', 'The booking deposit has not been paid yet');
+    }
+
+    const now = admin.firestore.FieldValue.serverTimestamp();
+    transaction.update(appointmentRef, {
+      ...extraUpdates,
+      status: toStatus,
+      statusReason: reason,
+      [STATUS_TIMESTAMP_FIELDS[toStatus]]: now,
+      updatedAt: now,
+      updatedBy: actor.uid
+    });
+    transaction.set(historyRef, {
+      fromStatus,
+      toStatus,
+      changedBy: actor.uid,
+      changedByRole: actor.role,
+      reason,
+      timestamp: now
+    });
+
+    return { appointment: { id: appointmentId, ...appointment }, fromStatus, toStatus };
+  });
+}
+
+module.exports = {
+  TRANSITIONS,
+  CUSTOMER_TRANSITIONS,
+  getAllowedTransitions,
+  canTransition,
+  applyTransition
+};
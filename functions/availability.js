@@ -0,0 +1,258 @@
+// availability.js - Slot-based availability engine for Top Autocare Garage
+// Shared by the booking functions in index.js. Business hours and capacity live in
+// settings/availability, service durations on each services doc, and per-day slot
+// usage in the bookingSlots/{YYYY-MM-DD} ledger so capacity checks run in a transaction.
+
+const admin = require('firebase-admin');
+
+const SETTINGS_DOC = 'availability';
+const LEDGER_COLLECTION = 'bookingSlots';
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+// Defaults used until an admin saves settings/availability
+const DEFAULT_AVAILABILITY = {
+  utcOffset: '+03:00', // Africa/Nairobi (no DST)
+  slotInterval: 30, // Minutes between slot start times
+  bays: 3,
+  technicians: 3,
+  leadTimeMinutes: 60, // Earliest bookable slot from now
+  maxAdvanceDays: 60,
+  rescheduleMinNoticeHours: 24, // Customers can't move a booking closer to its start than this
+  maxReschedules: 2, // Per appointment
+  depositHoldHours: 24, // Unpaid-deposit bookings are cancelled (slot released) after this
+  noShowDepositThreshold: 2, // Customers with this many no-shows always pay a deposit (0 = off)
+  noShowDepositPercent: 30, // Deposit for those customers, as % of the service price
+  hours: {
+    mon: { open: '08:00', close: '18:00' },
+    tue: { open: '08:00', close: '18:00' },
+    wed: { open: '08:00', close: '18:00' },
+    thu: { open: '08:00', close: '18:00' },
+    fri: { open: '08:00', close: '18:00' },
+    sat: { open: '08:00', close: '16:00' },
+    sun: null // Closed
+  }
+};
+
+const DEFAULT_SERVICE_MINUTES = 60;
+
+// Convert 'HH:MM' to minutes since midnight
+function toMinutes(time) {
+  const [hours, minutes] = String(time).split(':').map(Number);
+  return hours * 60 + (minutes || 0);
+}
+
+// Convert minutes since midnight to 'HH:MM'
+function toTimeString(minutes) {
+  const hours = Math.floor(minutes / 60);
+  const mins = minutes % 60;
+  return `${String(hours).padStart(2, '0')}:${String(mins).padStart(2, '0')}`;
+}
+
+// Validate a 'YYYY-MM-DD' date string
+function isValidDateString(date) {
+  return /^\d{4}-\d{2}-\d{2}$/.test(date || '') && !isNaN(new Date(`${date}T00:00:00Z`).getTime());
+}
+
+// Load availability settings merged over defaults
+async function getAvailabilityConfig() {
+  const settingsSnap = await admin.firestore().collection('settings').doc(SETTINGS_DOC).get();
+  const stored = settingsSnap.exists ? settingsSnap.data() : {};
+  return {
+    ...DEFAULT_AVAILABILITY,
+    ...stored,
+    hours: { ...DEFAULT_AVAILABILITY.hours, ...(stored.hours || {}) }
+  };
+}
+
+// Concurrent appointments the garage can take (limited by bays and technicians)
+function getCapacity(config) {
+  return Math.max(0, Math.min(Number(config.bays) || 0, Number(config.technicians) || 0));
+}
+
+// Service duration in minutes (services store `duration` in hours)
+function getServiceMinutes(service) {
+  const hours = Number(service?.duration) || 0;
+  return hours > 0 ? Math.round(hours * 60) : DEFAULT_SERVICE_MINUTES;
+}
+
+// Start Date for a local date + 'HH:MM' in the garage's UTC offset
+function toStartDate(date, time, config) {
+  return new Date(`${date}T${time}:00${config.utcOffset}`);
+}
+
+// Opening hours for a date, or null when closed
+function getDayHours(date, config) {
+  const weekday = WEEKDAYS[new Date(`${date}T12:00:00Z`).getUTCDay()];
+  const hours = config.hours[weekday];
+  if (!hours || !hours.open || !hours.close) return null;
+  return { open: toMinutes(hours.open), close: toMinutes(hours.close) };
+}
+
+// Ledger keys (slot start minutes) covered by a booking of `durationMinutes`
+function getSlotKeys(startMinutes, durationMinutes, config) {
+  const keys = [];
+  for (let m = startMinutes; m < startMinutes + durationMinutes; m += config.slotInterval) {
+    keys.push(String(m));
+  }
+  return keys;
+}
+
+function getLedgerRef(date) {
+  return admin.firestore().collection(LEDGER_COLLECTION).doc(date);
+}
+
+// Compute free slots for a date given the ledger counts (same lead time and advance window
+// as validateSlotRequest, so every offered slot can be booked)
+function computeSlots(date, durationMinutes, config, counts = {}, now = new Date()) {
+  const dayHours = getDayHours(date, config);
+  if (!dayHours) return [];
+
+  const capacity = getCapacity(config);
+  const earliest = now.getTime() + (Number(config.leadTimeMinutes) || 0) * 60 * 1000;
+  const latest = now.getTime() + (Number(config.maxAdvanceDays) || 0) * 24 * 60 * 60 * 1000;
+  const slots = [];
+
+  for (let start = dayHours.open; start + durationMinutes <= dayHours.close; start += config.slotInterval) {
+    const time = toTimeString(start);
+    const startTime = toStartDate(date, time, config).getTime();
+    if (startTime < earliest || startTime > latest) continue;
+
+    const used = Math.max(0, ...getSlotKeys(start, durationMinutes, config).map((key) => counts[key] || 0));
+    if (used < capacity) {
+      slots.push({ time, remaining: capacity - used });
+    }
+  }
+  return slots;
+}
+
+// Free slots for a date and service (reads the ledger; config from getAvailabilityConfig)
+async function getAvailableSlots(date, service, config, now = new Date()) {
+  const durationMinutes = getServiceMinutes(service);
+  const ledgerSnap = await getLedgerRef(date).get();
+  const counts = ledgerSnap.exists ? ledgerSnap.data().counts || {} : {};
+  return { durationMinutes, slots: computeSlots(date, durationMinutes, config, counts, now) };
+}
+
+// Check a requested date/time is a bookable slot (hours, lead time, advance window)
+function validateSlotRequest(date, time, durationMinutes, config, now = new Date()) {
+  if (!isValidDateString(date) || !/^\d{2}:\d{2}$/.test(time || '')) {
+    return 'Invalid date or time';
+  }
+  const dayHours = getDayHours(date, config);
+  if (!dayHours) return 'The garage is closed on this day';
+
+  const start = toMinutes(time);
+  if (start < dayHours.open || start + durationMinutes > dayHours.close) {
+    return 'Selected time is outside business hours';
+  }
+  if ((start - dayHours.open) % config.slotInterval !== 0) {
+    return 'Selected time is not a valid slot';
+  }
+
+  const startDate = toStartDate(date, time, config);
+  if (startDate.getTime() < now.getTime() + (Number(config.leadTimeMinutes) || 0) * 60 * 1000) {
+    return 'Selected slot is too soon';
+  }
+  if (startDate.getTime() > now.getTime() + (Number(config.maxAdvanceDays) || 0) * 24 * 60 * 60 * 1000) {
+    return 'Selected date is too far ahead';
+  }
+  return null;
+}
+
+// Reserve a slot inside a transaction. Throws if any covered interval is full.
+// Must be called before any transaction writes (Firestore reads-before-writes rule).
+async function reserveSlot(transaction, date, time, durationMinutes, config) {
+  const ledgerRef = getLedgerRef(date);
+  const ledgerSnap = await transaction.get(ledgerRef);
+  const counts = ledgerSnap.exists ? { ...(ledgerSnap.data().counts || {}) } : {};
+  const capacity = getCapacity(config);
+  const keys = getSlotKeys(toMinutes(time), durationMinutes, config);
+
+  if (keys.some((key) => (counts[key] || 0) >= capacity)) {
+    const error = new Error('Selected slot is fully booked');
+    error.code = 'slot-unavailable';
+    throw error;
+  }
+
+  keys.forEach((key) => { counts[key] = (counts[key] || 0) + 1; });
+  return () => transaction.set(ledgerRef, {
+    date,
+    counts,
+    updatedAt: admin.firestore.FieldValue.serverTimestamp()
+  }, { merge: true });
+}
+
+// Release a previously reserved slot (no-op for appointments without slot data)
+async function releaseSlot(transaction, appointment) {
+  const { slotDate, time, durationMinutes, slotInterval } = appointment;
+  if (!slotDate || !durationMinutes || !/^\d{2}:\d{2}$/.test(time || '')) return null;
+
+  const ledgerRef = getLedgerRef(slotDate);
+  const ledgerSnap = await transaction.get(ledgerRef);
+  if (!ledgerSnap.exists) return null;
+
+  const counts = { ...(ledgerSnap.data().counts || {}) };
+  const keys = getSlotKeys(toMinutes(time), durationMinutes, { slotInterval: slotInterval || DEFAULT_AVAILABILITY.slotInterval });
+  keys.forEach((key) => { counts[key] = Math.max(0, (counts[key] || 0) - 1); });
+
+  return () => transaction.update(ledgerRef, {
+    counts,
+    updatedAt: admin.firestore.FieldValue.serverTimestamp()
+  });
+}
+
+// Move an appointment's reservation to a new date/time inside a transaction.
+// Handles old and new slots sharing the same ledger doc. Throws if the new slot is full.
+// Must be called before any transaction writes; returns a function that applies the writes.
+async function moveSlot(transaction, appointment, date, time, durationMinutes, config) {
+  const hasOldSlot = appointment.slotDate && appointment.durationMinutes && /^\d{2}:\d{2}$/.test(appointment.time || '');
+  const dates = [...new Set([date, hasOldSlot ? appointment.slotDate : null].filter(Boolean))];
+  const snaps = await Promise.all(dates.map((d) => transaction.get(getLedgerRef(d))));
+
+  const ledgers = {};
+  dates.forEach((d, i) => {
+    ledgers[d] = { exists: snaps[i].exists, counts: snaps[i].exists ? { ...(snaps[i].data().counts || {}) } : {} };
+  });
+
+  if (hasOldSlot) {
+    const oldInterval = appointment.slotInterval || DEFAULT_AVAILABILITY.slotInterval;
+    getSlotKeys(toMinutes(appointment.time), appointment.durationMinutes, { slotInterval: oldInterval }).forEach((key) => {
+      const counts = ledgers[appointment.slotDate].counts;
+      counts[key] = Math.max(0, (counts[key] || 0) - 1);
+    });
+  }
+
+  const capacity = getCapacity(config);
+  const newCounts = ledgers[date].counts;
+  const newKeys = getSlotKeys(toMinutes(time), durationMinutes, config);
+  if (newKeys.some((key) => (newCounts[key] || 0) >= capacity)) {
+    const error = new Error('Selected slot is fully booked');
+    error.code = 'slot-unavailable';
+    throw error;
+  }
+  newKeys.forEach((key) => { newCounts[key] = (newCounts[key] || 0) + 1; });
+
+  return () => dates.forEach((d) => transaction.set(getLedgerRef(d), {
+    date: d,
+    counts: ledgers[d].counts,
+    updatedAt: admin.firestore.FieldValue.serverTimestamp()
+  }, { merge: true }));
+}
+
+module.exports = {
+  DEFAULT_AVAILABILITY,
+  LEDGER_COLLECTION,
+  toMinutes,
+  toTimeString,
+  isValidDateString,
+  getAvailabilityConfig,
+  getCapacity,
+  getServiceMinutes,
+  toStartDate,
+  computeSlots,
+  getAvailableSlots,
+  validateSlotRequest,
+  reserveSlot,
+  releaseSlot,
+  moveSlot
+};
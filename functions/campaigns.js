@@ -0,0 +1,247 @@
+// campaigns.js - Segmented announcement campaigns for Top Autocare Garage
+// Admins target customers with a segment (role, vehicle make, no recent visit, service due).
+// A campaign doc in `campaigns` moves scheduled -> preparing -> sending -> completed; the
+// audience is expanded into campaigns/{id}/recipients/{uid} (pending/sending/sent/skipped/failed)
+// and processCampaigns in index.js works through pending (and stale sending) recipients in
+// throttled batches.
+
+const crypto = require('crypto');
+const admin = require('firebase-admin');
+const maintenance = require('./maintenance');
+
+const COLLECTION = 'campaigns';
+const RECIPIENTS = 'recipients';
+const CAMPAIGN_TYPES = ['promotion', 'system', 'service'];
+const BATCH_SIZE = 100; // Recipients claimed per batch
+const CONCURRENCY = 10; // Sends in flight at once
+const THROTTLE_MS = 1000; // Pause between groups of CONCURRENCY sends
+const WRITE_BATCH_LIMIT = 400;
+const CLAIM_STALE_MS = 10 * 60 * 1000; // A `sending` claim older than this outlived its run (max timeout is 9 minutes)
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function boundedInt(value, min, max) {
+  if (value === undefined || value === null || value === '') return null;
+  const number = Math.round(Number(value));
+  return Number.isFinite(number) ? Math.min(max, Math.max(min, number)) : null;
+}
+
+// Clean a client-supplied segment. Every rule that is set must match (AND).
+function sanitizeSegment(segment = {}) {
+  const make = typeof segment.vehicleMake === 'string' ? segment.vehicleMake.trim().slice(0, 50) : '';
+  return {
+    role: ['user', 'admin'].includes(segment.role) ? segment.role : 'user',
+    vehicleMake: make || null,
+    noVisitMonths: boundedInt(segment.noVisitMonths, 1, 60),
+    serviceDueDays: boundedInt(segment.serviceDueDays, 0, 365),
+  };
+}
+
+// Human-readable summary for the campaign list
+function describeSegment(segment) {
+  const parts = [segment.role === 'admin' ? 'Admins' : 'All customers'];
+  if (segment.vehicleMake) parts.push(`with a ${segment.vehicleMake}`);
+  if (segment.noVisitMonths) parts.push(`no visit in ${segment.noVisitMonths} month${segment.noVisitMonths === 1 ? '' : 's'}`);
+  if (segment.serviceDueDays !== null && segment.serviceDueDays !== undefined) {
+    parts.push(segment.serviceDueDays === 0 ? 'service overdue' : `service due within ${segment.serviceDueDays} days`);
+  }
+  return parts.join(', ');
+}
+
+// Vehicles with any service overdue or due within `days`
+async function getVehiclesWithServiceDue(vehicleDocs, days, now) {
+  const servicesSnap = await admin.firestore().collection('services').get();
+  const services = {};
+  servicesSnap.forEach((serviceDoc) => { services[serviceDoc.id] = serviceDoc.data(); });
+
+  const due = new Set();
+  for (let i = 0; i < vehicleDocs.length; i += CONCURRENCY) {
+    await Promise.all(vehicleDocs.slice(i, i + CONCURRENCY).map(async (vehicleDoc) => {
+      const recordsSnap = await vehicleDoc.ref.collection('serviceRecords').get();
+      const history = recordsSnap.docs.map((recordDoc) => {
+        const record = recordDoc.data();
+        return { serviceId: record.serviceId, serviceName: record.serviceName, date: record.date, mileage: record.odometer };
+      });
+      const forecast = maintenance.computeServiceDue(vehicleDoc.data(), history, services, now);
+      if (forecast.items.some((item) => item.status === 'overdue' || item.daysRemaining <= days)) due.add(vehicleDoc.id);
+    }));
+  }
+  return due;
+}
+
+// Expand a segment into recipients. Opted-out users are counted but never returned.
+// Returns { recipients: [{ uid, name }], optedOut }
+async function buildAudience(segment, now = new Date()) {
+  const db = admin.firestore();
+  const usersSnap = await db.collection('users').where('role', '==', segment.role).get();
+
+  let optedOut = 0;
+  let candidates = usersSnap.docs.filter((userDoc) => {
+    if (userDoc.data().marketingOptOut === true) {
+      optedOut++;
+      return false;
+    }
+    return true;
+  });
+
+  if (segment.noVisitMonths) {
+    const cutoff = new Date(now.getTime() - segment.noVisitMonths * 30 * DAY_MS);
+    const recentSnap = await db.collection('appointments')
+      .where('status', '==', 'completed')
+      .where('date', '>=', admin.firestore.Timestamp.fromDate(cutoff))
+      .get();
+    const recentVisitors = new Set(recentSnap.docs.map((appointmentDoc) => appointmentDoc.data().userId));
+    candidates = candidates.filter((userDoc) => !recentVisitors.has(userDoc.id));
+  }
+
+  if (segment.vehicleMake || segment.serviceDueDays !== null) {
+    const candidateIds = new Set(candidates.map((userDoc) => userDoc.id));
+    const vehiclesSnap = await db.collection('vehicles').get();
+    let vehicles = vehiclesSnap.docs.filter((vehicleDoc) => candidateIds.has(vehicleDoc.data().userId));
+
+    if (segment.vehicleMake) {
+      const make = segment.vehicleMake.toLowerCase();
+      vehicles = vehicles.filter((vehicleDoc) => String(vehicleDoc.data().make || '').trim().toLowerCase() === make);
+    }
+    if (segment.serviceDueDays !== null) {
+      const due = await getVehiclesWithServiceDue(vehicles, segment.serviceDueDays, now);
+      vehicles = vehicles.filter((vehicleDoc) => due.has(vehicleDoc.id));
+    }
+
+    const owners = new Set(vehicles.map((vehicleDoc) => vehicleDoc.data().userId));
+    candidates = candidates.filter((userDoc) => owners.has(userDoc.id));
+  }
+
+  return {
+    recipients: candidates.map((userDoc) => ({ uid: userDoc.id, name: userDoc.data().fullName || null })),
+    optedOut,
+  };
+}
+
+// Write one pending recipient doc per user (chunked to stay under batch limits)
+async function writeRecipients(campaignRef, recipients) {
+  for (let i = 0; i < recipients.length; i += WRITE_BATCH_LIMIT) {
+    const batch = admin.firestore().batch();
+    recipients.slice(i, i + WRITE_BATCH_LIMIT).forEach((recipient) => {
+      batch.set(campaignRef.collection(RECIPIENTS).doc(recipient.uid), {
+        userId: recipient.uid,
+        name: recipient.name,
+        status: 'pending',
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+    });
+    await batch.commit();
+  }
+}
+
+function isClaimable(recipient, staleBefore) {
+  if (recipient.status === 'pending') return true;
+  return recipient.status === 'sending' && (!recipient.claimedAt || recipient.claimedAt.toMillis() <= staleBefore);
+}
+
+// Claim up to BATCH_SIZE recipients (pending -> sending, stamped with claimedAt) so overlapping
+// runs never send to the same person twice. Claims left behind by a run that crashed or timed
+// out mid-batch are taken over once they are CLAIM_STALE_MS old.
+async function claimRecipients(campaignRef, now = Date.now()) {
+  const recipientsRef = campaignRef.collection(RECIPIENTS);
+  const staleBefore = now - CLAIM_STALE_MS;
+  const pendingSnap = await recipientsRef.where('status', '==', 'pending').limit(BATCH_SIZE).get();
+  let docs = pendingSnap.docs;
+  if (docs.length < BATCH_SIZE) {
+    const staleSnap = await recipientsRef
+      .where('status', '==', 'sending')
+      .where('claimedAt', '<=', admin.firestore.Timestamp.fromMillis(staleBefore))
+      .limit(BATCH_SIZE - docs.length)
+      .get();
+    docs = docs.concat(staleSnap.docs);
+  }
+  if (docs.length === 0) return [];
+
+  return admin.firestore().runTransaction(async (transaction) => {
+    const fresh = await Promise.all(docs.map((recipientDoc) => transaction.get(recipientDoc.ref)));
+    const claimed = fresh.filter((recipientSnap) => recipientSnap.exists && isClaimable(recipientSnap.data(), staleBefore));
+    claimed.forEach((recipientSnap) => transaction.update(recipientSnap.ref, {
+      status: 'sending',
+      claimedAt: admin.firestore.Timestamp.fromMillis(now),
+    }));
+    return claimed;
+  });
+}
+
+// True while any recipient is still claimed by a run (live or not yet stale)
+async function hasRecipientsInFlight(campaignRef) {
+  const sendingSnap = await campaignRef.collection(RECIPIENTS).where('status', '==', 'sending').limit(1).get();
+  return !sendingSnap.empty;
+}
+
+// Send to claimed recipients CONCURRENCY at a time with a pause between groups.
+// sendOne(recipientSnap) -> { status, channels?, reason?, error? }; returns per-status counts.
+// Stops starting new groups once `deadline` has passed and hands the unsent recipients back
+// to pending for the next run.
+async function sendThrottled(recipients, sendOne, deadline = Infinity) {
+  const counts = { sent: 0, skipped: 0, failed: 0, released: 0 };
+  for (let i = 0; i < recipients.length; i += CONCURRENCY) {
+    if (i > 0) await sleep(THROTTLE_MS);
+    if (Date.now() >= deadline) {
+      const unsent = recipients.slice(i);
+      for (let j = 0; j < unsent.length; j += WRITE_BATCH_LIMIT) {
+        const batch = admin.firestore().batch();
+        unsent.slice(j, j + WRITE_BATCH_LIMIT).forEach((recipientSnap) => batch.update(recipientSnap.ref, {
+          status: 'pending',
+          claimedAt: admin.firestore.FieldValue.delete(),
+        }));
+        await batch.commit();
+      }
+      counts.released = unsent.length;
+      break;
+    }
+    await Promise.all(recipients.slice(i, i + CONCURRENCY).map(async (recipientSnap) => {
+      let outcome;
+      try {
+        outcome = await sendOne(recipientSnap);
+      } catch (error) {
+        outcome = { status: 'failed', error: error.message };
+      }
+      counts[outcome.status]++;
+      await recipientSnap.ref.update({
+        status: outcome.status,
+        channels: outcome.channels || [],
+        reason: outcome.reason || null,
+        error: outcome.error || null,
+        processedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+    }));
+  }
+  return counts;
+}
+
+// Signed token for one-click unsubscribe links (UNSUBSCRIBE_SECRET in .env)
+function getUnsubscribeToken(uid, secret = process.env.UNSUBSCRIBE_SECRET) {
+  if (!secret) return null;
+  return crypto.createHmac('sha256', secret).update(`unsubscribe:${uid}`).digest('hex').slice(0, 32);
+}
+
+function verifyUnsubscribeToken(uid, token, secret = process.env.UNSUBSCRIBE_SECRET) {
+  const expected = getUnsubscribeToken(uid, secret);
+  if (!expected || typeof token !== 'string' || token.length !== expected.length) return false;
+  return crypto.timingSafeEqual(Buffer.from(token), Buffer.from(expected));
+}
+
+module.exports = {
+  COLLECTION,
+  RECIPIENTS,
+  CAMPAIGN_TYPES,
+  BATCH_SIZE,
+  sanitizeSegment,
+  describeSegment,
+  buildAudience,
+  writeRecipients,
+  claimRecipients,
+  hasRecipientsInFlight,
+  sendThrottled,
+  getUnsubscribeToken,
+  verifyUnsubscribeToken
+};
@@ -0,0 +1,377 @@
+// email-templates.js - Transactional email templates for Top Autocare Garage
+// Every customer email is a named template with per-locale strings. Template strings may
+// contain trusted markup (<strong>); {placeholders} are always HTML-escaped in the HTML
+// variant and inserted as-is in the plain-text variant (markup stripped). Business name,
+// phone, address and site URL come from settings/global so nothing is hard-coded here.
+
+const admin = require('firebase-admin');
+
+const LOCALES = ['en', 'sw'];
+const DEFAULT_LOCALE = 'en';
+const BUSINESS_CACHE_MS = 5 * 60 * 1000;
+
+const BUSINESS_DEFAULTS = {
+  businessName: 'Top Autocare Garage',
+  businessPhone: '+254 757 562 447',
+  businessEmail: '',
+  businessAddress: 'Nairobi, Kenya',
+  websiteUrl: 'https://top-autocare.com'
+};
+
+// Shared layout strings
+const LAYOUT = {
+  en: {
+    greeting: 'Hi {name},',
+    fallbackName: 'there',
+    questions: 'Questions? Call {businessPhone}',
+    appointment: 'appointment',
+    unsubscribe: 'Unsubscribe from offers and announcements'
+  },
+  sw: {
+    greeting: 'Habari {name},',
+    fallbackName: 'mteja',
+    questions: 'Maswali? Piga simu {businessPhone}',
+    appointment: 'miadi',
+    unsubscribe: 'Jiondoe kwenye ofa na matangazo'
+  }
+};
+
+const STATUS_LABELS = {
+  en: { pending: 'Pending', approved: 'Approved', in_progress: 'In progress', completed: 'Completed', cancelled: 'Cancelled', rejected: 'Rejected', no_show: 'No-show' },
+  sw: { pending: 'Inasubiri', approved: 'Imeidhinishwa', in_progress: 'Inaendelea', completed: 'Imekamilika', cancelled: 'Imeghairiwa', rejected: 'Imekataliwa', no_show: 'Hukufika' }
+};
+
+// Payment descriptions ("your deposit", "your invoice INV-2025-0001")
+const PAYMENT_WHAT = {
+  en: (data) => (data.purpose === 'deposit' ? 'deposit' : `invoice ${data.reference || ''}`.trim()),
+  sw: (data) => (data.purpose === 'deposit' ? 'amana' : `ankara ${data.reference || ''}`.trim())
+};
+
+// name -> { description, sample, prepare?(data, locale), [locale]: { subject, body: [line | { text, when }], action? } }
+// A body line with `when` is only included when that field has a value.
+const TEMPLATES = {
+  appointment_booked: {
+    description: 'Customer booked an appointment',
+    sample: { service: 'Oil Change', when: '2025-03-14 10:00', reference: 'TA-250314-K7Q2', appointmentId: 'sample-appointment' },
+    prepare: (data) => ({ reference: data.reference || data.appointmentId }),
+    en: {
+      subject: 'Appointment {reference} - Confirmation | {businessName}',
+      body: [
+        'Your appointment for <strong>{service}</strong> on <strong>{when}</strong> has been booked!',
+        "Status: pending. We'll notify you once it's approved."
+      ],
+      action: { label: 'Track your booking', path: '/appointment-details.html?id={appointmentId}' }
+    },
+    sw: {
+      subject: 'Miadi {reference} - Uthibitisho | {businessName}',
+      body: [
+        'Miadi yako ya <strong>{service}</strong> tarehe <strong>{when}</strong> imehifadhiwa!',
+        'Hali: inasubiri. Tutakujulisha itakapoidhinishwa.'
+      ],
+      action: { label: 'Fuatilia miadi yako', path: '/appointment-details.html?id={appointmentId}' }
+    }
+  },
+  appointment_status: {
+    description: 'Garage changed an appointment status',
+    sample: { service: 'Brake Service', when: '2025-03-14 10:00', reference: 'TA-250314-K7Q2', toStatus: 'approved', reason: 'Please bring your service book.', appointmentId: 'sample-appointment' },
+    prepare: (data, locale) => {
+      const statusLabel = STATUS_LABELS[locale][data.toStatus] || String(data.toStatus || '').replace('_', ' ');
+      return {
+        reference: data.reference || data.appointmentId,
+        service: data.service || LAYOUT[locale].appointment,
+        statusHeading: statusLabel,
+        statusText: statusLabel.toLowerCase()
+      };
+    },
+    en: {
+      subject: 'Appointment {reference} - {statusHeading} | {businessName}',
+      body: [
+        'Your <strong>{service}</strong> is now <strong>{statusText}</strong>.',
+        { text: 'Appointment time: {when}', when: 'when' },
+        { text: 'Note from the garage: {reason}', when: 'reason' }
+      ],
+      action: { label: 'Manage your booking', path: '/appointment-details.html?id={appointmentId}' }
+    },
+    sw: {
+      subject: 'Miadi {reference} - {statusHeading} | {businessName}',
+      body: [
+        'Hali ya <strong>{service}</strong> yako sasa ni <strong>{statusText}</strong>.',
+        { text: 'Muda wa miadi: {when}', when: 'when' },
+        { text: 'Ujumbe kutoka gereji: {reason}', when: 'reason' }
+      ],
+      action: { label: 'Simamia miadi yako', path: '/appointment-details.html?id={appointmentId}' }
+    }
+  },
+  appointment_rescheduled: {
+    description: 'Customer moved their appointment',
+    sample: { service: 'Wheel Alignment', fromSlot: '2025-03-14 10:00', toSlot: '2025-03-15 14:30', appointmentId: 'sample-appointment' },
+    prepare: (data, locale) => ({ service: data.service || LAYOUT[locale].appointment }),
+    en: {
+      subject: 'Appointment moved to {toSlot} | {businessName}',
+      body: ['Your <strong>{service}</strong> has moved from {fromSlot} to <strong>{toSlot}</strong>.'],
+      action: { label: 'Manage your booking', path: '/appointment-details.html?id={appointmentId}' }
+    },
+    sw: {
+      subject: 'Miadi imehamishwa hadi {toSlot} | {businessName}',
+      body: ['<strong>{service}</strong> yako imehamishwa kutoka {fromSlot} hadi <strong>{toSlot}</strong>.'],
+      action: { label: 'Simamia miadi yako', path: '/appointment-details.html?id={appointmentId}' }
+    }
+  },
+  appointment_reminder: {
+    description: 'Scheduled reminder before an approved appointment',
+    sample: { service: 'Oil Change', when: '2025-03-14 at 10:00', reference: 'TA-250314-K7Q2', vehicle: 'Toyota Corolla (KDA 123A)', appointmentId: 'sample-appointment' },
+    en: {
+      subject: 'Reminder: {service} on {when} | {businessName}',
+      body: [
+        'This is a reminder of your <strong>{service}</strong> appointment on <strong>{when}</strong>.',
+        { text: 'Booking reference: <strong>{reference}</strong>', when: 'reference' },
+        { text: 'Vehicle: {vehicle}', when: 'vehicle' }
+      ],
+      action: { label: 'Need to change it? Manage your booking', path: '/appointment-details.html?id={appointmentId}' }
+    },
+    sw: {
+      subject: 'Kikumbusho: {service} tarehe {when} | {businessName}',
+      body: [
+        'Huu ni ukumbusho wa miadi yako ya <strong>{service}</strong> tarehe <strong>{when}</strong>.',
+        { text: 'Nambari ya miadi: <strong>{reference}</strong>', when: 'reference' },
+        { text: 'Gari: {vehicle}', when: 'vehicle' }
+      ],
+      action: { label: 'Unahitaji kubadilisha? Simamia miadi yako', path: '/appointment-details.html?id={appointmentId}' }
+    }
+  },
+  booking_released: {
+    description: 'Unpaid deposit hold expired and the booking was cancelled',
+    sample: { service: 'Engine Diagnostics', when: '2025-03-14 10:00' },
+    prepare: (data, locale) => ({ service: data.service || LAYOUT[locale].appointment }),
+    en: {
+      subject: 'Your booking was released | {businessName}',
+      body: ["Your <strong>{service}</strong> on {when} was cancelled because the deposit wasn't paid in time."],
+      action: { label: 'Book again', path: '/book-appointment.html' }
+    },
+    sw: {
+      subject: 'Miadi yako imeachiliwa | {businessName}',
+      body: ['<strong>{service}</strong> yako ya {when} imeghairiwa kwa sababu amana haikulipwa kwa wakati.'],
+      action: { label: 'Weka miadi tena', path: '/book-appointment.html' }
+    }
+  },
+  appointment_message: {
+    description: 'The garage replied in the appointment chat',
+    sample: { senderName: 'Top Autocare', preview: 'Your brake pads are in. We can start at 10am.', service: 'Brake Service', appointmentId: 'sample-appointment' },
+    prepare: (data, locale) => ({ service: data.service || LAYOUT[locale].appointment }),
+    en: {
+      subject: 'New message about your {service} | {businessName}',
+      body: ['<strong>{senderName}</strong> wrote:', '<em>{preview}</em>'],
+      action: { label: 'Read and reply', path: '/appointment-details.html?id={appointmentId}' }
+    },
+    sw: {
+      subject: 'Ujumbe mpya kuhusu {service} | {businessName}',
+      body: ['<strong>{senderName}</strong> ameandika:', '<em>{preview}</em>'],
+      action: { label: 'Soma na ujibu', path: '/appointment-details.html?id={appointmentId}' }
+    }
+  },
+  quote_sent: {
+    description: 'Quote sent to the customer for approval (PDF attached)',
+    sample: { number: 'QT-2025-0007', total: 'KES 7,160.00', appointmentId: 'sample-appointment' },
+    en: {
+      subject: 'Quote {number} | {businessName}',
+      body: ['Your quote <strong>{number}</strong> for <strong>{total}</strong> is attached.'],
+      action: { label: 'Approve or decline it here', path: '/appointment-details.html?id={appointmentId}' }
+    },
+    sw: {
+      subject: 'Makadirio {number} | {businessName}',
+      body: ['Makadirio yako <strong>{number}</strong> ya <strong>{total}</strong> yameambatishwa.'],
+      action: { label: 'Idhinisha au kataa hapa', path: '/appointment-details.html?id={appointmentId}' }
+    }
+  },
+  invoice_issued: {
+    description: 'Invoice issued after a job (PDF attached)',
+    sample: { number: 'INV-2025-0042', total: 'KES 7,160.00', appointmentId: 'sample-appointment' },
+    en: {
+      subject: 'Invoice {number} | {businessName}',
+      body: ['Thank you for servicing with us. Your invoice <strong>{number}</strong> for <strong>{total}</strong> is attached.'],
+      action: { label: 'View or pay it online', path: '/appointment-details.html?id={appointmentId}' }
+    },
+    sw: {
+      subject: 'Ankara {number} | {businessName}',
+      body: ['Asante kwa kuhudumiwa nasi. Ankara yako <strong>{number}</strong> ya <strong>{total}</strong> imeambatishwa.'],
+      action: { label: 'Tazama au lipa mtandaoni', path: '/appointment-details.html?id={appointmentId}' }
+    }
+  },
+  payment_received: {
+    description: 'M-Pesa payment completed',
+    sample: { amount: 2000, receipt: 'QKL4XYZ123', purpose: 'deposit' },
+    prepare: (data, locale) => ({ amount: `KES ${Number(data.amount || 0).toLocaleString('en-KE')}`, what: PAYMENT_WHAT[locale](data) }),
+    en: {
+      subject: 'Payment received - {receipt} | {businessName}',
+      body: ['We received <strong>{amount}</strong> via M-Pesa for your {what}.', 'M-Pesa receipt: <strong>{receipt}</strong>']
+    },
+    sw: {
+      subject: 'Malipo yamepokelewa - {receipt} | {businessName}',
+      body: ['Tumepokea <strong>{amount}</strong> kupitia M-Pesa kwa {what} yako.', 'Risiti ya M-Pesa: <strong>{receipt}</strong>']
+    }
+  },
+  payment_failed: {
+    description: 'M-Pesa payment cancelled or failed',
+    sample: { purpose: 'invoice', reference: 'INV-2025-0042', resultDesc: 'Request cancelled by user' },
+    prepare: (data, locale) => ({ what: PAYMENT_WHAT[locale](data), resultDesc: data.resultDesc || (locale === 'sw' ? 'tafadhali jaribu tena' : 'please try again') }),
+    en: {
+      subject: 'Payment not completed | {businessName}',
+      body: ['Your M-Pesa payment for {what} was not completed: {resultDesc}.']
+    },
+    sw: {
+      subject: 'Malipo hayakukamilika | {businessName}',
+      body: ['Malipo yako ya M-Pesa kwa {what} hayakukamilika: {resultDesc}.']
+    }
+  },
+  announcement: {
+    description: 'Admin announcement or promotion (title and message entered by staff)',
+    sample: { title: 'Easter Service Offer', message: '15% off all brake services until 21 April.' },
+    en: {
+      subject: '{title} | {businessName}',
+      body: ['<strong>{title}</strong>', '{message}'],
+      action: { label: 'View all', path: '/dashboard.html' }
+    },
+    sw: {
+      subject: '{title} | {businessName}',
+      body: ['<strong>{title}</strong>', '{message}'],
+      action: { label: 'Tazama zote', path: '/dashboard.html' }
+    }
+  },
+  ops_alert: {
+    description: 'Operational alert for on-duty admins (settings/alerts rules)',
+    sample: { label: 'Pending appointments waiting', message: '3 appointments have been pending for over 2 hours.' },
+    en: {
+      subject: 'Alert: {label} | {businessName}',
+      body: ['<strong>{label}</strong>', '{message}', 'Acknowledge or snooze it in the admin notifications page.'],
+      action: { label: 'Open alerts', path: '/admin-notifications.html' }
+    },
+    sw: {
+      subject: 'Tahadhari: {label} | {businessName}',
+      body: ['<strong>{label}</strong>', '{message}', 'Ithibitishe au iahirishe kwenye ukurasa wa arifa za msimamizi.'],
+      action: { label: 'Fungua tahadhari', path: '/admin-notifications.html' }
+    }
+  },
+  user_report: {
+    description: 'Customer activity report (PDF attached)',
+    sample: { name: 'Jane Wanjiku' },
+    en: {
+      subject: 'User Report for {name} | {businessName}',
+      body: ['Your activity summary is attached.']
+    },
+    sw: {
+      subject: 'Ripoti ya Shughuli za {name} | {businessName}',
+      body: ['Muhtasari wa shughuli zako umeambatishwa.']
+    }
+  }
+};
+
+function escapeHtml(value) {
+  return String(value ?? '').replace(/[&<>"']/g, (char) => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;',
+  })[char]);
+}
+
+function stripTags(text) {
+  return String(text).replace(/<[^>]+>/g, '');
+}
+
+// Fill {placeholders}; `encode` escapes each value (HTML) or leaves it alone (text)
+function interpolate(text, vars, encode) {
+  return text.replace(/\{(\w+)\}/g, (match, key) => encode(vars[key] ?? ''));
+}
+
+// 'sw', 'sw-KE', 'SW' -> 'sw'; anything unknown -> 'en'
+function resolveLocale(value) {
+  const language = String(value || '').toLowerCase().split(/[-_]/)[0];
+  return LOCALES.includes(language) ? language : DEFAULT_LOCALE;
+}
+
+let businessCache = null;
+
+// Business details from settings/global, cached briefly across invocations
+async function getBusinessDetails() {
+  if (businessCache && Date.now() - businessCache.loadedAt < BUSINESS_CACHE_MS) return businessCache.details;
+
+  const settingsSnap = await admin.firestore().collection('settings').doc('global').get();
+  const settings = settingsSnap.exists ? settingsSnap.data() : {};
+  const details = { ...BUSINESS_DEFAULTS };
+  Object.keys(BUSINESS_DEFAULTS).forEach((key) => {
+    if (typeof settings[key] === 'string' && settings[key].trim()) details[key] = settings[key].trim();
+  });
+  details.websiteUrl = details.websiteUrl.replace(/\/+$/, '');
+
+  businessCache = { details, loadedAt: Date.now() };
+  return details;
+}
+
+// Render a named template -> { subject, html, text }
+function renderEmail(name, { locale, data = {}, business = BUSINESS_DEFAULTS } = {}) {
+  const template = TEMPLATES[name];
+  if (!template) throw new Error(`Unknown email template: ${name}`);
+
+  const lang = resolveLocale(locale);
+  const strings = template[lang] || template[DEFAULT_LOCALE];
+  const layout = LAYOUT[lang];
+  const vars = {
+    ...business,
+    ...data,
+    ...(template.prepare ? template.prepare(data, lang) : {}),
+  };
+  const greetingVars = { name: data.name || layout.fallbackName };
+  const lines = strings.body
+    .filter((line) => typeof line === 'string' || vars[line.when])
+    .map((line) => (typeof line === 'string' ? line : line.text));
+  const actionUrl = strings.action ? `${business.websiteUrl}${interpolate(strings.action.path, vars, encodeURIComponent)}` : null;
+  const footer = [business.businessName, business.businessAddress].filter(Boolean).join(', ');
+  // Marketing sends (campaigns) pass a one-click opt-out link
+  const unsubscribeUrl = typeof data.unsubscribeUrl === 'string' ? data.unsubscribeUrl : null;
+
+  const html = `
+    <div style="font-family: Arial, sans-serif; color: #222; max-width: 600px;">
+      <h2>${interpolate(layout.greeting, greetingVars, escapeHtml)}</h2>
+      ${lines.map((line) => `<p>${interpolate(line, vars, escapeHtml)}</p>`).join('\n      ')}
+      ${actionUrl ? `<p><a href="${escapeHtml(actionUrl)}">${escapeHtml(strings.action.label)}</a></p>` : ''}
+      <p>${interpolate(layout.questions, business, escapeHtml)}</p>
+      <hr>
+      <small>${escapeHtml(footer)}</small>
+      ${unsubscribeUrl ? `<br><small><a href="${escapeHtml(unsubscribeUrl)}">${escapeHtml(layout.unsubscribe)}</a></small>` : ''}
+    </div>
+  `;
+
+  const text = [
+    interpolate(layout.greeting, greetingVars, String),
+    ...lines.map((line) => interpolate(stripTags(line), vars, String)),
+    ...(actionUrl ? [`${strings.action.label}: ${actionUrl}`] : []),
+    interpolate(layout.questions, business, String),
+    `-- \n${footer}`,
+    ...(unsubscribeUrl ? [`${layout.unsubscribe}: ${unsubscribeUrl}`] : []),
+  ].join('\n\n');
+
+  return {
+    subject: interpolate(strings.subject, vars, String).replace(/[\r\n]+/g, ' ').trim(),
+    html,
+    text,
+  };
+}
+
+// Template catalogue for the admin preview screen
+function listTemplates() {
+  return Object.entries(TEMPLATES).map(([name, template]) => ({
+    name,
+    description: template.description,
+    locales: LOCALES.filter((locale) => template[locale]),
+    sample: template.sample,
+  }));
+}
+
+module.exports = {
+  LOCALES,
+  DEFAULT_LOCALE,
+  BUSINESS_DEFAULTS,
+  TEMPLATES,
+  escapeHtml,
+  resolveLocale,
+  getBusinessDetails,
+  renderEmail,
+  listTemplates
+};
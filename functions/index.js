@@ -3,6 +3,18 @@ const admin = require('firebase-admin');
 const nodemailer = require('nodemailer');
 const cors = require('cors');
 const puppeteer = require('puppeteer');
+const availability = require('./availability');
+const appointmentStatus = require('./appointment-status');
+const maintenance = require('./maintenance');
+const notifications = require('./notifications');
+const invoices = require('./invoices');
+const mpesa = require('./mpesa');
+const push = require('./push');
+const emailTemplates = require('./email-templates');
+const campaigns = require('./campaigns');
+const smsInbound = require('./sms-inbound');
+const adminAlerts = require('./admin-alerts');
+const statusDigest = require('./status-digest');
 
 // Initialize Firebase Admin (for Firestore access)
 admin.initializeApp();
@@ -17,6 +29,25 @@ const nodemailerTransporter = nodemailer.createTransport({
 
 const twilioClient = require('twilio')(process.env.TWILIO_SID, process.env.TWILIO_AUTH_TOKEN); // Optional SMS
 
+// Outbound texts join the sender's SMS conversation record (replies arrive via twilioInbound)
+async function logOutboundSms(recipient, body, event) {
+  const phone = smsInbound.normalizePhone(recipient.phone);
+  if (!phone) return;
+  try {
+    await smsInbound.logExchange(phone, { direction: 'outbound', channel: 'sms', body, event }, recipient.userId ? { id: recipient.userId, fullName: recipient.name } : null);
+  } catch (error) {
+    console.error('Failed to log outbound SMS:', error);
+  }
+}
+
+// One dispatcher for every customer/admin notification (see notifications.js)
+const notifier = notifications.createDispatcher({
+  inApp: notifications.inAppAdapter(),
+  email: notifications.emailAdapter(nodemailerTransporter, process.env.GMAIL_USER),
+  sms: notifications.smsAdapter(twilioClient, process.env.TWILIO_PHONE, () => Boolean(process.env.TWILIO_SID), logOutboundSms),
+  push: push.pushAdapter(),
+});
+
 // Middleware for HTTPS functions (CORS)
 const corsHandler = cors({ origin: true });
 
@@ -29,54 +60,23 @@ exports.createAppointment = functions.firestore
   .onCreate(async (snap, context) => {
     const appointment = snap.data();
     const appointmentId = context.params.appointmentId;
-    const { userId, email, phone, service, date, status } = appointment;
+    const { userId, email, phone, service, status } = appointment;
+    const date = appointment.slotDate ? `${appointment.slotDate} ${appointment.time}` : appointment.date;
 
     if (!userId || status !== 'pending') return null;
 
     try {
-      // Update appointment with server timestamp
-      await snap.ref.update({ createdAt: admin.firestore.FieldValue.serverTimestamp() });
-
-      // Get user details
-      const userDoc = await admin.firestore().collection('users').doc(userId).get();
-      const userData = userDoc.data();
-      const fullName = userData?.fullName || 'Customer';
-
-      // Send email confirmation
-      const mailOptions = {
-        from: process.env.GMAIL_USER,
-        to: email,
-        subject: `Appointment #${appointmentId} - Confirmation | Top Autocare`,
-        html: `
-          <h2>Hi ${fullName},</h2>
-          <p>Your appointment for <strong>${service}</strong> on <strong>${date}</strong> has been booked!</p>
-          <p>Status: ${status}. We'll notify you if approved.</p>
-          <p>Track it: <a href="https://top-autocare.com/dashboard.html">Dashboard</a></p>
-          <p>Questions? Call +254 757 562 447</p>
-          <hr>
-          <small>Top Autocare Garage, Nairobi, Kenya</small>
-        `,
-      };
-      await nodemailerTransporter.sendMail(mailOptions);
-
-      // Optional SMS (Twilio)
-      if (phone && process.env.TWILIO_SID) {
-        await twilioClient.messages.create({
-          body: `Top Autocare: Your ${service} appointment on ${date} is booked! Check email.`,
-          from: process.env.TWILIO_PHONE,
-          to: phone,
-        });
+      // Update appointment with server timestamp (bookAppointment already sets it)
+      if (!appointment.createdAt) {
+        await snap.ref.update({ createdAt: admin.firestore.FieldValue.serverTimestamp() });
       }
 
-      // Log to notifications collection
-      await admin.firestore().collection('notifications').add({
-        userId,
-        type: 'appointment',
-        title: 'Appointment Booked',
-        message: `Your ${service} on ${date} is pending approval.`,
-        data: { appointmentId },
-        timestamp: admin.firestore.FieldValue.serverTimestamp(),
-        read: false,
+      await notifier.dispatch('appointment_booked', { userId, email, phone }, {
+        appointmentId,
+        reference: appointment.reference,
+        service,
+        when: date,
+        notificationData: { appointmentId },
       });
 
       console.log(`Appointment ${appointmentId} confirmed for ${email}`);
@@ -116,71 +116,41 @@ exports.approveAppointment = functions.https.onRequest((req, res) => {
         return res.status(403).json({ error: 'Admin access required' });
       }
 
-      // Update appointment status
+      // Update appointment status through the state machine (records history)
       const newStatus = action === 'approve' ? 'approved' : 'rejected';
-      const updateData = {
-        status: newStatus,
-        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
-      };
+      const extraUpdates = {};
 
       // If approved, add admin notes or schedule
       if (action === 'approve') {
-        updateData.adminNotes = req.body.adminNotes || '';
-      }
-
-      await admin.firestore().collection('appointments').doc(appointmentId).update(updateData);
-
-      // Get user for notification
-      const appointmentDoc = await admin.firestore().collection('appointments').doc(appointmentId).get();
-      const appointment = appointmentDoc.data();
-      const userId = appointment.userId;
-      const userDocUser = await admin.firestore().collection('users').doc(userId).get();
-      const userEmail = userDocUser.data()?.email;
-      const userPhone = userDocUser.data()?.phone;
-      const fullName = userDocUser.data()?.fullName || 'Customer';
-
-      // Send notification email
-      const statusText = newStatus.charAt(0).toUpperCase() + newStatus.slice(1);
-      const mailOptions = {
-        from: process.env.GMAIL_USER,
-        to: userEmail,
-        subject: `Appointment #${appointmentId} - ${statusText} | Top Autocare`,
-        html: `
-          <h2>Hi ${fullName},</h2>
-          <p>Your ${appointment.service} on ${appointment.date} has been ${newStatus}.</p>
-          <p>Details: ${action === 'approve' ? 'Confirmed! See you soon.' : 'We\'ll reschedule.'}</p>
-          <p>Track: <a href="https://top-autocare.com/dashboard.html">Dashboard</a></p>
-          <p>+254 757 562 447</p>
-        `,
-      };
-      await nodemailerTransporter.sendMail(mailOptions);
-
-      // Optional SMS
-      if (userPhone && process.env.TWILIO_SID) {
-        const smsBody = `Top Autocare: Your appointment ${appointmentId} ${action}ed for ${appointment.date}.`;
-        await twilioClient.messages.create({
-          body: smsBody,
-          from: process.env.TWILIO_PHONE,
-          to: userPhone,
-        });
+        extraUpdates.adminNotes = req.body.adminNotes || '';
       }
 
-      // Add to notifications
-      await admin.firestore().collection('notifications').add({
-        userId,
-        type: 'appointment',
-        title: `${statusText} Update`,
-        message: `Your appointment has been ${newStatus}.`,
-        data: { appointmentId, action },
-        timestamp: admin.firestore.FieldValue.serverTimestamp(),
-        read: false,
+      const { appointment } = await appointmentStatus.applyTransition({
+        appointmentId,
+        toStatus: newStatus,
+        actor: { uid, role: 'admin' },
+        reason: req.body.adminNotes || '',
+        extraUpdates,
+      });
+      await notifier.dispatch('appointment_status', { userId: appointment.userId }, {
+        appointmentId,
+        reference: appointment.reference,
+        service: appointment.service,
+        when: appointment.slotDate ? `${appointment.slotDate} ${appointment.time}` : null,
+        toStatus: newStatus,
+        reason: req.body.adminNotes || '',
+        notificationData: { appointmentId, action },
       });
 
       res.json({ success: true, message: `Appointment ${action}ed` });
 
     } catch (error) {
       console.error('Error in approveAppointment:', error);
-      if (error.code === 'auth/invalid-id-token') {
+      if (error.code === 'not-found') {
+        res.status(404).json({ error: error.message });
+      } else if (error.code === 'invalid-transition') {
+        res.status(409).json({ error: error.message });
+      } else if (error.code === 'auth/invalid-id-token') {
         res.status(401).json({ error: 'Invalid token' });
       } else {
         res.status(500).json({ error: 'Internal server error' });
@@ -209,42 +179,19 @@ exports.sendBulkNotification = functions.https.onRequest((req, res) => {
         return res.status(403).json({ error: 'Admin only' });
       }
 
-      // Query users (all or specific role)
-      const usersQuery = admin.firestore().collection('users').where('role', '==', targetRole);
-      const usersSnapshot = await usersQuery.get();
-      const notificationsSent = [];
-
-      for (const userDoc of usersSnapshot.docs) {
-        const userId = userDoc.id;
-        const userData = userDoc.data();
-        const email = userData.email;
-
-        // Create notification in Firestore
-        await admin.firestore().collection('notifications').add({
-          userId,
-          type: type || 'promotion',
-          title,
-          message,
-          data: { action: 'read' },
-          timestamp: admin.firestore.FieldValue.serverTimestamp(),
-          read: false,
-        });
-
-        // Send email
-        const mailOptions = {
-          from: process.env.GMAIL_USER,
-          to: email,
-          subject: `${title} | Top Autocare`,
-          html: `<h2>${title}</h2><p>${message}</p><p><a href="https://top-autocare.com/dashboard.html">View All</a></p>`,
-        };
-        await nodemailerTransporter.sendMail(mailOptions);
-
-        notificationsSent.push(userId);
-      }
+      // Queued as a campaign: processCampaigns sends it in throttled batches (section 20)
+      const campaignRef = await scheduleCampaign(uid, {
+        name: title,
+        title,
+        message,
+        type,
+        segment: { role: targetRole },
+      });
 
-      res.json({ success: true, sentTo: notificationsSent.length });
+      res.json({ success: true, queued: true, campaignId: campaignRef.id });
 
     } catch (error) {
+      if (error instanceof functions.https.HttpsError) return res.status(400).json({ error: error.message });
       console.error('Error in sendBulkNotification:', error);
       res.status(500).json({ error: 'Failed to send notifications' });
     }
@@ -264,7 +211,7 @@ exports.generateUserReport = functions.https.onRequest((req, res) => {
 
     try {
       const decodedToken = await admin.auth().verifyIdToken(idToken);
-      if (admin.firestore().collection('users').doc(decodedToken.uid).get().data()?.role !== 'admin') {
+      if (!(await isAdminUser(decodedToken.uid))) {
         return res.status(403).json({ error: 'Admin only' });
       }
 
@@ -302,12 +249,18 @@ exports.generateUserReport = functions.https.onRequest((req, res) => {
       await browser.close();
 
       // Email PDF
+      const email = emailTemplates.renderEmail('user_report', {
+        locale: userData.language,
+        data: { name: userData.fullName },
+        business: await emailTemplates.getBusinessDetails(),
+      });
       const mailOptions = {
         from: process.env.GMAIL_USER,
         to: userData.email,
-        subject: `User Report for ${userData.fullName}`,
+        subject: email.subject,
         attachments: [{ filename: 'report.pdf', content: pdfBuffer }],
-        html: `<h2>Report Attached</h2><p>Your activity summary is attached.</p>`,
+        html: email.html,
+        text: email.text,
       };
       await nodemailerTransporter.sendMail(mailOptions);
 
@@ -319,3 +272,2461 @@ exports.generateUserReport = functions.https.onRequest((req, res) => {
     }
   });
 });
+
+// =============================================================================
+// 5. Get Available Slots (Callable - Booking Page)
+// =============================================================================
+
+exports.getAvailableSlots = functions.https.onCall(async (data, context) => {
+  const { date, serviceId } = data || {};
+
+  if (!context.auth) {
+    throw new functions.https.HttpsError('unauthenticated', 'Sign in to check availability');
+  }
+  if (!availability.isValidDateString(date) || !serviceId) {
+    throw new functions.https.HttpsError('invalid-argument', 'A valid date (YYYY-MM-DD) and serviceId are required');
+  }
+
+  try {
+    const serviceDoc = await admin.firestore().collection('services').doc(serviceId).get();
+    if (!serviceDoc.exists || (serviceDoc.data().status && serviceDoc.data().status !== 'active')) {
+      throw new functions.https.HttpsError('not-found', 'Service not available');
+    }
+
+    const config = await availability.getAvailabilityConfig();
+    const { durationMinutes, slots } = await availability.getAvailableSlots(date, serviceDoc.data(), config);
+
+    return {
+      date,
+      serviceId,
+      durationMinutes,
+      slotInterval: config.slotInterval,
+      capacity: availability.getCapacity(config),
+      utcOffset: config.utcOffset,
+      slots,
+    };
+
+  } catch (error) {
+    if (error instanceof functions.https.HttpsError) throw error;
+    console.error('Error in getAvailableSlots:', error);
+    throw new functions.https.HttpsError('internal', 'Failed to load availability');
+  }
+});
+
+// =============================================================================
+// 6. Release Booking Slot (Firestore Trigger - Cancel/Reject)
+// =============================================================================
+
+exports.releaseAppointmentSlot = functions.firestore
+  .document('appointments/{appointmentId}')
+  .onUpdate(async (change, context) => {
+    const before = change.before.data();
+    const after = change.after.data();
+    const releasingStatuses = ['cancelled', 'rejected'];
+
+    if (releasingStatuses.includes(before.status) || !releasingStatuses.includes(after.status)) return null;
+
+    try {
+      await admin.firestore().runTransaction(async (transaction) => {
+        const writeRelease = await availability.releaseSlot(transaction, after);
+        if (writeRelease) writeRelease();
+      });
+      console.log(`Slot released for appointment ${context.params.appointmentId}`);
+      return { success: true };
+
+    } catch (error) {
+      console.error('Error in releaseAppointmentSlot:', error);
+      functions.logger.error('Slot release failed:', error);
+      return null;
+    }
+  });
+
+// =============================================================================
+// 7. Book Appointment (Callable - Validated Server-Side Booking)
+// =============================================================================
+
+// Human-friendly booking reference, e.g. TA-250314-K7QX2M (no 0/O/1/I)
+function generateBookingReference(date) {
+  const alphabet = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+  let suffix = '';
+  for (let i = 0; i < 6; i++) {
+    suffix += alphabet[Math.floor(Math.random() * alphabet.length)];
+  }
+  return `TA-${date.replace(/-/g, '').slice(2)}-${suffix}`;
+}
+
+// Deposit owed for a booking: the service's own rule, raised to the no-show deposit
+// for customers at or above the no-show threshold (settings/availability)
+function getDepositAmount(service, userData, config) {
+  const price = Number(service.price) || 0;
+  let deposit = 0;
+  if (service.depositType === 'fixed') deposit = Number(service.depositValue) || 0;
+  if (service.depositType === 'percent') deposit = price * (Number(service.depositValue) || 0) / 100;
+
+  const threshold = Number(config.noShowDepositThreshold) || 0;
+  const noShows = Number(userData.reliability?.noShows) || 0;
+  if (threshold > 0 && noShows >= threshold) {
+    deposit = Math.max(deposit, price * (Number(config.noShowDepositPercent) || 0) / 100);
+  }
+  return Math.ceil(Math.min(deposit, price));
+}
+
+const BOOKING_REQUEST_ID = /^[A-Za-z0-9_-]{8,64}$/;
+
+exports.bookAppointment = functions.https.onCall(async (data, context) => {
+  const { serviceId, vehicleId, date, time, requestId } = data || {};
+  const notes = String(data?.notes || '').trim().slice(0, 500);
+
+  if (!context.auth) {
+    throw new functions.https.HttpsError('unauthenticated', 'Sign in to book an appointment');
+  }
+  if (!serviceId || !vehicleId || !availability.isValidDateString(date) || !/^\d{2}:\d{2}$/.test(time || '')) {
+    throw new functions.https.HttpsError('invalid-argument', 'serviceId, vehicleId, date (YYYY-MM-DD) and time (HH:MM) are required');
+  }
+  if (requestId !== undefined && !BOOKING_REQUEST_ID.test(String(requestId))) {
+    throw new functions.https.HttpsError('invalid-argument', 'requestId must be 8-64 letters, digits, - or _');
+  }
+
+  const uid = context.auth.uid;
+  const db = admin.firestore();
+
+  try {
+    const [serviceDoc, vehicleDoc, userDoc, config] = await Promise.all([
+      db.collection('services').doc(serviceId).get(),
+      db.collection('vehicles').doc(vehicleId).get(),
+      db.collection('users').doc(uid).get(),
+      availability.getAvailabilityConfig(),
+    ]);
+
+    if (!vehicleDoc.exists || vehicleDoc.data().userId !== uid) {
+      throw new functions.https.HttpsError('permission-denied', 'Vehicle not found on your account');
+    }
+    const service = serviceDoc.data();
+    if (!serviceDoc.exists || (service.status && service.status !== 'active')) {
+      throw new functions.https.HttpsError('failed-precondition', 'Service is not available');
+    }
+
+    const durationMinutes = availability.getServiceMinutes(service);
+    const slotError = availability.validateSlotRequest(date, time, durationMinutes, config);
+    if (slotError) {
+      throw new functions.https.HttpsError('invalid-argument', slotError);
+    }
+
+    const vehicle = vehicleDoc.data();
+    const userData = userDoc.data() || {};
+    // requestId (client-generated, e.g. by the offline queue) becomes the appointment id so a retry can't book twice
+    const appointmentRef = requestId ? db.collection('appointments').doc(String(requestId)) : db.collection('appointments').doc();
+    const reference = generateBookingReference(date);
+    const depositAmount = getDepositAmount(service, userData, config);
+    const startDate = availability.toStartDate(date, time, config);
+    // Hold the slot for depositHoldHours, but never past the appointment itself
+    const depositDueBy = new Date(Math.min(
+      Date.now() + (Number(config.depositHoldHours) || 0) * 60 * 60 * 1000,
+      startDate.getTime()
+    ));
+
+    const existing = await db.runTransaction(async (transaction) => {
+      const existingDoc = await transaction.get(appointmentRef);
+      if (existingDoc.exists) {
+        if (existingDoc.data().userId !== uid) {
+          throw new functions.https.HttpsError('already-exists', 'This booking request id is already in use');
+        }
+        return existingDoc.data();
+      }
+      const writeLedger = await availability.reserveSlot(transaction, date, time, durationMinutes, config);
+      writeLedger();
+      transaction.set(appointmentRef, {
+        reference,
+        userId: uid,
+        email: userData.email || context.auth.token.email || '',
+        phone: userData.phone || '',
+        userName: userData.fullName || '',
+        service: service.name,
+        serviceId,
+        price: Number(service.price) || 0,
+        vehicleId,
+        vehicleMake: vehicle.make || 'Unknown',
+        vehicleModel: vehicle.model || 'N/A',
+        vehicleYear: vehicle.year || 0,
+        vehiclePlate: vehicle.plate || vehicle.licensePlate || 'N/A',
+        date: admin.firestore.Timestamp.fromDate(startDate),
+        time,
+        slotDate: date,
+        durationMinutes,
+        slotInterval: config.slotInterval,
+        notes,
+        status: 'pending',
+        ...(depositAmount > 0 ? {
+          depositAmount,
+          depositStatus: 'due',
+          depositDueBy: admin.firestore.Timestamp.fromDate(depositDueBy),
+        } : {}),
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+      return null;
+    });
+
+    if (existing) {
+      // Replayed request: report the booking that was already made
+      return {
+        success: true,
+        duplicate: true,
+        appointmentId: appointmentRef.id,
+        reference: existing.reference,
+        depositAmount: existing.depositAmount || 0,
+        depositDueBy: existing.depositDueBy ? existing.depositDueBy.toDate().toISOString() : null,
+      };
+    }
+
+    console.log(`Appointment ${appointmentRef.id} (${reference}) booked by ${uid}${depositAmount ? ` (deposit KES ${depositAmount})` : ''}`);
+    return {
+      success: true,
+      appointmentId: appointmentRef.id,
+      reference,
+      depositAmount,
+      depositDueBy: depositAmount > 0 ? depositDueBy.toISOString() : null,
+    };
+
+  } catch (error) {
+    if (error instanceof functions.https.HttpsError) throw error;
+    if (error.code === 'slot-unavailable') {
+      throw new functions.https.HttpsError('resource-exhausted', 'Selected slot is fully booked');
+    }
+    console.error('Error in bookAppointment:', error);
+    throw new functions.https.HttpsError('internal', 'Failed to book appointment');
+  }
+});
+
+// =============================================================================
+// 8. Transition Appointment Status (Callable - Admin & Customer)
+// =============================================================================
+
+// Clean the admin's completion form (work done, parts, technician, cost, odometer).
+// Stored on the appointment; recordCompletedService (section 12) turns it into a service record.
+function sanitizeCompletion(completion) {
+  if (!completion || typeof completion !== 'object') return null;
+  const toAmount = (value) => Math.max(0, Number(value) || 0);
+  const parts = (Array.isArray(completion.parts) ? completion.parts : [])
+    .slice(0, 50)
+    .map((part) => ({
+      name: String(part?.name || '').trim().slice(0, 100),
+      quantity: Math.max(1, parseInt(part?.quantity, 10) || 1),
+      unitCost: toAmount(part?.unitCost),
+    }))
+    .filter((part) => part.name);
+  const odometer = parseInt(completion.odometer, 10);
+
+  return {
+    workDone: String(completion.workDone || '').trim().slice(0, 2000),
+    technician: String(completion.technician || '').trim().slice(0, 100),
+    parts,
+    cost: toAmount(completion.cost),
+    odometer: odometer > 0 ? odometer : null,
+  };
+}
+
+exports.transitionAppointment = functions.https.onCall(async (data, context) => {
+  const { appointmentId, toStatus } = data || {};
+  const reason = String(data?.reason || '').trim().slice(0, 500);
+
+  if (!context.auth) {
+    throw new functions.https.HttpsError('unauthenticated', 'Sign in to update appointments');
+  }
+  if (!appointmentId || !appointmentStatus.TRANSITIONS[toStatus]) {
+    throw new functions.https.HttpsError('invalid-argument', 'appointmentId and a valid toStatus are required');
+  }
+
+  const uid = context.auth.uid;
+
+  try {
+    const userDoc = await admin.firestore().collection('users').doc(uid).get();
+    const role = userDoc.data()?.role === 'admin' ? 'admin' : 'user';
+
+    const completion = toStatus === 'completed' && role === 'admin' ? sanitizeCompletion(data?.completion) : null;
+    const extraUpdates = completion ? { completion: { ...completion, recordedBy: uid } } : {};
+    if (toStatus === 'approved' && role === 'admin' && data?.waiveDeposit === true) {
+      extraUpdates.depositStatus = 'waived';
+    }
+
+    const { appointment, fromStatus } = await appointmentStatus.applyTransition({
+      appointmentId,
+      toStatus,
+      actor: { uid, role },
+      reason,
+      extraUpdates,
+    });
+
+    // Let the customer know when the garage changes their booking
+    if (role === 'admin') {
+      await notifier.dispatch('appointment_status', { userId: appointment.userId }, {
+        appointmentId,
+        reference: appointment.reference,
+        service: appointment.service,
+        when: appointment.slotDate ? `${appointment.slotDate} ${appointment.time}` : null,
+        toStatus,
+        reason,
+        notificationData: { appointmentId, fromStatus, toStatus },
+      });
+    }
+
+    console.log(`Appointment ${appointmentId}: ${fromStatus} -> ${toStatus} by ${uid}`);
+    return { success: true, appointmentId, fromStatus, toStatus };
+
+  } catch (error) {
+    if (error.code === 'not-found') {
+      throw new functions.https.HttpsError('not-found', error.message);
+    }
+    if (error.code === 'permission-denied') {
+      throw new functions.https.HttpsError('permission-denied', error.message);
+    }
+    if (error.code === 'invalid-transition' || error.code === 'deposit-required') {
+      throw new functions.https.HttpsError('failed-precondition', error.message);
+    }
+    console.error('Error in transitionAppointment:', error);
+    throw new functions.https.HttpsError('internal', 'Failed to update appointment');
+  }
+});
+
+// =============================================================================
+// 9. Reschedule Appointment (Callable - Customer Self-Service)
+// =============================================================================
+
+const RESCHEDULABLE_STATUSES = ['pending', 'approved'];
+
+exports.rescheduleAppointment = functions.https.onCall(async (data, context) => {
+  const { appointmentId, date, time } = data || {};
+
+  if (!context.auth) {
+    throw new functions.https.HttpsError('unauthenticated', 'Sign in to reschedule');
+  }
+  if (!appointmentId || !availability.isValidDateString(date) || !/^\d{2}:\d{2}$/.test(time || '')) {
+    throw new functions.https.HttpsError('invalid-argument', 'appointmentId, date (YYYY-MM-DD) and time (HH:MM) are required');
+  }
+
+  const uid = context.auth.uid;
+  const db = admin.firestore();
+  const appointmentRef = db.collection('appointments').doc(appointmentId);
+
+  try {
+    const [userDoc, config] = await Promise.all([
+      db.collection('users').doc(uid).get(),
+      availability.getAvailabilityConfig(),
+    ]);
+    const isAdmin = userDoc.data()?.role === 'admin';
+
+    const result = await db.runTransaction(async (transaction) => {
+      const appointmentSnap = await transaction.get(appointmentRef);
+      if (!appointmentSnap.exists) {
+        throw new functions.https.HttpsError('not-found', 'Appointment not found');
+      }
+
+      const appointment = appointmentSnap.data();
+      if (!isAdmin && appointment.userId !== uid) {
+        throw new functions.https.HttpsError('permission-denied', 'You can only reschedule your own appointments');
+      }
+
+      // Policy rules (settings/availability); admins may override notice and count limits
+      if (!RESCHEDULABLE_STATUSES.includes(appointment.status)) {
+        throw new functions.https.HttpsError('failed-precondition', `A ${appointment.status.replace('_', ' ')} appointment can't be rescheduled`);
+      }
+      const rescheduleCount = appointment.rescheduleCount || 0;
+      if (!isAdmin && rescheduleCount >= (Number(config.maxReschedules) || 0)) {
+        throw new functions.https.HttpsError('failed-precondition', 'This appointment has reached the reschedule limit. Please call the garage.');
+      }
+      const currentStart = appointment.date?.toDate ? appointment.date.toDate() : null;
+      const minNoticeMs = (Number(config.rescheduleMinNoticeHours) || 0) * 60 * 60 * 1000;
+      if (!isAdmin && currentStart && currentStart.getTime() - Date.now() < minNoticeMs) {
+        throw new functions.https.HttpsError('failed-precondition', `Bookings can only be moved at least ${config.rescheduleMinNoticeHours} hours before the appointment`);
+      }
+      if (appointment.slotDate === date && appointment.time === time) {
+        throw new functions.https.HttpsError('invalid-argument', 'Pick a different slot');
+      }
+
+      const durationMinutes = appointment.durationMinutes || availability.getServiceMinutes(null);
+      const slotError = availability.validateSlotRequest(date, time, durationMinutes, config);
+      if (slotError) {
+        throw new functions.https.HttpsError('invalid-argument', slotError);
+      }
+
+      const writeLedgers = await availability.moveSlot(transaction, appointment, date, time, durationMinutes, config);
+      writeLedgers();
+
+      const now = admin.firestore.FieldValue.serverTimestamp();
+      const fromLabel = appointment.slotDate ? `${appointment.slotDate} ${appointment.time}` : 'unscheduled';
+      transaction.update(appointmentRef, {
+        date: admin.firestore.Timestamp.fromDate(availability.toStartDate(date, time, config)),
+        time,
+        slotDate: date,
+        durationMinutes,
+        slotInterval: config.slotInterval,
+        rescheduleCount: rescheduleCount + 1,
+        rescheduledAt: now,
+        remindersSent: {}, // New slot, so reminders (section 10) go out again
+        reminderChannels: {},
+        updatedAt: now,
+        updatedBy: uid,
+      });
+      transaction.set(appointmentRef.collection('history').doc(), {
+        type: 'reschedule',
+        fromStatus: appointment.status,
+        toStatus: appointment.status,
+        fromSlot: fromLabel,
+        toSlot: `${date} ${time}`,
+        changedBy: uid,
+        changedByRole: isAdmin ? 'admin' : 'user',
+        reason: `Rescheduled from ${fromLabel} to ${date} ${time}`,
+        timestamp: now,
+      });
+
+      return { appointment, fromLabel };
+    });
+
+    // Notify the customer and the garage
+    const { appointment, fromLabel } = result;
+    const toLabel = `${date} ${time}`;
+    await notifier.dispatch('appointment_rescheduled', { userId: appointment.userId }, {
+      appointmentId,
+      service: appointment.service,
+      fromSlot: fromLabel,
+      toSlot: toLabel,
+      notificationData: { appointmentId, fromSlot: fromLabel, toSlot: toLabel },
+    });
+    await notifier.dispatch('admin_alert', { admins: true }, {
+      title: 'Booking Rescheduled',
+      message: `${appointment.userName || 'A customer'} moved ${appointment.service || 'an appointment'} from ${fromLabel} to ${toLabel}.`,
+      relatedId: appointmentId,
+      userName: appointment.userName || null,
+      createdBy: uid,
+    }, { type: 'appointment' });
+
+    console.log(`Appointment ${appointmentId} rescheduled ${fromLabel} -> ${toLabel} by ${uid}`);
+    return { success: true, appointmentId, date, time, rescheduleCount: (appointment.rescheduleCount || 0) + 1 };
+
+  } catch (error) {
+    if (error instanceof functions.https.HttpsError) throw error;
+    if (error.code === 'slot-unavailable') {
+      throw new functions.https.HttpsError('resource-exhausted', 'Selected slot is fully booked');
+    }
+    console.error('Error in rescheduleAppointment:', error);
+    throw new functions.https.HttpsError('internal', 'Failed to reschedule appointment');
+  }
+});
+
+// =============================================================================
+// 10. Appointment Reminders (Scheduled - Email/SMS before approved bookings)
+// =============================================================================
+
+// Defaults used until an admin saves settings/reminders
+const DEFAULT_REMINDERS = {
+  enabled: true,
+  offsetsHours: [24, 2], // Hours before the appointment start
+  email: true,
+  sms: true,
+};
+
+async function getReminderConfig() {
+  const settingsSnap = await admin.firestore().collection('settings').doc('reminders').get();
+  const stored = settingsSnap.exists ? settingsSnap.data() : {};
+  const offsetsHours = (Array.isArray(stored.offsetsHours) ? stored.offsetsHours : DEFAULT_REMINDERS.offsetsHours)
+    .map(Number)
+    .filter((hours) => hours > 0);
+  return { ...DEFAULT_REMINDERS, ...stored, offsetsHours: [...new Set(offsetsHours)].sort((a, b) => b - a) };
+}
+
+// Key recorded in appointment.remindersSent, e.g. '24h'
+function reminderKey(hours) {
+  return `${hours}h`;
+}
+
+// Smallest offset whose window has opened and hasn't been sent yet (null if none).
+// Earlier offsets that were missed (e.g. a booking made 3h ahead) are skipped, not sent late.
+function getDueReminder(appointment, offsetsHours, now) {
+  const start = appointment.date.toDate().getTime();
+  const sent = appointment.remindersSent || {};
+  const due = offsetsHours.filter((hours) => now >= start - hours * 60 * 60 * 1000);
+  if (due.length === 0) return null;
+
+  const hours = Math.min(...due);
+  if (sent[reminderKey(hours)]) return null;
+  return { hours, skipped: due.filter((h) => h !== hours && !sent[reminderKey(h)]) };
+}
+
+exports.sendAppointmentReminders = functions.pubsub
+  .schedule('every 15 minutes')
+  .timeZone('Africa/Nairobi')
+  .onRun(async () => {
+    const config = await getReminderConfig();
+    if (!config.enabled || config.offsetsHours.length === 0) return null;
+
+    const db = admin.firestore();
+    const now = Date.now();
+    const horizon = new Date(now + config.offsetsHours[0] * 60 * 60 * 1000);
+
+    const snapshot = await db.collection('appointments')
+      .where('status', '==', 'approved')
+      .where('date', '>', admin.firestore.Timestamp.fromMillis(now))
+      .where('date', '<=', admin.firestore.Timestamp.fromDate(horizon))
+      .get();
+
+    let sentCount = 0;
+    for (const appointmentDoc of snapshot.docs) {
+      // Claim the reminder in a transaction first so overlapping runs never double-send
+      const claim = await db.runTransaction(async (transaction) => {
+        const freshSnap = await transaction.get(appointmentDoc.ref);
+        const appointment = freshSnap.data();
+        if (!appointment || appointment.status !== 'approved') return null;
+
+        const dueReminder = getDueReminder(appointment, config.offsetsHours, now);
+        if (!dueReminder) return null;
+
+        const claimedAt = admin.firestore.FieldValue.serverTimestamp();
+        const updates = { [`remindersSent.${reminderKey(dueReminder.hours)}`]: claimedAt };
+        dueReminder.skipped.forEach((hours) => {
+          updates[`remindersSent.${reminderKey(hours)}`] = 'skipped';
+        });
+        transaction.update(appointmentDoc.ref, updates);
+        return { appointment, hours: dueReminder.hours };
+      });
+      if (!claim) continue;
+
+      const { appointment, hours } = claim;
+      const when = `${appointment.slotDate || appointment.date.toDate().toDateString()} at ${appointment.time}`;
+
+      // settings/reminders switches channels off garage-wide; user preferences narrow it further.
+      // Already claimed, so a failed send is logged by the dispatcher rather than retried.
+      const { channels } = await notifier.dispatch('appointment_reminder', {
+        userId: appointment.userId,
+        email: appointment.email,
+        phone: appointment.phone,
+        name: appointment.userName,
+      }, {
+        appointmentId: appointmentDoc.id,
+        reference: appointment.reference,
+        service: appointment.service,
+        when,
+        vehicle: `${appointment.vehicleMake || ''} ${appointment.vehicleModel || ''} (${appointment.vehiclePlate || 'N/A'})`.trim(),
+        notificationData: { appointmentId: appointmentDoc.id, offset: reminderKey(hours) },
+      }, {
+        channels: ['inApp', 'push', ...(config.email ? ['email'] : []), ...(config.sms ? ['sms'] : [])],
+      });
+      await appointmentDoc.ref.update({
+        [`reminderChannels.${reminderKey(hours)}`]: channels.filter((channel) => channel !== 'inApp'),
+      });
+
+      sentCount++;
+    }
+
+    console.log(`Appointment reminders: ${sentCount} sent (${snapshot.size} upcoming checked)`);
+    return null;
+  });
+
+// =============================================================================
+// 11. Service-Due Forecast (Callable - Next Service per Vehicle)
+// =============================================================================
+
+exports.getServiceDueForecast = functions.https.onCall(async (data, context) => {
+  if (!context.auth) {
+    throw new functions.https.HttpsError('unauthenticated', 'Sign in to view service reminders');
+  }
+
+  const uid = context.auth.uid;
+  const vehicleId = data?.vehicleId || null;
+  const db = admin.firestore();
+
+  try {
+    const [vehiclesSnap, servicesSnap, completedSnap] = await Promise.all([
+      vehicleId
+        ? db.collection('vehicles').where(admin.firestore.FieldPath.documentId(), '==', vehicleId).get()
+        : db.collection('vehicles').where('userId', '==', uid).get(),
+      db.collection('services').get(),
+      db.collection('appointments').where('userId', '==', uid).where('status', '==', 'completed').get(),
+    ]);
+
+    const services = {};
+    servicesSnap.forEach((serviceDoc) => { services[serviceDoc.id] = serviceDoc.data(); });
+
+    // Completed appointments from before service records existed (records are keyed by appointmentId)
+    const legacyByVehicle = {};
+    completedSnap.forEach((appointmentDoc) => {
+      const appointment = appointmentDoc.data();
+      if (!appointment.vehicleId) return;
+      (legacyByVehicle[appointment.vehicleId] = legacyByVehicle[appointment.vehicleId] || []).push({
+        id: appointmentDoc.id,
+        serviceId: appointment.serviceId,
+        serviceName: appointment.service,
+        date: appointment.completedAt || appointment.date,
+        mileage: appointment.completion?.odometer,
+      });
+    });
+
+    const now = new Date();
+    const ownedVehicles = vehiclesSnap.docs.filter((vehicleDoc) => vehicleDoc.data().userId === uid);
+    const vehicles = await Promise.all(ownedVehicles.map(async (vehicleDoc) => {
+      const [recordsSnap, odometerSnap] = await Promise.all([
+        vehicleDoc.ref.collection('serviceRecords').get(),
+        vehicleDoc.ref.collection('odometerLog').orderBy('recordedAt', 'desc').limit(100).get(),
+      ]);
+
+      const history = recordsSnap.docs.map((recordDoc) => {
+        const record = recordDoc.data();
+        return { id: recordDoc.id, serviceId: record.serviceId, serviceName: record.serviceName, date: record.date, mileage: record.odometer };
+      });
+      const recordIds = new Set(history.map((entry) => entry.id));
+      (legacyByVehicle[vehicleDoc.id] || []).forEach((entry) => {
+        if (!recordIds.has(entry.id)) history.push(entry);
+      });
+      const odometerLog = odometerSnap.docs.map((entryDoc) => ({ mileage: entryDoc.data().reading, date: entryDoc.data().recordedAt }));
+
+      return {
+        vehicleId: vehicleDoc.id,
+        ...maintenance.computeServiceDue(vehicleDoc.data(), history, services, now, odometerLog),
+      };
+    }));
+
+    if (vehicleId && vehicles.length === 0) {
+      throw new functions.https.HttpsError('permission-denied', 'Vehicle not found on your account');
+    }
+
+    return { generatedAt: now.toISOString(), vehicles };
+
+  } catch (error) {
+    if (error instanceof functions.https.HttpsError) throw error;
+    console.error('Error in getServiceDueForecast:', error);
+    throw new functions.https.HttpsError('internal', 'Failed to compute service forecast');
+  }
+});
+
+// =============================================================================
+// 12. Record Completed Service (Firestore Trigger - Vehicle Service History)
+// =============================================================================
+
+// Completing an appointment adds vehicles/{vehicleId}/serviceRecords/{appointmentId}
+// (keyed by appointment so retries overwrite rather than duplicate)
+exports.recordCompletedService = functions.firestore
+  .document('appointments/{appointmentId}')
+  .onUpdate(async (change, context) => {
+    const before = change.before.data();
+    const after = change.after.data();
+    if (before.status === after.status || after.status !== 'completed' || !after.vehicleId) return null;
+
+    const appointmentId = context.params.appointmentId;
+    const completion = after.completion || {};
+    const db = admin.firestore();
+    const vehicleRef = db.collection('vehicles').doc(after.vehicleId);
+
+    try {
+      await db.runTransaction(async (transaction) => {
+        const vehicleSnap = await transaction.get(vehicleRef);
+        if (!vehicleSnap.exists) return;
+        const vehicle = vehicleSnap.data();
+
+        transaction.set(vehicleRef.collection('serviceRecords').doc(appointmentId), {
+          source: 'garage',
+          appointmentId,
+          reference: after.reference || null,
+          serviceId: after.serviceId || null,
+          serviceName: after.service || 'Service',
+          date: after.completedAt || admin.firestore.FieldValue.serverTimestamp(),
+          odometer: completion.odometer || null,
+          workDone: completion.workDone || '',
+          parts: completion.parts || [],
+          technician: completion.technician || '',
+          cost: completion.cost || Number(after.price) || 0,
+          userId: after.userId,
+          createdBy: completion.recordedBy || after.updatedBy || null,
+          createdAt: admin.firestore.FieldValue.serverTimestamp(),
+        });
+
+        // Newer readings move the vehicle odometer forward (logged by section 13)
+        if (completion.odometer && completion.odometer > (Number(vehicle.mileage) || 0)) {
+          transaction.update(vehicleRef, {
+            mileage: completion.odometer,
+            mileageUpdatedAt: admin.firestore.FieldValue.serverTimestamp(),
+            mileageSource: 'service',
+            mileageUpdatedBy: completion.recordedBy || null,
+          });
+        }
+      });
+
+      console.log(`Service record ${appointmentId} added to vehicle ${after.vehicleId}`);
+      return null;
+    } catch (error) {
+      console.error('Error in recordCompletedService:', error);
+      return null;
+    }
+  });
+
+// =============================================================================
+// 13. Odometer Log (Firestore Trigger - Every Mileage Change)
+// =============================================================================
+
+// vehicles.mileage stays the latest reading; each change is appended to
+// vehicles/{vehicleId}/odometerLog so predictions can use the full history
+exports.logOdometerReading = functions.firestore
+  .document('vehicles/{vehicleId}')
+  .onWrite(async (change, context) => {
+    if (!change.after.exists) return null;
+
+    const before = change.before.exists ? change.before.data() : {};
+    const after = change.after.data();
+    const reading = Number(after.mileage) || 0;
+    if (reading <= 0 || reading === (Number(before.mileage) || 0)) return null;
+
+    await change.after.ref.collection('odometerLog').add({
+      reading,
+      previousReading: Number(before.mileage) || null,
+      source: after.mileageSource || 'manual',
+      recordedBy: after.mileageUpdatedBy || after.userId || null,
+      recordedAt: after.mileageUpdatedAt || admin.firestore.FieldValue.serverTimestamp(),
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+
+    console.log(`Odometer ${context.params.vehicleId}: ${before.mileage || 0} -> ${reading} km`);
+    return null;
+  });
+
+// =============================================================================
+// 14. Quotes & Invoices (Callables - Line Items, Approval, PDF)
+// =============================================================================
+
+// Quotes are drafted by the garage, sent to the customer for approval and converted
+// into an invoice once the work is completed (see invoices.js for totals/rendering)
+
+async function isAdminUser(uid) {
+  const userDoc = await admin.firestore().collection('users').doc(uid).get();
+  return userDoc.data()?.role === 'admin';
+}
+
+// Customer and vehicle details copied onto the document so it reads the same later
+function getDocumentParties(appointment) {
+  return {
+    customer: {
+      name: appointment.userName || 'Customer',
+      email: appointment.email || null,
+      phone: appointment.phone || null,
+    },
+    vehicle: {
+      description: [appointment.vehicleYear, appointment.vehicleMake, appointment.vehicleModel].filter(Boolean).join(' ') || null,
+      plate: appointment.vehiclePlate || null,
+    },
+  };
+}
+
+function getTaxRate(value) {
+  const taxRate = Number(value);
+  return value === undefined || value === null || value === '' || isNaN(taxRate)
+    ? invoices.DEFAULT_TAX_RATE
+    : Math.min(100, Math.max(0, taxRate));
+}
+
+// Render a quote/invoice to a PDF buffer (same Puppeteer path as section 4)
+async function renderInvoicePdf(invoice) {
+  const settingsDoc = await admin.firestore().collection('settings').doc('global').get();
+  const browser = await puppeteer.launch({ headless: true });
+  try {
+    const page = await browser.newPage();
+    await page.setContent(invoices.renderDocumentHtml(invoice, settingsDoc.data() || {}));
+    return await page.pdf({ format: 'A4', printBackground: true });
+  } finally {
+    await browser.close();
+  }
+}
+
+// Create or update a draft quote for an appointment (admin)
+exports.saveQuote = functions.https.onCall(async (data, context) => {
+  const { appointmentId, quoteId } = data || {};
+
+  if (!context.auth) {
+    throw new functions.https.HttpsError('unauthenticated', 'Sign in to manage quotes');
+  }
+  const lineItems = invoices.sanitizeLineItems(data?.lineItems);
+  if (!appointmentId || lineItems.length === 0) {
+    throw new functions.https.HttpsError('invalid-argument', 'appointmentId and at least one line item are required');
+  }
+
+  const uid = context.auth.uid;
+  const db = admin.firestore();
+
+  try {
+    if (!(await isAdminUser(uid))) {
+      throw new functions.https.HttpsError('permission-denied', 'Admin only');
+    }
+
+    const appointmentRef = db.collection('appointments').doc(appointmentId);
+    const appointmentSnap = await appointmentRef.get();
+    if (!appointmentSnap.exists) {
+      throw new functions.https.HttpsError('not-found', 'Appointment not found');
+    }
+    const appointment = appointmentSnap.data();
+
+    const taxRate = getTaxRate(data?.taxRate);
+    const now = admin.firestore.FieldValue.serverTimestamp();
+    const fields = {
+      lineItems,
+      taxRate,
+      totals: invoices.computeTotals(lineItems, taxRate),
+      notes: String(data?.notes || '').trim().slice(0, 1000),
+      status: 'draft',
+      updatedAt: now,
+      updatedBy: uid,
+    };
+
+    let quoteRef;
+    if (quoteId) {
+      quoteRef = db.collection(invoices.COLLECTION).doc(quoteId);
+      const quoteSnap = await quoteRef.get();
+      if (!quoteSnap.exists || quoteSnap.data().kind !== 'quote' || quoteSnap.data().appointmentId !== appointmentId) {
+        throw new functions.https.HttpsError('not-found', 'Quote not found');
+      }
+      if (['approved', 'converted'].includes(quoteSnap.data().status)) {
+        throw new functions.https.HttpsError('failed-precondition', `An ${quoteSnap.data().status} quote can't be edited`);
+      }
+      await quoteRef.update(fields);
+    } else {
+      quoteRef = db.collection(invoices.COLLECTION).doc();
+      await quoteRef.set({
+        ...fields,
+        ...getDocumentParties(appointment),
+        kind: 'quote',
+        number: await invoices.nextNumber('quote'),
+        appointmentId,
+        reference: appointment.reference || null,
+        userId: appointment.userId,
+        currency: 'KES',
+        createdAt: now,
+        createdBy: uid,
+      });
+    }
+
+    await appointmentRef.update({ quoteId: quoteRef.id, updatedAt: now });
+
+    return { success: true, quoteId: quoteRef.id, totals: fields.totals };
+
+  } catch (error) {
+    if (error instanceof functions.https.HttpsError) throw error;
+    console.error('Error in saveQuote:', error);
+    throw new functions.https.HttpsError('internal', 'Failed to save quote');
+  }
+});
+
+// Send a draft quote to the customer for approval (admin)
+exports.sendQuote = functions.https.onCall(async (data, context) => {
+  const quoteId = data?.quoteId;
+
+  if (!context.auth) {
+    throw new functions.https.HttpsError('unauthenticated', 'Sign in to manage quotes');
+  }
+  if (!quoteId) {
+    throw new functions.https.HttpsError('invalid-argument', 'quoteId is required');
+  }
+
+  const uid = context.auth.uid;
+  const quoteRef = admin.firestore().collection(invoices.COLLECTION).doc(quoteId);
+
+  try {
+    if (!(await isAdminUser(uid))) {
+      throw new functions.https.HttpsError('permission-denied', 'Admin only');
+    }
+
+    const quoteSnap = await quoteRef.get();
+    if (!quoteSnap.exists || quoteSnap.data().kind !== 'quote') {
+      throw new functions.https.HttpsError('not-found', 'Quote not found');
+    }
+    const quote = quoteSnap.data();
+    if (!['draft', 'declined'].includes(quote.status)) {
+      throw new functions.https.HttpsError('failed-precondition', `A ${quote.status} quote can't be sent`);
+    }
+
+    // Deliver first: the quote is only marked sent once the customer has actually been notified.
+    // dispatch() doesn't throw for a failed channel, it reports it in errors, so a quote counts
+    // as delivered only when some channel delivered and none failed. Otherwise it keeps its
+    // current status (so it can be sent again) and records why.
+    let sendError = null;
+    try {
+      // Only render the PDF when there's an address to email it to
+      const pdfBuffer = quote.customer?.email ? await renderInvoicePdf(quote) : null;
+      const delivery = await notifier.dispatch('quote_sent', {
+        userId: quote.userId,
+        email: quote.customer?.email,
+        phone: quote.customer?.phone,
+        name: quote.customer?.name,
+      }, {
+        number: quote.number,
+        total: invoices.formatKes(quote.totals.total),
+        appointmentId: quote.appointmentId,
+        notificationData: { appointmentId: quote.appointmentId, quoteId },
+      }, {
+        attachments: pdfBuffer ? [{ filename: `${quote.number}.pdf`, content: pdfBuffer }] : undefined,
+      });
+      const failed = Object.entries(delivery.errors);
+      if (failed.length) {
+        sendError = failed.map(([channel, message]) => `${channel}: ${message}`).join('; ');
+      } else if (!delivery.channels.length) {
+        sendError = 'No notification channel could reach the customer';
+      }
+    } catch (deliveryError) {
+      sendError = String(deliveryError.message || deliveryError);
+    }
+    if (sendError) {
+      console.error('sendQuote delivery failed:', sendError);
+      await quoteRef.update({
+        lastSendError: sendError.slice(0, 300),
+        lastSendAttemptAt: admin.firestore.FieldValue.serverTimestamp(),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+      throw new functions.https.HttpsError('unavailable', 'The quote could not be delivered. Please try again.');
+    }
+
+    await quoteRef.update({
+      status: 'sent',
+      sentAt: admin.firestore.FieldValue.serverTimestamp(),
+      sentBy: uid,
+      lastSendError: null,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+
+    return { success: true, quoteId };
+
+  } catch (error) {
+    if (error instanceof functions.https.HttpsError) throw error;
+    console.error('Error in sendQuote:', error);
+    throw new functions.https.HttpsError('internal', 'Failed to send quote');
+  }
+});
+
+// Customer approves or declines a sent quote
+exports.respondToQuote = functions.https.onCall(async (data, context) => {
+  const { quoteId, decision } = data || {};
+  const note = String(data?.note || '').trim().slice(0, 500);
+
+  if (!context.auth) {
+    throw new functions.https.HttpsError('unauthenticated', 'Sign in to respond to quotes');
+  }
+  if (!quoteId || !['approved', 'declined'].includes(decision)) {
+    throw new functions.https.HttpsError('invalid-argument', 'quoteId and a decision (approved or declined) are required');
+  }
+
+  const uid = context.auth.uid;
+  const db = admin.firestore();
+  const quoteRef = db.collection(invoices.COLLECTION).doc(quoteId);
+
+  try {
+    const quote = await db.runTransaction(async (transaction) => {
+      const quoteSnap = await transaction.get(quoteRef);
+      if (!quoteSnap.exists || quoteSnap.data().kind !== 'quote') {
+        throw new functions.https.HttpsError('not-found', 'Quote not found');
+      }
+      const current = quoteSnap.data();
+      if (current.userId !== uid) {
+        throw new functions.https.HttpsError('permission-denied', 'You can only respond to your own quotes');
+      }
+      if (current.status !== 'sent') {
+        throw new functions.https.HttpsError('failed-precondition', 'This quote is no longer awaiting approval');
+      }
+
+      transaction.update(quoteRef, {
+        status: decision,
+        customerNote: note,
+        respondedAt: admin.firestore.FieldValue.serverTimestamp(),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+      return current;
+    });
+
+    await notifier.dispatch('admin_alert', { admins: true }, {
+      title: decision === 'approved' ? 'Quote Approved' : 'Quote Declined',
+      message: `${quote.customer?.name || 'A customer'} ${decision} quote ${quote.number} (${invoices.formatKes(quote.totals.total)}).${note ? ` Note: ${note}` : ''}`,
+      relatedId: quote.appointmentId,
+      userName: quote.customer?.name || null,
+      createdBy: uid,
+    }, { type: 'quote' });
+
+    return { success: true, quoteId, status: decision };
+
+  } catch (error) {
+    if (error instanceof functions.https.HttpsError) throw error;
+    console.error('Error in respondToQuote:', error);
+    throw new functions.https.HttpsError('internal', 'Failed to record your response');
+  }
+});
+
+// Issue the invoice for a completed appointment (admin). Line items come from the
+// request, else the approved quote, else the booked price plus recorded parts.
+exports.issueInvoice = functions.https.onCall(async (data, context) => {
+  const appointmentId = data?.appointmentId;
+
+  if (!context.auth) {
+    throw new functions.https.HttpsError('unauthenticated', 'Sign in to issue invoices');
+  }
+  if (!appointmentId) {
+    throw new functions.https.HttpsError('invalid-argument', 'appointmentId is required');
+  }
+
+  const uid = context.auth.uid;
+  const db = admin.firestore();
+  const appointmentRef = db.collection('appointments').doc(appointmentId);
+
+  try {
+    if (!(await isAdminUser(uid))) {
+      throw new functions.https.HttpsError('permission-denied', 'Admin only');
+    }
+
+    const invoiceRef = db.collection(invoices.COLLECTION).doc();
+
+    const invoice = await db.runTransaction(async (transaction) => {
+      const appointmentSnap = await transaction.get(appointmentRef);
+      if (!appointmentSnap.exists) {
+        throw new functions.https.HttpsError('not-found', 'Appointment not found');
+      }
+      const appointment = appointmentSnap.data();
+      if (appointment.status !== 'completed') {
+        throw new functions.https.HttpsError('failed-precondition', 'Invoices can only be issued for completed appointments');
+      }
+      if (appointment.invoiceId) {
+        throw new functions.https.HttpsError('already-exists', 'This appointment already has an invoice');
+      }
+
+      const quoteRef = appointment.quoteId ? db.collection(invoices.COLLECTION).doc(appointment.quoteId) : null;
+      const quoteSnap = quoteRef ? await transaction.get(quoteRef) : null;
+      const approvedQuote = quoteSnap?.exists && quoteSnap.data().status === 'approved' ? quoteSnap.data() : null;
+      const { number, write: writeCounter } = await invoices.reserveNumber(transaction, 'invoice');
+
+      let lineItems = invoices.sanitizeLineItems(data?.lineItems);
+      let taxRate = getTaxRate(data?.taxRate);
+      if (lineItems.length === 0 && approvedQuote) {
+        lineItems = approvedQuote.lineItems;
+        taxRate = approvedQuote.taxRate;
+      }
+      if (lineItems.length === 0) {
+        lineItems = invoices.sanitizeLineItems(invoices.defaultLineItems(appointment));
+      }
+      if (lineItems.length === 0) {
+        throw new functions.https.HttpsError('invalid-argument', 'Add at least one line item');
+      }
+
+      const now = admin.firestore.FieldValue.serverTimestamp();
+      const dueDate = new Date(Date.now() + invoices.PAYMENT_TERMS_DAYS * 24 * 60 * 60 * 1000);
+      const totals = invoices.computeTotals(lineItems, taxRate);
+      const depositPaid = appointment.depositStatus === 'paid' ? Math.min(Number(appointment.depositAmount) || 0, totals.total) : 0;
+      const newInvoice = {
+        ...getDocumentParties(appointment),
+        kind: 'invoice',
+        number,
+        status: 'issued',
+        appointmentId,
+        reference: appointment.reference || null,
+        userId: appointment.userId,
+        quoteId: approvedQuote ? appointment.quoteId : null,
+        lineItems,
+        taxRate,
+        totals,
+        depositPaid,
+        balanceDue: Math.max(0, totals.total - depositPaid),
+        currency: 'KES',
+        notes: String(data?.notes ?? approvedQuote?.notes ?? '').trim().slice(0, 1000),
+        dueDate: admin.firestore.Timestamp.fromDate(dueDate),
+        issuedAt: now,
+        createdAt: now,
+        createdBy: uid,
+        updatedAt: now,
+      };
+
+      writeCounter();
+      transaction.set(invoiceRef, newInvoice);
+      if (approvedQuote) {
+        transaction.update(quoteRef, { status: 'converted', invoiceId: invoiceRef.id, updatedAt: now });
+      }
+      transaction.update(appointmentRef, {
+        invoiceId: invoiceRef.id,
+        invoiceTotal: newInvoice.totals.total,
+        updatedAt: now,
+      });
+
+      return { ...newInvoice, issuedAt: admin.firestore.Timestamp.now(), dueDate: newInvoice.dueDate };
+    });
+
+    const pdfBuffer = invoice.customer?.email ? await renderInvoicePdf(invoice) : null;
+    await notifier.dispatch('invoice_issued', {
+      userId: invoice.userId,
+      email: invoice.customer?.email,
+      phone: invoice.customer?.phone,
+      name: invoice.customer?.name,
+    }, {
+      number: invoice.number,
+      total: invoices.formatKes(invoice.totals.total),
+      appointmentId,
+      notificationData: { appointmentId, invoiceId: invoiceRef.id },
+    }, {
+      attachments: pdfBuffer ? [{ filename: `${invoice.number}.pdf`, content: pdfBuffer }] : undefined,
+    });
+
+    console.log(`Invoice ${invoice.number} issued for appointment ${appointmentId} by ${uid}`);
+    return { success: true, invoiceId: invoiceRef.id, number: invoice.number, totals: invoice.totals };
+
+  } catch (error) {
+    if (error instanceof functions.https.HttpsError) throw error;
+    console.error('Error in issueInvoice:', error);
+    throw new functions.https.HttpsError('internal', 'Failed to issue invoice');
+  }
+});
+
+// Mark an issued invoice paid or void (admin)
+exports.updateInvoiceStatus = functions.https.onCall(async (data, context) => {
+  const { invoiceId, status } = data || {};
+
+  if (!context.auth) {
+    throw new functions.https.HttpsError('unauthenticated', 'Sign in to manage invoices');
+  }
+  if (!invoiceId || !['paid', 'void'].includes(status)) {
+    throw new functions.https.HttpsError('invalid-argument', 'invoiceId and a status (paid or void) are required');
+  }
+
+  const uid = context.auth.uid;
+  const db = admin.firestore();
+  const invoiceRef = db.collection(invoices.COLLECTION).doc(invoiceId);
+
+  try {
+    if (!(await isAdminUser(uid))) {
+      throw new functions.https.HttpsError('permission-denied', 'Admin only');
+    }
+
+    await db.runTransaction(async (transaction) => {
+      const invoiceSnap = await transaction.get(invoiceRef);
+      if (!invoiceSnap.exists || invoiceSnap.data().kind !== 'invoice') {
+        throw new functions.https.HttpsError('not-found', 'Invoice not found');
+      }
+      const invoice = invoiceSnap.data();
+      if (invoice.status !== 'issued') {
+        throw new functions.https.HttpsError('failed-precondition', `A ${invoice.status} invoice can't be changed`);
+      }
+
+      const now = admin.firestore.FieldValue.serverTimestamp();
+      transaction.update(invoiceRef, {
+        status,
+        [status === 'paid' ? 'paidAt' : 'voidedAt']: now,
+        updatedAt: now,
+        updatedBy: uid,
+      });
+      // A voided invoice frees the appointment for a corrected one
+      if (status === 'void') {
+        transaction.update(db.collection('appointments').doc(invoice.appointmentId), {
+          invoiceId: admin.firestore.FieldValue.delete(),
+          invoiceTotal: admin.firestore.FieldValue.delete(),
+          updatedAt: now,
+        });
+      }
+    });
+
+    return { success: true, invoiceId, status };
+
+  } catch (error) {
+    if (error instanceof functions.https.HttpsError) throw error;
+    console.error('Error in updateInvoiceStatus:', error);
+    throw new functions.https.HttpsError('internal', 'Failed to update invoice');
+  }
+});
+
+// PDF of a quote/invoice for download (owner or admin), returned base64-encoded
+exports.getInvoicePdf = functions.https.onCall(async (data, context) => {
+  const invoiceId = data?.invoiceId;
+
+  if (!context.auth) {
+    throw new functions.https.HttpsError('unauthenticated', 'Sign in to download invoices');
+  }
+  if (!invoiceId) {
+    throw new functions.https.HttpsError('invalid-argument', 'invoiceId is required');
+  }
+
+  const uid = context.auth.uid;
+
+  try {
+    const invoiceSnap = await admin.firestore().collection(invoices.COLLECTION).doc(invoiceId).get();
+    if (!invoiceSnap.exists) {
+      throw new functions.https.HttpsError('not-found', 'Invoice not found');
+    }
+    const invoice = invoiceSnap.data();
+    if (invoice.userId !== uid && !(await isAdminUser(uid))) {
+      throw new functions.https.HttpsError('permission-denied', 'You can only download your own invoices');
+    }
+
+    const pdfBuffer = await renderInvoicePdf(invoice);
+    return { filename: `${invoice.number}.pdf`, pdf: Buffer.from(pdfBuffer).toString('base64') };
+
+  } catch (error) {
+    if (error instanceof functions.https.HttpsError) throw error;
+    console.error('Error in getInvoicePdf:', error);
+    throw new functions.https.HttpsError('internal', 'Failed to generate PDF');
+  }
+});
+
+// =============================================================================
+// 15. M-Pesa Payments (Callable STK Push + HTTPS Daraja Callback)
+// =============================================================================
+
+// Each STK push is a payments/{CheckoutRequestID} doc (pending -> completed | failed |
+// cancelled). The callback is the only thing that settles a payment; clients watch the doc.
+
+const PAYMENT_PURPOSES = ['invoice', 'deposit'];
+const PAYMENT_RETRY_SECONDS = 90; // Don't stack pushes while one is still on the customer's phone
+
+// Daraja callbacks are unsigned, so the URL carries a shared secret we check on receipt
+function getMpesaCallbackUrl() {
+  const baseUrl = process.env.MPESA_CALLBACK_URL || (process.env.FUNCTIONS_EMULATOR === 'true'
+    ? `http://127.0.0.1:5001/${process.env.GCLOUD_PROJECT}/us-central1/mpesaCallback`
+    : `https://us-central1-${process.env.GCLOUD_PROJECT}.cloudfunctions.net/mpesaCallback`);
+  return `${baseUrl}?token=${encodeURIComponent(process.env.MPESA_CALLBACK_TOKEN || '')}`;
+}
+
+// What is being paid for: { amount, reference, appointmentId, invoiceId } or throws HttpsError
+async function getPaymentTarget({ purpose, invoiceId, appointmentId }, uid) {
+  const db = admin.firestore();
+
+  if (purpose === 'invoice') {
+    const invoiceSnap = await db.collection(invoices.COLLECTION).doc(invoiceId || '').get();
+    if (!invoiceId || !invoiceSnap.exists || invoiceSnap.data().kind !== 'invoice') {
+      throw new functions.https.HttpsError('not-found', 'Invoice not found');
+    }
+    const invoice = invoiceSnap.data();
+    if (invoice.userId !== uid) {
+      throw new functions.https.HttpsError('permission-denied', 'You can only pay your own invoices');
+    }
+    if (invoice.status !== 'issued') {
+      throw new functions.https.HttpsError('failed-precondition', `This invoice is ${invoice.status}`);
+    }
+    return { amount: invoice.balanceDue ?? invoice.totals.total, reference: invoice.number, appointmentId: invoice.appointmentId, invoiceId };
+  }
+
+  const appointmentSnap = await db.collection('appointments').doc(appointmentId || '').get();
+  if (!appointmentId || !appointmentSnap.exists) {
+    throw new functions.https.HttpsError('not-found', 'Appointment not found');
+  }
+  const appointment = appointmentSnap.data();
+  if (appointment.userId !== uid) {
+    throw new functions.https.HttpsError('permission-denied', 'You can only pay deposits on your own appointments');
+  }
+  if (!(Number(appointment.depositAmount) > 0) || appointment.depositStatus !== 'due' || appointment.status !== 'pending') {
+    throw new functions.https.HttpsError('failed-precondition', 'No deposit is due on this appointment');
+  }
+  return { amount: Number(appointment.depositAmount), reference: appointment.reference || appointmentId, appointmentId, invoiceId: null };
+}
+
+exports.initiateMpesaPayment = functions.https.onCall(async (data, context) => {
+  const purpose = data?.purpose || 'invoice';
+
+  if (!context.auth) {
+    throw new functions.https.HttpsError('unauthenticated', 'Sign in to make a payment');
+  }
+  if (!PAYMENT_PURPOSES.includes(purpose)) {
+    throw new functions.https.HttpsError('invalid-argument', 'purpose must be invoice or deposit');
+  }
+  const phone = mpesa.normalizePhone(data?.phone);
+  if (!phone) {
+    throw new functions.https.HttpsError('invalid-argument', 'Enter a valid Safaricom number, e.g. 0712 345 678');
+  }
+
+  const uid = context.auth.uid;
+  const db = admin.firestore();
+
+  try {
+    const target = await getPaymentTarget({ purpose, invoiceId: data?.invoiceId, appointmentId: data?.appointmentId }, uid);
+    const amount = Math.ceil(target.amount); // M-Pesa only takes whole shillings
+    if (amount < 1) {
+      throw new functions.https.HttpsError('failed-precondition', 'Nothing to pay');
+    }
+
+    const recentSnap = await db.collection('payments')
+      .where(purpose === 'invoice' ? 'invoiceId' : 'appointmentId', '==', purpose === 'invoice' ? target.invoiceId : target.appointmentId)
+      .where('status', '==', 'pending')
+      .get();
+    const retryAfter = Date.now() - PAYMENT_RETRY_SECONDS * 1000;
+    const inFlight = recentSnap.docs.find((paymentDoc) => paymentDoc.data().purpose === purpose && (paymentDoc.data().createdAt?.toMillis() || 0) > retryAfter);
+    if (inFlight) {
+      throw new functions.https.HttpsError('already-exists', 'A payment request was just sent to your phone. Complete it or try again shortly.');
+    }
+
+    const provider = mpesa.getMpesaProvider();
+    const push = await provider.stkPush({
+      phone,
+      amount,
+      accountReference: target.reference,
+      description: purpose === 'deposit' ? 'Deposit' : 'Invoice',
+      callbackUrl: getMpesaCallbackUrl(),
+    });
+
+    await db.collection('payments').doc(push.checkoutRequestId).set({
+      provider: provider.name,
+      method: 'mpesa',
+      purpose,
+      invoiceId: target.invoiceId,
+      appointmentId: target.appointmentId,
+      reference: target.reference,
+      userId: uid,
+      amount,
+      currency: 'KES',
+      phone,
+      status: 'pending',
+      merchantRequestId: push.merchantRequestId,
+      checkoutRequestId: push.checkoutRequestId,
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+
+    console.log(`M-Pesa ${provider.name} STK push ${push.checkoutRequestId}: KES ${amount} for ${purpose} ${target.reference}`);
+    return { success: true, paymentId: push.checkoutRequestId, amount, message: push.customerMessage };
+
+  } catch (error) {
+    if (error instanceof functions.https.HttpsError) throw error;
+    console.error('Error in initiateMpesaPayment:', error);
+    throw new functions.https.HttpsError('unavailable', 'M-Pesa is not responding. Please try again.');
+  }
+});
+
+exports.mpesaCallback = functions.https.onRequest(async (req, res) => {
+  // Daraja only needs an acknowledgement; anything else makes it retry
+  const accept = () => res.json({ ResultCode: 0, ResultDesc: 'Accepted' });
+
+  if (req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed' });
+  if (!process.env.MPESA_CALLBACK_TOKEN || req.query.token !== process.env.MPESA_CALLBACK_TOKEN) {
+    console.warn('mpesaCallback: rejected request with a bad token');
+    return res.status(403).json({ error: 'Forbidden' });
+  }
+
+  const result = mpesa.parseCallback(req.body);
+  if (!result) return res.status(400).json({ error: 'Invalid callback' });
+
+  const db = admin.firestore();
+  const paymentRef = db.collection('payments').doc(result.checkoutRequestId);
+
+  try {
+    const settled = await db.runTransaction(async (transaction) => {
+      const paymentSnap = await transaction.get(paymentRef);
+      if (!paymentSnap.exists) return null; // Not one of ours
+      const payment = paymentSnap.data();
+      if (payment.status !== 'pending') return null; // Duplicate delivery
+      if (payment.merchantRequestId && result.merchantRequestId && payment.merchantRequestId !== result.merchantRequestId) {
+        console.warn(`mpesaCallback: merchant request mismatch for ${result.checkoutRequestId}`);
+        return null;
+      }
+
+      const invoiceRef = payment.invoiceId ? db.collection(invoices.COLLECTION).doc(payment.invoiceId) : null;
+      const invoiceSnap = invoiceRef ? await transaction.get(invoiceRef) : null;
+      const appointmentRef = payment.appointmentId ? db.collection('appointments').doc(payment.appointmentId) : null;
+
+      const now = admin.firestore.FieldValue.serverTimestamp();
+      let status = result.resultCode === mpesa.RESULT_CODES.CANCELLED_BY_USER ? 'cancelled' : 'failed';
+      if (result.resultCode === mpesa.RESULT_CODES.SUCCESS) {
+        status = result.amount >= payment.amount ? 'completed' : 'failed';
+      }
+
+      transaction.update(paymentRef, {
+        status,
+        resultCode: result.resultCode,
+        resultDesc: status === 'failed' && result.resultCode === mpesa.RESULT_CODES.SUCCESS
+          ? `Amount mismatch: paid ${result.amount}, expected ${payment.amount}`
+          : result.resultDesc,
+        receipt: result.receipt,
+        paidAmount: result.amount,
+        payerPhone: result.phone,
+        transactionDate: result.transactionDate,
+        settledAt: now,
+        updatedAt: now,
+      });
+
+      if (status === 'completed') {
+        if (payment.purpose === 'invoice' && invoiceSnap?.exists && invoiceSnap.data().status === 'issued') {
+          transaction.update(invoiceRef, { status: 'paid', paidAt: now, paymentId: paymentRef.id, paymentMethod: 'mpesa', updatedAt: now });
+          transaction.update(appointmentRef, { paymentStatus: 'paid', paymentId: paymentRef.id, updatedAt: now });
+        }
+        if (payment.purpose === 'deposit' && appointmentRef) {
+          transaction.update(appointmentRef, { depositStatus: 'paid', depositPaidAt: now, depositPaymentId: paymentRef.id, updatedAt: now });
+        }
+      }
+
+      return { ...payment, status };
+    });
+
+    if (settled) {
+      const paid = settled.status === 'completed';
+      const what = settled.purpose === 'deposit' ? 'deposit' : `invoice ${settled.reference}`;
+      await notifier.dispatch('payment_result', { userId: settled.userId }, {
+        paid,
+        amount: settled.amount,
+        receipt: result.receipt,
+        what,
+        purpose: settled.purpose,
+        reference: settled.reference,
+        resultDesc: result.resultDesc,
+        notificationData: { paymentId: paymentRef.id, appointmentId: settled.appointmentId, invoiceId: settled.invoiceId },
+      });
+      if (paid) {
+        await notifier.dispatch('admin_alert', { admins: true }, {
+          title: 'M-Pesa Payment Received',
+          message: `KES ${settled.amount.toLocaleString()} received for ${what} (${result.receipt}).`,
+          relatedId: settled.appointmentId,
+          createdBy: 'mpesa',
+        }, { type: 'payment' });
+      }
+      console.log(`M-Pesa ${paymentRef.id}: ${settled.status} (${result.resultCode} ${result.resultDesc})`);
+    }
+
+    return accept();
+
+  } catch (error) {
+    console.error('Error in mpesaCallback:', error);
+    return res.status(500).json({ ResultCode: 1, ResultDesc: 'Processing failed' });
+  }
+});
+
+// =============================================================================
+// 16. Expire Unpaid Deposits (Scheduled - Release Held Slots)
+// =============================================================================
+
+// Bookings that need a deposit hold their slot until depositDueBy; unpaid ones are
+// cancelled through the state machine (releaseAppointmentSlot then frees the slot)
+exports.expireUnpaidDeposits = functions.pubsub
+  .schedule('every 15 minutes')
+  .timeZone('Africa/Nairobi')
+  .onRun(async () => {
+    const db = admin.firestore();
+    const snapshot = await db.collection('appointments')
+      .where('depositStatus', '==', 'due')
+      .where('depositDueBy', '<=', admin.firestore.Timestamp.now())
+      .get();
+
+    let expiredCount = 0;
+    for (const appointmentDoc of snapshot.docs) {
+      const appointment = appointmentDoc.data();
+      if (appointment.status !== 'pending') continue;
+
+      try {
+        await appointmentStatus.applyTransition({
+          appointmentId: appointmentDoc.id,
+          toStatus: 'cancelled',
+          actor: { uid: 'system', role: 'admin' },
+          reason: 'Deposit not paid in time',
+          extraUpdates: { depositStatus: 'expired' },
+        });
+        await notifier.dispatch('booking_released', { userId: appointment.userId }, {
+          service: appointment.service,
+          when: `${appointment.slotDate} ${appointment.time}`,
+          notificationData: { appointmentId: appointmentDoc.id },
+        });
+        expiredCount++;
+      } catch (error) {
+        console.error(`Failed to expire deposit hold on ${appointmentDoc.id}:`, error);
+      }
+    }
+
+    console.log(`Deposit holds: ${expiredCount} expired (${snapshot.size} overdue checked)`);
+    return null;
+  });
+
+// =============================================================================
+// 17. Customer Reliability Counters (Firestore Trigger - Appointment Outcomes)
+// =============================================================================
+
+// users/{uid}.reliability: { completed, noShows, cancellations, lastNoShowAt } is shown
+// on admin-user-details and drives the no-show deposit rule in bookAppointment.
+// Each appointment counts once: the outcome is stamped on it as countedOutcome in the same
+// transaction as the increment, so trigger retries (at-least-once delivery) don't double-count.
+exports.updateReliabilityCounters = functions.firestore
+  .document('appointments/{appointmentId}')
+  .onUpdate(async (change, context) => {
+    const before = change.before.data();
+    const after = change.after.data();
+    if (before.status === after.status || !after.userId || after.countedOutcome) return null;
+
+    const increment = admin.firestore.FieldValue.increment(1);
+    const updates = {};
+    if (after.status === 'completed') updates.completed = increment;
+    if (after.status === 'no_show') {
+      updates.noShows = increment;
+      updates.lastNoShowAt = admin.firestore.FieldValue.serverTimestamp();
+    }
+    // Only customer cancellations count against them (not the garage or expired holds)
+    if (after.status === 'cancelled' && after.updatedBy === after.userId) updates.cancellations = increment;
+    if (Object.keys(updates).length === 0) return null;
+
+    const db = admin.firestore();
+    try {
+      const counted = await db.runTransaction(async (transaction) => {
+        const appointmentSnap = await transaction.get(change.after.ref);
+        if (!appointmentSnap.exists || appointmentSnap.data().countedOutcome) return false;
+        transaction.set(db.collection('users').doc(after.userId), { reliability: updates }, { merge: true });
+        transaction.update(change.after.ref, { countedOutcome: after.status });
+        return true;
+      });
+      if (counted) console.log(`Reliability for ${after.userId} updated (${after.status}) from ${context.params.appointmentId}`);
+    } catch (error) {
+      console.error('Error in updateReliabilityCounters:', error);
+    }
+    return null;
+  });
+
+// =============================================================================
+// 18. Web Push Tokens (Callables + Notification Trigger + Scheduled Prune)
+// =============================================================================
+
+// Browsers call this after FCM getToken (push-notifications.js) and again on later visits
+// so lastSeenAt stays fresh
+exports.registerPushToken = functions.https.onCall(async (data, context) => {
+  if (!context.auth) {
+    throw new functions.https.HttpsError('unauthenticated', 'Sign in to enable push notifications');
+  }
+
+  const token = typeof data?.token === 'string' ? data.token.trim() : '';
+  const deviceId = typeof data?.deviceId === 'string' ? data.deviceId : '';
+  if (!token || token.length > 4096) {
+    throw new functions.https.HttpsError('invalid-argument', 'A valid push token is required');
+  }
+  if (!/^[A-Za-z0-9_-]{8,64}$/.test(deviceId)) {
+    throw new functions.https.HttpsError('invalid-argument', 'A valid device id is required');
+  }
+
+  try {
+    await push.registerToken(context.auth.uid, {
+      token,
+      deviceId,
+      userAgent: typeof data.userAgent === 'string' ? data.userAgent.slice(0, 300) : null,
+    });
+    return { success: true, deviceId };
+  } catch (error) {
+    console.error('Error in registerPushToken:', error);
+    throw new functions.https.HttpsError('internal', 'Failed to register this device');
+  }
+});
+
+exports.unregisterPushToken = functions.https.onCall(async (data, context) => {
+  if (!context.auth) {
+    throw new functions.https.HttpsError('unauthenticated', 'Sign in to manage push notifications');
+  }
+  const deviceId = typeof data?.deviceId === 'string' ? data.deviceId : '';
+  if (!/^[A-Za-z0-9_-]{8,64}$/.test(deviceId)) {
+    throw new functions.https.HttpsError('invalid-argument', 'A valid device id is required');
+  }
+
+  try {
+    await push.unregisterToken(context.auth.uid, deviceId);
+    return { success: true };
+  } catch (error) {
+    console.error('Error in unregisterPushToken:', error);
+    throw new functions.https.HttpsError('internal', 'Failed to remove this device');
+  }
+});
+
+// Notifications written straight to Firestore by admin pages (announcements, manual
+// alerts, ...) still reach devices. Dispatcher-written docs are marked `dispatched` and skipped.
+exports.pushClientNotification = functions.firestore
+  .document('notifications/{notificationId}')
+  .onCreate(async (snap, context) => {
+    const notification = snap.data();
+    if (notification.dispatched) return null;
+
+    try {
+      let tokenDocs;
+      if (notification.adminOnly) {
+        tokenDocs = await push.getAdminTokenDocs();
+      } else {
+        if (!notification.userId) return null;
+        const userSnap = await admin.firestore().collection('users').doc(notification.userId).get();
+        const preferences = notifications.resolvePreferences(userSnap.exists ? userSnap.data().notificationPreferences : {});
+        if (!(preferences[notification.type] || preferences.system).push) return null;
+        tokenDocs = await push.getUserTokenDocs(notification.userId);
+      }
+
+      const data = { ...notification, notificationData: notification.data };
+      const delivered = await push.sendToTokens(tokenDocs, push.buildMessage(notification, {
+        type: notification.type,
+        url: push.getPushLink({ admins: notification.adminOnly, type: notification.type, data }),
+        tag: context.params.notificationId,
+      }));
+      if (delivered > 0) console.log(`Notification ${context.params.notificationId} pushed to ${delivered} device(s)`);
+    } catch (error) {
+      console.error('Error in pushClientNotification:', error);
+    }
+    return null;
+  });
+
+exports.pruneStalePushTokens = functions.pubsub
+  .schedule('every 24 hours')
+  .timeZone('Africa/Nairobi')
+  .onRun(async () => {
+    const removed = await push.pruneStaleTokens();
+    console.log(`Push tokens: ${removed} stale token(s) removed (older than ${push.STALE_TOKEN_DAYS} days)`);
+    return null;
+  });
+
+// =============================================================================
+// 19. Email Templates (Callables - Admin Preview & Test Send)
+// =============================================================================
+
+// Sample data from the template, overridden by whatever the admin typed (strings/numbers only)
+function getTemplatePreviewData(templateName, overrides) {
+  const previewData = { ...emailTemplates.TEMPLATES[templateName].sample };
+  if (overrides && typeof overrides === 'object' && !Array.isArray(overrides)) {
+    Object.entries(overrides).slice(0, 30).forEach(([key, value]) => {
+      if (['string', 'number', 'boolean'].includes(typeof value)) previewData[key] = typeof value === 'string' ? value.slice(0, 1000) : value;
+    });
+  }
+  return previewData;
+}
+
+async function renderTemplatePreview(uid, data) {
+  if (!(await isAdminUser(uid))) {
+    throw new functions.https.HttpsError('permission-denied', 'Admin only');
+  }
+  if (!emailTemplates.TEMPLATES[data?.template]) {
+    throw new functions.https.HttpsError('invalid-argument', 'Unknown email template');
+  }
+  return emailTemplates.renderEmail(data.template, {
+    locale: data.locale,
+    data: getTemplatePreviewData(data.template, data.data),
+    business: await emailTemplates.getBusinessDetails(),
+  });
+}
+
+exports.getEmailTemplates = functions.https.onCall(async (data, context) => {
+  if (!context.auth) {
+    throw new functions.https.HttpsError('unauthenticated', 'Sign in to manage email templates');
+  }
+  if (!(await isAdminUser(context.auth.uid))) {
+    throw new functions.https.HttpsError('permission-denied', 'Admin only');
+  }
+  return { locales: emailTemplates.LOCALES, templates: emailTemplates.listTemplates() };
+});
+
+exports.previewEmailTemplate = functions.https.onCall(async (data, context) => {
+  if (!context.auth) {
+    throw new functions.https.HttpsError('unauthenticated', 'Sign in to preview email templates');
+  }
+
+  try {
+    return await renderTemplatePreview(context.auth.uid, data);
+  } catch (error) {
+    if (error instanceof functions.https.HttpsError) throw error;
+    console.error('Error in previewEmailTemplate:', error);
+    throw new functions.https.HttpsError('internal', 'Failed to render template');
+  }
+});
+
+// Sends the rendered template to the admin (or an address they give) with a [TEST] subject
+exports.sendTestEmail = functions.https.onCall(async (data, context) => {
+  if (!context.auth) {
+    throw new functions.https.HttpsError('unauthenticated', 'Sign in to send test emails');
+  }
+  const to = typeof data?.to === 'string' && data.to.trim() ? data.to.trim() : context.auth.token.email;
+  if (!to || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(to)) {
+    throw new functions.https.HttpsError('invalid-argument', 'A valid email address is required');
+  }
+
+  try {
+    const email = await renderTemplatePreview(context.auth.uid, data);
+    await nodemailerTransporter.sendMail({
+      from: process.env.GMAIL_USER,
+      to,
+      subject: `[TEST] ${email.subject}`,
+      html: email.html,
+      text: email.text,
+    });
+    console.log(`Test email ${data.template} (${data.locale || 'en'}) sent to ${to} by ${context.auth.uid}`);
+    return { success: true, to };
+  } catch (error) {
+    if (error instanceof functions.https.HttpsError) throw error;
+    console.error('Error in sendTestEmail:', error);
+    throw new functions.https.HttpsError('internal', 'Failed to send test email');
+  }
+});
+
+// =============================================================================
+// 20. Campaigns (Callables + Scheduled Throttled Sender + Unsubscribe Link)
+// =============================================================================
+
+// campaigns/{id} holds the message and segment; processCampaigns expands the audience into
+// campaigns/{id}/recipients/{uid} when it falls due, then sends in throttled batches and
+// records each recipient's outcome. Users with marketingOptOut are never sent to.
+
+const CAMPAIGN_RUN_BUDGET_MS = 40 * 1000; // Start no new send group after this...
+const CAMPAIGN_TIMEOUT_SECONDS = 120; // ...and leave room for one slow group (10 sends) to finish
+
+function getUnsubscribeUrl(uid) {
+  const token = campaigns.getUnsubscribeToken(uid);
+  if (!token) return null; // UNSUBSCRIBE_SECRET not configured
+  const baseUrl = process.env.UNSUBSCRIBE_URL || (process.env.FUNCTIONS_EMULATOR === 'true'
+    ? `http://127.0.0.1:5001/${process.env.GCLOUD_PROJECT}/us-central1/unsubscribe`
+    : `https://us-central1-${process.env.GCLOUD_PROJECT}.cloudfunctions.net/unsubscribe`);
+  return `${baseUrl}?uid=${encodeURIComponent(uid)}&token=${token}`;
+}
+
+// Validate admin input and write a scheduled campaign (due now unless scheduledFor is later)
+async function scheduleCampaign(uid, data) {
+  const title = typeof data.title === 'string' ? data.title.trim() : '';
+  const message = typeof data.message === 'string' ? data.message.trim() : '';
+  if (!title || title.length > 100) {
+    throw new functions.https.HttpsError('invalid-argument', 'Title is required (max 100 characters)');
+  }
+  if (!message || message.length > 1000) {
+    throw new functions.https.HttpsError('invalid-argument', 'Message is required (max 1000 characters)');
+  }
+
+  let scheduledFor = new Date();
+  if (data.scheduledFor) {
+    scheduledFor = new Date(data.scheduledFor);
+    if (Number.isNaN(scheduledFor.getTime())) {
+      throw new functions.https.HttpsError('invalid-argument', 'Invalid schedule date');
+    }
+  }
+
+  const segment = campaigns.sanitizeSegment(data.segment);
+  const name = typeof data.name === 'string' && data.name.trim() ? data.name.trim().slice(0, 100) : title;
+  return admin.firestore().collection(campaigns.COLLECTION).add({
+    name,
+    title,
+    message,
+    type: campaigns.CAMPAIGN_TYPES.includes(data.type) ? data.type : 'promotion',
+    segment,
+    segmentLabel: campaigns.describeSegment(segment),
+    status: 'scheduled',
+    scheduledFor: admin.firestore.Timestamp.fromDate(scheduledFor),
+    stats: { total: 0, sent: 0, skipped: 0, failed: 0, optedOut: 0 },
+    createdBy: uid,
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+  });
+}
+
+exports.previewCampaignAudience = functions.https.onCall(async (data, context) => {
+  if (!context.auth) {
+    throw new functions.https.HttpsError('unauthenticated', 'Sign in to build campaigns');
+  }
+  if (!(await isAdminUser(context.auth.uid))) {
+    throw new functions.https.HttpsError('permission-denied', 'Admin only');
+  }
+
+  try {
+    const segment = campaigns.sanitizeSegment(data?.segment);
+    const { recipients, optedOut } = await campaigns.buildAudience(segment);
+    return {
+      segmentLabel: campaigns.describeSegment(segment),
+      count: recipients.length,
+      optedOut,
+      sample: recipients.slice(0, 10).map((recipient) => recipient.name || recipient.uid),
+    };
+  } catch (error) {
+    console.error('Error in previewCampaignAudience:', error);
+    throw new functions.https.HttpsError('internal', 'Failed to build audience');
+  }
+});
+
+exports.createCampaign = functions.https.onCall(async (data, context) => {
+  if (!context.auth) {
+    throw new functions.https.HttpsError('unauthenticated', 'Sign in to create campaigns');
+  }
+  if (!(await isAdminUser(context.auth.uid))) {
+    throw new functions.https.HttpsError('permission-denied', 'Admin only');
+  }
+
+  try {
+    const campaignRef = await scheduleCampaign(context.auth.uid, data || {});
+    console.log(`Campaign ${campaignRef.id} scheduled by ${context.auth.uid}`);
+    return { success: true, campaignId: campaignRef.id };
+  } catch (error) {
+    if (error instanceof functions.https.HttpsError) throw error;
+    console.error('Error in createCampaign:', error);
+    throw new functions.https.HttpsError('internal', 'Failed to create campaign');
+  }
+});
+
+// Stops a campaign before or during sending; recipients already sent to stay sent
+exports.cancelCampaign = functions.https.onCall(async (data, context) => {
+  if (!context.auth) {
+    throw new functions.https.HttpsError('unauthenticated', 'Sign in to manage campaigns');
+  }
+  if (!(await isAdminUser(context.auth.uid))) {
+    throw new functions.https.HttpsError('permission-denied', 'Admin only');
+  }
+
+  const campaignRef = admin.firestore().collection(campaigns.COLLECTION).doc(String(data?.campaignId || ''));
+  try {
+    await admin.firestore().runTransaction(async (transaction) => {
+      const campaignSnap = await transaction.get(campaignRef);
+      if (!campaignSnap.exists) {
+        throw new functions.https.HttpsError('not-found', 'Campaign not found');
+      }
+      if (!['scheduled', 'preparing', 'sending'].includes(campaignSnap.data().status)) {
+        throw new functions.https.HttpsError('failed-precondition', `This campaign is already ${campaignSnap.data().status}`);
+      }
+      transaction.update(campaignRef, {
+        status: 'cancelled',
+        cancelledBy: context.auth.uid,
+        cancelledAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+    });
+    return { success: true };
+  } catch (error) {
+    if (error instanceof functions.https.HttpsError) throw error;
+    console.error('Error in cancelCampaign:', error);
+    throw new functions.https.HttpsError('internal', 'Failed to cancel campaign');
+  }
+});
+
+// scheduled -> preparing (claimed in a transaction so overlapping runs don't both expand it)
+// -> sending, with one pending recipient doc per audience member
+async function prepareCampaign(campaignRef) {
+  const claimed = await admin.firestore().runTransaction(async (transaction) => {
+    const campaignSnap = await transaction.get(campaignRef);
+    if (!campaignSnap.exists || campaignSnap.data().status !== 'scheduled') return null;
+    transaction.update(campaignRef, { status: 'preparing', preparingAt: admin.firestore.FieldValue.serverTimestamp() });
+    return campaignSnap.data();
+  });
+  if (!claimed) return;
+
+  try {
+    const { recipients, optedOut } = await campaigns.buildAudience(claimed.segment);
+    await campaigns.writeRecipients(campaignRef, recipients);
+    // Don't resurrect a campaign that was cancelled while the audience was being built
+    await admin.firestore().runTransaction(async (transaction) => {
+      const campaignSnap = await transaction.get(campaignRef);
+      if (campaignSnap.data().status !== 'preparing') return;
+      transaction.update(campaignRef, {
+        status: 'sending',
+        'stats.total': recipients.length,
+        'stats.optedOut': optedOut,
+        startedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+    });
+    console.log(`Campaign ${campaignRef.id}: ${recipients.length} recipient(s) queued (${optedOut} opted out)`);
+  } catch (error) {
+    console.error(`Campaign ${campaignRef.id} preparation failed:`, error);
+    await campaignRef.update({ status: 'failed', error: error.message });
+  }
+}
+
+// One recipient: re-read the user so an opt-out since the campaign was prepared still counts
+async function sendCampaignMessage(campaign, campaignId, recipientSnap) {
+  const uid = recipientSnap.id;
+  const userSnap = await admin.firestore().collection('users').doc(uid).get();
+  if (!userSnap.exists) return { status: 'skipped', reason: 'user_deleted' };
+  const user = userSnap.data();
+  if (user.marketingOptOut === true) return { status: 'skipped', reason: 'opted_out' };
+
+  const result = await notifier.dispatch('announcement', { userId: uid, user }, {
+    title: campaign.title,
+    message: campaign.message,
+    unsubscribeUrl: getUnsubscribeUrl(uid),
+    notificationData: { action: 'read', campaignId },
+  }, { type: campaign.type });
+
+  const errors = Object.keys(result.errors);
+  if (result.channels.length > 0) return { status: 'sent', channels: result.channels, error: errors.length ? JSON.stringify(result.errors) : null };
+  if (errors.length > 0) return { status: 'failed', error: JSON.stringify(result.errors) };
+  return { status: 'skipped', reason: 'no_channels' };
+}
+
+// Send batches for one campaign until it runs out of recipients, is cancelled or time is up
+async function sendCampaignBatches(campaignRef, deadline) {
+  while (Date.now() < deadline) {
+    const campaignSnap = await campaignRef.get();
+    const campaign = campaignSnap.data();
+    if (campaign.status !== 'sending') return;
+
+    const claimed = await campaigns.claimRecipients(campaignRef);
+    if (claimed.length === 0) {
+      // Recipients another run still holds are reclaimed once stale; complete only after that
+      if (await campaigns.hasRecipientsInFlight(campaignRef)) return;
+      await campaignRef.update({ status: 'completed', completedAt: admin.firestore.FieldValue.serverTimestamp() });
+      console.log(`Campaign ${campaignRef.id} completed`);
+      return;
+    }
+
+    const counts = await campaigns.sendThrottled(claimed, (recipientSnap) => sendCampaignMessage(campaign, campaignRef.id, recipientSnap), deadline);
+    await campaignRef.update({
+      'stats.sent': admin.firestore.FieldValue.increment(counts.sent),
+      'stats.skipped': admin.firestore.FieldValue.increment(counts.skipped),
+      'stats.failed': admin.firestore.FieldValue.increment(counts.failed),
+      lastBatchAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+  }
+}
+
+exports.processCampaigns = functions
+  .runWith({ timeoutSeconds: CAMPAIGN_TIMEOUT_SECONDS })
+  .pubsub.schedule('every 5 minutes')
+  .timeZone('Africa/Nairobi')
+  .onRun(async () => {
+    const deadline = Date.now() + CAMPAIGN_RUN_BUDGET_MS;
+    const db = admin.firestore();
+
+    try {
+      const dueSnap = await db.collection(campaigns.COLLECTION)
+        .where('status', '==', 'scheduled')
+        .where('scheduledFor', '<=', admin.firestore.Timestamp.now())
+        .orderBy('scheduledFor')
+        .limit(5)
+        .get();
+      for (const campaignDoc of dueSnap.docs) {
+        await prepareCampaign(campaignDoc.ref);
+      }
+
+      const sendingSnap = await db.collection(campaigns.COLLECTION).where('status', '==', 'sending').get();
+      for (const campaignDoc of sendingSnap.docs) {
+        if (Date.now() >= deadline) break; // The rest carry on next run
+        await sendCampaignBatches(campaignDoc.ref, deadline);
+      }
+    } catch (error) {
+      console.error('Error in processCampaigns:', error);
+    }
+    return null;
+  });
+
+// Unsubscribe from campaign emails. The link (GET) only shows a confirm form, so mail scanners
+// that prefetch links can't opt people out; the form and RFC 8058 one-click clients
+// (List-Unsubscribe-Post) POST to the same URL, which does the opt-out.
+exports.unsubscribe = functions.https.onRequest(async (req, res) => {
+  const uid = String(req.query.uid || '');
+  const token = String(req.query.token || '');
+  const page = (heading, text, extra = '') => `<!DOCTYPE html><html><head><meta charset="utf-8"><meta name="viewport" content="width=device-width, initial-scale=1"><title>${heading}</title></head>`
+    + `<body style="font-family: Arial, sans-serif; max-width: 480px; margin: 60px auto; text-align: center;"><h2>${heading}</h2><p>${text}</p>${extra}</body></html>`;
+
+  if (!['GET', 'POST'].includes(req.method)) {
+    return res.status(405).set('Allow', 'GET, POST').send(page('Not allowed', 'Use the link in your email.'));
+  }
+  if (!uid || !campaigns.verifyUnsubscribeToken(uid, token)) {
+    return res.status(400).send(page('Invalid link', 'This unsubscribe link is invalid or has expired.'));
+  }
+
+  if (req.method === 'GET') {
+    const action = `?uid=${encodeURIComponent(uid)}&token=${encodeURIComponent(token)}`;
+    return res.send(page('Unsubscribe?', 'You will no longer receive offers and announcements from Top Autocare.',
+      `<form method="POST" action="${action}"><button type="submit" style="padding: 10px 24px; font-size: 16px; cursor: pointer;">Unsubscribe</button></form>`));
+  }
+
+  try {
+    const userRef = admin.firestore().collection('users').doc(uid);
+    if (!(await userRef.get()).exists) {
+      return res.status(404).send(page('Not found', 'We could not find this account.'));
+    }
+    await userRef.update({
+      marketingOptOut: true,
+      marketingOptOutAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+    console.log(`User ${uid} unsubscribed from campaigns`);
+    res.send(page('You have been unsubscribed', 'You will no longer receive offers and announcements. You can turn them back on from your profile.'));
+  } catch (error) {
+    console.error('Error in unsubscribe:', error);
+    res.status(500).send(page('Something went wrong', 'Please try again later.'));
+  }
+});
+
+// =============================================================================
+// 21. Appointment Chat (Firestore Trigger - Notify the Other Party)
+// =============================================================================
+
+// Pages write appointments/{id}/messages directly (firestore.rules checks sender and role);
+// each new message reaches the other side through the dispatcher
+function getMessagePreview(message) {
+  const text = String(message.text || '').trim();
+  if (text) return text.length > 140 ? `${text.slice(0, 137)}...` : text;
+  const count = Array.isArray(message.attachments) ? message.attachments.length : 0;
+  return count === 1 ? 'Sent an attachment' : `Sent ${count} attachments`;
+}
+
+exports.notifyAppointmentMessage = functions.firestore
+  .document('appointments/{appointmentId}/messages/{messageId}')
+  .onCreate(async (snap, context) => {
+    const message = snap.data();
+    const { appointmentId, messageId } = context.params;
+
+    try {
+      const appointmentSnap = await admin.firestore().collection('appointments').doc(appointmentId).get();
+      if (!appointmentSnap.exists) return null;
+      const appointment = appointmentSnap.data();
+      const preview = getMessagePreview(message);
+
+      if (message.senderRole === 'admin') {
+        await notifier.dispatch('appointment_message', { userId: appointment.userId }, {
+          senderName: message.senderName || 'Top Autocare',
+          preview,
+          service: appointment.service,
+          appointmentId,
+          notificationData: { appointmentId, messageId, action: 'chat' },
+        });
+      } else {
+        await notifier.dispatch('admin_alert', { admins: true }, {
+          title: `New message from ${message.senderName || appointment.userName || 'a customer'}`,
+          message: `${appointment.service || 'Appointment'}: ${preview}`,
+          relatedId: appointmentId,
+          userName: message.senderName || appointment.userName || null,
+          createdBy: message.senderId,
+        }, { type: 'message' });
+      }
+    } catch (error) {
+      console.error('Error in notifyAppointmentMessage:', error);
+    }
+    return null;
+  });
+
+// =============================================================================
+// 22. Inbound SMS/WhatsApp (Twilio Webhook + Phone Index + Local Harness)
+// =============================================================================
+
+// Point the Twilio number's "A message comes in" webhook (and the WhatsApp sender) here
+function getTwilioWebhookUrl() {
+  return process.env.TWILIO_WEBHOOK_URL || (process.env.FUNCTIONS_EMULATOR === 'true'
+    ? `http://127.0.0.1:5001/${process.env.GCLOUD_PROJECT}/us-central1/twilioInbound`
+    : `https://us-central1-${process.env.GCLOUD_PROJECT}.cloudfunctions.net/twilioInbound`);
+}
+
+function notifyAdminsOfSms(alert, user) {
+  return notifier.dispatch('admin_alert', { admins: true }, {
+    ...alert,
+    userName: user?.fullName || null,
+    createdBy: user?.id || 'sms',
+  }, { type: 'message' });
+}
+
+exports.twilioInbound = functions.https.onRequest(async (req, res) => {
+  if (req.method !== 'POST') return res.status(405).send('Method not allowed');
+
+  // Twilio signs every request with the auth token; the emulator accepts the fake harness unsigned
+  const signature = req.get('X-Twilio-Signature') || '';
+  const signed = require('twilio').validateRequest(process.env.TWILIO_AUTH_TOKEN || '', signature, getTwilioWebhookUrl(), req.body || {});
+  if (!signed && process.env.FUNCTIONS_EMULATOR !== 'true') {
+    console.warn('twilioInbound: rejected request with an invalid signature');
+    return res.status(403).send('Invalid signature');
+  }
+
+  res.set('Content-Type', 'text/xml');
+  try {
+    const message = smsInbound.parseInbound(req.body);
+    const reply = await smsInbound.handleInbound(message, { notifyAdmins: notifyAdminsOfSms });
+    console.log(`Inbound ${message.channel} from ${message.phone}: "${message.body.slice(0, 40)}"`);
+    res.send(smsInbound.toTwiml(reply));
+  } catch (error) {
+    console.error('Error in twilioInbound:', error);
+    // A 200 with no reply stops Twilio retrying into the same failure
+    res.send(smsInbound.toTwiml(null));
+  }
+});
+
+// Local harness: run a fake inbound message through the same handler (emulator only)
+exports.simulateInboundSms = functions.https.onCall(async (data, context) => {
+  if (process.env.FUNCTIONS_EMULATOR !== 'true') {
+    throw new functions.https.HttpsError('failed-precondition', 'Only available on the emulator');
+  }
+  if (!context.auth || !(await isAdminUser(context.auth.uid))) {
+    throw new functions.https.HttpsError('permission-denied', 'Admin only');
+  }
+  if (!data?.from || typeof data.body !== 'string') {
+    throw new functions.https.HttpsError('invalid-argument', 'from and body are required');
+  }
+
+  const payload = smsInbound.buildInboundPayload({ from: data.from, body: data.body, channel: data.channel });
+  const reply = await smsInbound.handleInbound(smsInbound.parseInbound(payload), { notifyAdmins: notifyAdminsOfSms });
+  return { payload, reply, twiml: smsInbound.toTwiml(reply) };
+});
+
+// Inbound replies only match users/{uid}.verifiedPhone (server-only). Changing the profile number
+// drops the verification until the new number is confirmed; the old unverified phoneNormalized
+// copy is removed.
+exports.syncUserPhone = functions.firestore
+  .document('users/{userId}')
+  .onWrite(async (change) => {
+    if (!change.after.exists) return null;
+    const user = change.after.data();
+    const updates = {};
+    if (user.verifiedPhone && smsInbound.normalizePhone(user.phone) !== user.verifiedPhone) {
+      updates.verifiedPhone = null;
+      updates.phoneVerifiedAt = null;
+    }
+    if ('phoneNormalized' in user) updates.phoneNormalized = admin.firestore.FieldValue.delete();
+    if (Object.keys(updates).length === 0) return null;
+
+    await change.after.ref.update(updates);
+    return null;
+  });
+
+// Text a 6-digit code to the number on the caller's profile
+exports.requestPhoneVerification = functions.https.onCall(async (data, context) => {
+  if (!context.auth) {
+    throw new functions.https.HttpsError('unauthenticated', 'Sign in to verify your phone');
+  }
+  if (!process.env.TWILIO_SID) {
+    throw new functions.https.HttpsError('unavailable', 'SMS is not available right now');
+  }
+
+  try {
+    const { phone, code } = await smsInbound.startPhoneVerification(context.auth.uid);
+    await twilioClient.messages.create({
+      body: `Top Autocare: your verification code is ${code}. It expires in 10 minutes.`,
+      from: process.env.TWILIO_PHONE,
+      to: phone,
+    });
+    return { success: true, phone };
+  } catch (error) {
+    if (['failed-precondition', 'resource-exhausted'].includes(error.code)) {
+      throw new functions.https.HttpsError(error.code, error.message);
+    }
+    console.error('Error in requestPhoneVerification:', error);
+    throw new functions.https.HttpsError('internal', 'Failed to send the verification code');
+  }
+});
+
+exports.confirmPhoneVerification = functions.https.onCall(async (data, context) => {
+  if (!context.auth) {
+    throw new functions.https.HttpsError('unauthenticated', 'Sign in to verify your phone');
+  }
+  if (!/^\d{6}$/.test(String(data?.code || '').trim())) {
+    throw new functions.https.HttpsError('invalid-argument', 'Enter the 6-digit code');
+  }
+
+  try {
+    const phone = await smsInbound.confirmPhoneVerification(context.auth.uid, data.code);
+    if (!phone) throw new functions.https.HttpsError('invalid-argument', 'That code is not correct');
+    return { success: true, phone };
+  } catch (error) {
+    if (error instanceof functions.https.HttpsError) throw error;
+    if (['not-found', 'deadline-exceeded', 'resource-exhausted', 'failed-precondition'].includes(error.code)) {
+      throw new functions.https.HttpsError(error.code, error.message);
+    }
+    console.error('Error in confirmPhoneVerification:', error);
+    throw new functions.https.HttpsError('internal', 'Failed to verify the phone number');
+  }
+});
+
+// =============================================================================
+// 23. Notification Center (Unread Counters + Grouping + Expiry Cleanup)
+// =============================================================================
+
+const NOTIFICATION_CLEANUP_BATCH = 400;
+const NOTIFICATION_CLEANUP_MAX_BATCHES = 25; // Anything left over goes on the next run
+
+// Keep the denormalized unread counters in step with every notification write:
+// users/{uid}.unreadNotifications for customers, counters/adminNotifications.unread for admins.
+// Docs created client-side (bookings, contact form...) also get their groupKey and expiresAt here.
+exports.maintainNotificationState = functions.firestore
+  .document('notifications/{notificationId}')
+  .onWrite(async (change) => {
+    const before = change.before.exists ? change.before.data() : null;
+    const after = change.after.exists ? change.after.data() : null;
+    const notification = after || before;
+    const db = admin.firestore();
+
+    const delta = (after && after.read !== true ? 1 : 0) - (before && before.read !== true ? 1 : 0);
+    if (delta !== 0) {
+      const increment = admin.firestore.FieldValue.increment(delta);
+      if (notification.adminOnly === true) {
+        await db.collection('counters').doc('adminNotifications').set({ unread: increment }, { merge: true });
+      } else if (notification.userId) {
+        await db.collection('users').doc(notification.userId).update({ unreadNotifications: increment })
+          .catch((error) => {
+            // The user may have been deleted; nothing to count for them
+            if (error.code !== 5) throw error;
+          });
+      }
+    }
+
+    if (after && (!after.expiresAt || after.groupKey === undefined)) {
+      const createdAt = after.timestamp?.toDate ? after.timestamp.toDate() : new Date();
+      await change.after.ref.update({
+        expiresAt: after.expiresAt || notifications.getExpiry(after.type, createdAt),
+        groupKey: after.groupKey === undefined ? notifications.getGroupKey(after) : after.groupKey,
+      });
+    }
+    return null;
+  });
+
+// Delete notifications past their expiresAt (per-type TTL, see notifications.NOTIFICATION_TTL_DAYS).
+// Deletes go through maintainNotificationState, which takes unread ones off the counters.
+exports.cleanupExpiredNotifications = functions.pubsub
+  .schedule('every 24 hours')
+  .timeZone('Africa/Nairobi')
+  .onRun(async () => {
+    const db = admin.firestore();
+    const now = admin.firestore.Timestamp.now();
+    let deleted = 0;
+
+    for (let i = 0; i < NOTIFICATION_CLEANUP_MAX_BATCHES; i++) {
+      const snapshot = await db.collection('notifications')
+        .where('expiresAt', '<=', now)
+        .limit(NOTIFICATION_CLEANUP_BATCH)
+        .get();
+      if (snapshot.empty) break;
+
+      const batch = db.batch();
+      snapshot.docs.forEach((notificationDoc) => batch.delete(notificationDoc.ref));
+      await batch.commit();
+      deleted += snapshot.size;
+      if (snapshot.size < NOTIFICATION_CLEANUP_BATCH) break;
+    }
+
+    console.log(`cleanupExpiredNotifications: deleted ${deleted} notifications`);
+    return null;
+  });
+
+// Admin tool: recount a counter from scratch (after a backfill or if it ever drifts)
+exports.recountUnreadNotifications = functions.https.onCall(async (data, context) => {
+  if (!context.auth || !(await isAdminUser(context.auth.uid))) {
+    throw new functions.https.HttpsError('permission-denied', 'Admin only');
+  }
+  const db = admin.firestore();
+
+  if (data?.userId) {
+    const unread = await db.collection('notifications')
+      .where('userId', '==', data.userId)
+      .where('read', '==', false)
+      .count()
+      .get();
+    await db.collection('users').doc(data.userId).update({ unreadNotifications: unread.data().count });
+    return { userId: data.userId, unread: unread.data().count };
+  }
+
+  const unread = await db.collection('notifications')
+    .where('adminOnly', '==', true)
+    .where('read', '==', false)
+    .count()
+    .get();
+  await db.collection('counters').doc('adminNotifications').set({ unread: unread.data().count }, { merge: true });
+  return { admin: true, unread: unread.data().count };
+});
+
+// =============================================================================
+// 24. Admin Alerts (settings/alerts Rules + Scheduled Evaluation + Ack/Snooze)
+// =============================================================================
+
+const OPEN_ALERT_STATUSES = ['firing', 'acknowledged', 'snoozed'];
+
+// Email/SMS/push to each on-duty admin (the rule picks the channels), plus one in-app
+// entry in the admin notification center grouped under the alert
+async function notifyOnDutyAdmins(rule, message, alertId) {
+  const onDuty = await adminAlerts.getOnDutyAdmins();
+  await Promise.all(onDuty.map((user) => notifier.dispatch('ops_alert', { userId: user.id, user }, {
+    label: rule.label,
+    message,
+  }, { channels: rule.channels, ignorePreferences: true })));
+
+  await notifier.dispatch('admin_alert', { admins: true }, {
+    title: `Alert: ${rule.label}`,
+    message,
+    relatedId: alertId,
+    createdBy: 'alerts',
+  }, { channels: ['inApp'] });
+  return onDuty.length;
+}
+
+exports.evaluateAdminAlerts = functions.pubsub
+  .schedule('every 5 minutes')
+  .timeZone('Africa/Nairobi')
+  .onRun(async () => {
+    const db = admin.firestore();
+    const now = new Date();
+    const { rules, repeatMinutes } = await adminAlerts.getAlertSettings();
+
+    for (const rule of rules) {
+      try {
+        const count = rule.enabled ? await adminAlerts.measureRule(rule, now) : 0;
+        const breached = rule.enabled && count >= rule.threshold;
+        const alertRef = db.collection(adminAlerts.COLLECTION).doc(rule.id);
+        const alertSnap = await alertRef.get();
+        const existing = alertSnap.exists ? alertSnap.data() : null;
+
+        const { changes, notify } = adminAlerts.nextAlertState(existing, breached, now, repeatMinutes);
+        if (!changes) continue;
+
+        const message = breached ? adminAlerts.RULE_TYPES[rule.type].describe(count, rule) : existing.message;
+        const update = {
+          ...changes,
+          ruleId: rule.id,
+          type: rule.type,
+          label: rule.label,
+          threshold: rule.threshold,
+          windowMinutes: rule.windowMinutes,
+          message,
+          ...(breached ? { count } : {}),
+          updatedAt: now,
+        };
+        if (notify) {
+          const notified = await notifyOnDutyAdmins(rule, message, rule.id);
+          update.lastNotifiedAt = now;
+          update.notifyCount = admin.firestore.FieldValue.increment(1);
+          console.log(`Alert ${rule.id}: ${message} (notified ${notified} admin${notified === 1 ? '' : 's'})`);
+        }
+        await alertRef.set(update, { merge: true });
+      } catch (error) {
+        // One broken rule (e.g. a missing index) shouldn't stop the others
+        console.error(`Alert rule ${rule.id} failed:`, error);
+      }
+    }
+
+    // Alerts whose rule was deleted from settings/alerts
+    const ruleIds = new Set(rules.map((rule) => rule.id));
+    const openSnap = await db.collection(adminAlerts.COLLECTION).where('status', 'in', OPEN_ALERT_STATUSES).get();
+    await Promise.all(openSnap.docs
+      .filter((alertDoc) => !ruleIds.has(alertDoc.id))
+      .map((alertDoc) => alertDoc.ref.update({ status: 'resolved', resolvedAt: now, updatedAt: now })));
+
+    await adminAlerts.pruneClientErrors(now);
+    return null;
+  });
+
+async function requireAdminAlert(data, context) {
+  if (!context.auth || !(await isAdminUser(context.auth.uid))) {
+    throw new functions.https.HttpsError('permission-denied', 'Admin only');
+  }
+  if (typeof data?.alertId !== 'string' || !data.alertId) {
+    throw new functions.https.HttpsError('invalid-argument', 'alertId is required');
+  }
+  const alertRef = admin.firestore().collection(adminAlerts.COLLECTION).doc(data.alertId);
+  const alertSnap = await alertRef.get();
+  if (!alertSnap.exists) throw new functions.https.HttpsError('not-found', 'Alert not found');
+  if (!OPEN_ALERT_STATUSES.includes(alertSnap.data().status)) {
+    throw new functions.https.HttpsError('failed-precondition', 'Alert is already resolved');
+  }
+  return alertRef;
+}
+
+// Stops reminders until the alert resolves (it re-opens if the rule is breached again later)
+exports.acknowledgeAdminAlert = functions.https.onCall(async (data, context) => {
+  const alertRef = await requireAdminAlert(data, context);
+  await alertRef.update({
+    status: 'acknowledged',
+    acknowledgedAt: admin.firestore.FieldValue.serverTimestamp(),
+    acknowledgedBy: context.auth.uid,
+    snoozedUntil: null,
+    updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+  });
+  return { success: true };
+});
+
+// Silence for `minutes`; if the rule is still breached afterwards the alert fires again
+exports.snoozeAdminAlert = functions.https.onCall(async (data, context) => {
+  const alertRef = await requireAdminAlert(data, context);
+  const minutes = Math.round(Number(data.minutes));
+  if (!Number.isFinite(minutes) || minutes < 5 || minutes > adminAlerts.MAX_SNOOZE_MINUTES) {
+    throw new functions.https.HttpsError('invalid-argument', `Snooze for 5 to ${adminAlerts.MAX_SNOOZE_MINUTES} minutes`);
+  }
+  const snoozedUntil = admin.firestore.Timestamp.fromMillis(Date.now() + minutes * 60 * 1000);
+  await alertRef.update({
+    status: 'snoozed',
+    snoozedUntil,
+    snoozedBy: context.auth.uid,
+    updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+  });
+  return { success: true, snoozedUntil: snoozedUntil.toDate().toISOString() };
+});
+
+// ErrorHandler (scripts/error-handler.js) beacons batches of client errors here for the
+// client_errors rule. sendBeacon posts text/plain and can't set headers, so the body may arrive
+// as a string and carries the sender's Firebase ID token ({ idToken, errors }). Anonymous,
+// oversized or over-quota reports are dropped before anything is written or alerted.
+const CLIENT_ERROR_MAX_BYTES = 16 * 1024;
+
+exports.reportClientErrors = functions.https.onRequest((req, res) => {
+  return corsHandler(req, res, async () => {
+    if (req.method !== 'POST') return res.status(405).send('Method not allowed');
+    if ((req.rawBody ? req.rawBody.length : 0) > CLIENT_ERROR_MAX_BYTES) {
+      return res.status(413).send('Report too large');
+    }
+
+    let body = req.body;
+    if (typeof body === 'string') {
+      try {
+        body = JSON.parse(body);
+      } catch (error) {
+        return res.status(400).send('Invalid JSON');
+      }
+    }
+    const errors = adminAlerts.sanitizeClientErrors(body?.errors);
+    if (errors.length === 0) return res.status(204).send('');
+
+    let uid;
+    try {
+      uid = (await admin.auth().verifyIdToken(String(body?.idToken || ''))).uid;
+    } catch (error) {
+      return res.status(401).send('Sign-in required');
+    }
+
+    try {
+      if (!(await adminAlerts.consumeClientErrorQuota({ uid, ip: req.ip || 'unknown' }))) {
+        return res.status(429).send('Too many reports');
+      }
+
+      const db = admin.firestore();
+      const batch = db.batch();
+      const userAgent = String(req.get('user-agent') || '').slice(0, 200);
+      errors.forEach((error) => {
+        batch.set(db.collection(adminAlerts.CLIENT_ERRORS).doc(), {
+          ...error,
+          userId: uid,
+          userAgent,
+          createdAt: admin.firestore.FieldValue.serverTimestamp(),
+        });
+      });
+      await batch.commit();
+      return res.status(204).send('');
+    } catch (error) {
+      console.error('Error in reportClientErrors:', error);
+      return res.status(500).send('Failed to record errors');
+    }
+  });
+});
+
+// =============================================================================
+// 25. Appointment Status Digest (Periodic Background Sync for Installed PWAs)
+// =============================================================================
+
+// pwa-install.js asks for a digest token once the app is installed; sw.js keeps it in IndexedDB
+exports.issueStatusDigestToken = functions.https.onCall(async (data, context) => {
+  if (!context.auth) {
+    throw new functions.https.HttpsError('unauthenticated', 'Sign in to enable background updates');
+  }
+  const deviceId = typeof data?.deviceId === 'string' ? data.deviceId : '';
+  if (!statusDigest.DEVICE_ID.test(deviceId)) {
+    throw new functions.https.HttpsError('invalid-argument', 'A valid device id is required');
+  }
+
+  try {
+    const token = await statusDigest.issueToken(context.auth.uid, deviceId);
+    return { success: true, token };
+  } catch (error) {
+    console.error('Error in issueStatusDigestToken:', error);
+    throw new functions.https.HttpsError('internal', 'Failed to enable background updates');
+  }
+});
+
+exports.revokeStatusDigestToken = functions.https.onCall(async (data, context) => {
+  if (!context.auth) {
+    throw new functions.https.HttpsError('unauthenticated', 'Sign in to manage background updates');
+  }
+  const deviceId = typeof data?.deviceId === 'string' ? data.deviceId : '';
+  if (!statusDigest.DEVICE_ID.test(deviceId)) {
+    throw new functions.https.HttpsError('invalid-argument', 'A valid device id is required');
+  }
+
+  try {
+    await statusDigest.revokeToken(context.auth.uid, deviceId);
+    return { success: true };
+  } catch (error) {
+    console.error('Error in revokeStatusDigestToken:', error);
+    throw new functions.https.HttpsError('internal', 'Failed to disable background updates');
+  }
+});
+
+// GET with "Authorization: Bearer <digest token>"; called from sw.js (periodicsync) and as the
+// page-driven fallback on browsers without Periodic Background Sync
+exports.appointmentStatusDigest = functions.https.onRequest((req, res) => {
+  return corsHandler(req, res, async () => {
+    if (req.method !== 'GET') return res.status(405).send('Method not allowed');
+
+    const match = /^Bearer (.+)$/.exec(req.get('authorization') || '');
+    try {
+      const uid = match ? await statusDigest.verifyToken(match[1]) : null;
+      if (!uid) return res.status(401).json({ error: 'Invalid digest token' });
+
+      const digest = await statusDigest.buildDigest(uid);
+      res.set('Cache-Control', 'no-store');
+      return res.status(200).json(digest);
+    } catch (error) {
+      console.error('Error in appointmentStatusDigest:', error);
+      return res.status(500).json({ error: 'Failed to build status digest' });
+    }
+  });
+});
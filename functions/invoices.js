@@ -0,0 +1,195 @@
+// invoices.js - Quotes and invoices for Top Autocare Garage
+// Both live in the `invoices` collection (kind: 'quote' | 'invoice') with line items for
+// labour, parts, fees and discounts. Totals are always recomputed here on the server so
+// the stored figures can't drift from the line items.
+
+const admin = require('firebase-admin');
+
+const COLLECTION = 'invoices';
+const DEFAULT_TAX_RATE = 16; // Kenya VAT, percent
+const PAYMENT_TERMS_DAYS = 7;
+const LINE_TYPES = ['labour', 'part', 'fee', 'discount'];
+
+const QUOTE_STATUSES = ['draft', 'sent', 'approved', 'declined', 'converted'];
+const INVOICE_STATUSES = ['issued', 'paid', 'void'];
+
+function roundMoney(amount) {
+  return Math.round((Number(amount) || 0) * 100) / 100;
+}
+
+// Clean client-supplied line items. Discounts are entered as positive amounts.
+function sanitizeLineItems(lineItems) {
+  return (Array.isArray(lineItems) ? lineItems : [])
+    .slice(0, 100)
+    .map((item) => ({
+      type: LINE_TYPES.includes(item?.type) ? item.type : 'labour',
+      description: String(item?.description || '').trim().slice(0, 200),
+      quantity: Math.max(0, Number(item?.quantity) || 0),
+      unitPrice: Math.abs(roundMoney(item?.unitPrice)),
+      taxable: item?.taxable !== false,
+    }))
+    .filter((item) => item.description && item.quantity > 0);
+}
+
+// Subtotal of charges, discounts taken off the taxable amount, then tax on what's left
+function computeTotals(lineItems, taxRate = DEFAULT_TAX_RATE) {
+  let subtotal = 0;
+  let taxableSubtotal = 0;
+  let discount = 0;
+
+  lineItems.forEach((item) => {
+    const amount = roundMoney(item.quantity * item.unitPrice);
+    if (item.type === 'discount') {
+      discount += amount;
+      return;
+    }
+    subtotal += amount;
+    if (item.taxable) taxableSubtotal += amount;
+  });
+
+  discount = Math.min(discount, subtotal);
+  const taxableAmount = Math.max(0, taxableSubtotal - Math.min(discount, taxableSubtotal));
+  const tax = roundMoney(taxableAmount * (Math.max(0, Number(taxRate) || 0) / 100));
+
+  return {
+    subtotal: roundMoney(subtotal),
+    discount: roundMoney(discount),
+    taxRate: Number(taxRate) || 0,
+    tax,
+    total: roundMoney(subtotal - discount + tax),
+  };
+}
+
+// Starting line items for an appointment: the booked service as labour plus any parts
+// recorded when the job was completed
+function defaultLineItems(appointment) {
+  const items = [{
+    type: 'labour',
+    description: appointment.service || 'Service',
+    quantity: 1,
+    unitPrice: roundMoney(appointment.price),
+    taxable: true,
+  }];
+  (appointment.completion?.parts || []).forEach((part) => {
+    items.push({ type: 'part', description: part.name, quantity: part.quantity || 1, unitPrice: roundMoney(part.unitCost), taxable: true });
+  });
+  return items;
+}
+
+function getCounterRef(kind) {
+  return admin.firestore().collection('counters').doc(`${kind}-${new Date().getFullYear()}`);
+}
+
+// Reserve the next sequential number inside a transaction, e.g. QT-2025-0007 / INV-2025-0042.
+// Must be called before any transaction writes; returns { number, write }.
+async function reserveNumber(transaction, kind) {
+  const counterRef = getCounterRef(kind);
+  const counterSnap = await transaction.get(counterRef);
+  const value = (counterSnap.exists ? counterSnap.data().value : 0) + 1;
+  const number = `${kind === 'quote' ? 'QT' : 'INV'}-${new Date().getFullYear()}-${String(value).padStart(4, '0')}`;
+  return {
+    number,
+    write: () => transaction.set(counterRef, { value, updatedAt: admin.firestore.FieldValue.serverTimestamp() })
+  };
+}
+
+// Next number outside of any other transaction
+async function nextNumber(kind) {
+  return admin.firestore().runTransaction(async (transaction) => {
+    const { number, write } = await reserveNumber(transaction, kind);
+    write();
+    return number;
+  });
+}
+
+function formatKes(amount) {
+  return `KES ${roundMoney(amount).toLocaleString('en-KE', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+}
+
+function escapeHtml(value) {
+  return String(value ?? '').replace(/[&<>"']/g, (char) => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;',
+  })[char]);
+}
+
+// Printable HTML for a quote/invoice (rendered to PDF with Puppeteer in index.js)
+function renderDocumentHtml(doc, business = {}) {
+  const title = doc.kind === 'quote' ? 'Quotation' : 'Tax Invoice';
+  const issued = doc.issuedAt?.toDate ? doc.issuedAt.toDate() : doc.createdAt?.toDate ? doc.createdAt.toDate() : new Date();
+  const rows = doc.lineItems.map((item) => `
+    <tr>
+      <td>${escapeHtml(item.description)}${item.type === 'part' ? ' <small>(part)</small>' : ''}</td>
+      <td class="num">${item.quantity}</td>
+      <td class="num">${item.type === 'discount' ? '-' : ''}${formatKes(item.unitPrice)}</td>
+      <td class="num">${item.type === 'discount' ? '-' : ''}${formatKes(item.quantity * item.unitPrice)}</td>
+    </tr>`).join('');
+
+  return `
+    <html>
+      <head>
+        <style>
+          body { font-family: Arial; color: #222; margin: 32px; }
+          h1 { color: #b8962e; margin-bottom: 0; }
+          table { border-collapse: collapse; width: 100%; margin-top: 24px; }
+          th, td { border-bottom: 1px solid #ddd; padding: 8px; text-align: left; }
+          .num { text-align: right; }
+          .totals td { border: none; }
+          .grand td { font-weight: bold; font-size: 1.1em; border-top: 2px solid #222; }
+          .meta { display: flex; justify-content: space-between; margin-top: 16px; }
+        </style>
+      </head>
+      <body>
+        <h1>${escapeHtml(business.businessName || 'Top Autocare Garage')}</h1>
+        <p>${escapeHtml(business.businessAddress || 'Nairobi, Kenya')} | ${escapeHtml(business.businessPhone || '+254 757 562 447')} | ${escapeHtml(business.businessEmail || '')}</p>
+        <h2>${title} ${escapeHtml(doc.number)}</h2>
+        <div class="meta">
+          <div>
+            <strong>Bill to</strong><br>
+            ${escapeHtml(doc.customer?.name || 'Customer')}<br>
+            ${escapeHtml(doc.customer?.email || '')}<br>
+            ${escapeHtml(doc.customer?.phone || '')}
+          </div>
+          <div>
+            <strong>Vehicle</strong><br>
+            ${escapeHtml(doc.vehicle?.description || 'N/A')}<br>
+            Plate: ${escapeHtml(doc.vehicle?.plate || 'N/A')}
+          </div>
+          <div>
+            <strong>Date:</strong> ${issued.toLocaleDateString('en-KE')}<br>
+            ${doc.reference ? `<strong>Booking:</strong> ${escapeHtml(doc.reference)}<br>` : ''}
+            ${doc.dueDate?.toDate ? `<strong>Due:</strong> ${doc.dueDate.toDate().toLocaleDateString('en-KE')}` : ''}
+          </div>
+        </div>
+        <table>
+          <tr><th>Description</th><th class="num">Qty</th><th class="num">Unit Price</th><th class="num">Amount</th></tr>
+          ${rows}
+          <tr class="totals"><td colspan="3" class="num">Subtotal</td><td class="num">${formatKes(doc.totals.subtotal)}</td></tr>
+          ${doc.totals.discount ? `<tr class="totals"><td colspan="3" class="num">Discount</td><td class="num">-${formatKes(doc.totals.discount)}</td></tr>` : ''}
+          <tr class="totals"><td colspan="3" class="num">VAT (${doc.totals.taxRate}%)</td><td class="num">${formatKes(doc.totals.tax)}</td></tr>
+          <tr class="totals grand"><td colspan="3" class="num">Total</td><td class="num">${formatKes(doc.totals.total)}</td></tr>
+          ${doc.depositPaid ? `<tr class="totals"><td colspan="3" class="num">Less deposit paid</td><td class="num">-${formatKes(doc.depositPaid)}</td></tr>
+          <tr class="totals grand"><td colspan="3" class="num">Balance Due</td><td class="num">${formatKes(doc.balanceDue)}</td></tr>` : ''}
+        </table>
+        ${doc.notes ? `<p><strong>Notes:</strong> ${escapeHtml(doc.notes)}</p>` : ''}
+        <hr>
+        <small>${doc.kind === 'quote' ? 'This quotation is valid for 14 days.' : `Payment due within ${PAYMENT_TERMS_DAYS} days.`} Thank you for choosing Top Autocare.</small>
+      </body>
+    </html>
+  `;
+}
+
+module.exports = {
+  COLLECTION,
+  DEFAULT_TAX_RATE,
+  PAYMENT_TERMS_DAYS,
+  LINE_TYPES,
+  QUOTE_STATUSES,
+  INVOICE_STATUSES,
+  sanitizeLineItems,
+  computeTotals,
+  defaultLineItems,
+  reserveNumber,
+  nextNumber,
+  formatKes,
+  renderDocumentHtml
+};
@@ -0,0 +1,136 @@
+// maintenance.js - Service-due predictions for Top Autocare Garage
+// Each services doc may carry `intervalKm` and/or `intervalMonths`. Given a vehicle's
+// service history and odometer readings, predict when each recurring service is next
+// due (whichever of the mileage or time interval comes first).
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_DAILY_KM = 50; // ~18,000 km/year until a vehicle has enough readings
+const MIN_RATE_SPAN_DAYS = 14; // Readings closer together than this give a noisy rate
+const DUE_SOON_DAYS = 30;
+const DUE_SOON_KM = 1000;
+
+function toDate(value) {
+  if (!value) return null;
+  if (typeof value.toDate === 'function') return value.toDate();
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+function addMonths(date, months) {
+  const result = new Date(date.getTime());
+  result.setUTCMonth(result.getUTCMonth() + months);
+  return result;
+}
+
+// Recurring interval for a service, or null when it isn't a recurring service
+function getServiceInterval(service) {
+  const intervalKm = Number(service?.intervalKm) || 0;
+  const intervalMonths = Number(service?.intervalMonths) || 0;
+  if (intervalKm <= 0 && intervalMonths <= 0) return null;
+  return { intervalKm: intervalKm > 0 ? intervalKm : null, intervalMonths: intervalMonths > 0 ? intervalMonths : null };
+}
+
+// Odometer readings [{ mileage, at }] sorted oldest first, from the vehicle doc,
+// history entries that recorded a reading and the vehicle's odometer log
+function getOdometerReadings(vehicle, history = [], odometerLog = []) {
+  const readings = [];
+  const vehicleMileage = Number(vehicle?.mileage);
+  const vehicleReadAt = toDate(vehicle?.mileageUpdatedAt) || toDate(vehicle?.updatedAt) || toDate(vehicle?.createdAt);
+  if (vehicleMileage > 0 && vehicleReadAt) {
+    readings.push({ mileage: vehicleMileage, at: vehicleReadAt });
+  }
+  [...history, ...odometerLog].forEach((entry) => {
+    const mileage = Number(entry.mileage);
+    const at = toDate(entry.date);
+    if (mileage > 0 && at) readings.push({ mileage, at });
+  });
+  return readings.sort((a, b) => a.at - b.at);
+}
+
+// Average km per day across the readings (falls back to DEFAULT_DAILY_KM)
+function estimateDailyKm(readings) {
+  if (readings.length >= 2) {
+    const first = readings[0];
+    const last = readings[readings.length - 1];
+    const days = (last.at - first.at) / DAY_MS;
+    const km = last.mileage - first.mileage;
+    if (days >= MIN_RATE_SPAN_DAYS && km > 0) return km / days;
+  }
+  return DEFAULT_DAILY_KM;
+}
+
+// Estimated odometer at a given time, projected from the latest reading
+function estimateMileageAt(readings, dailyKm, at) {
+  if (readings.length === 0) return null;
+  const latest = readings[readings.length - 1];
+  return Math.max(0, Math.round(latest.mileage + ((at - latest.at) / DAY_MS) * dailyKm));
+}
+
+// Predict the next due date/mileage for each recurring service done on the vehicle.
+// history: [{ serviceId, serviceName, date, mileage? }] of completed work on this vehicle.
+// services: { [serviceId]: serviceDoc }. odometerLog: [{ mileage, date }] extra readings.
+function computeServiceDue(vehicle, history, services, now = new Date(), odometerLog = []) {
+  const readings = getOdometerReadings(vehicle, history, odometerLog);
+  const dailyKm = estimateDailyKm(readings);
+  const currentMileage = estimateMileageAt(readings, dailyKm, now);
+
+  // Latest completed entry per service
+  const latestByService = {};
+  history.forEach((entry) => {
+    const at = toDate(entry.date);
+    if (!entry.serviceId || !at) return;
+    const existing = latestByService[entry.serviceId];
+    if (!existing || at > existing.at) latestByService[entry.serviceId] = { ...entry, at };
+  });
+
+  const items = [];
+  Object.values(latestByService).forEach((last) => {
+    const service = services[last.serviceId];
+    const interval = getServiceInterval(service);
+    if (!interval) return;
+
+    const lastMileage = Number(last.mileage) > 0 ? Number(last.mileage) : estimateMileageAt(readings, dailyKm, last.at);
+    const dueMileage = interval.intervalKm && lastMileage !== null ? lastMileage + interval.intervalKm : null;
+    const kmRemaining = dueMileage !== null && currentMileage !== null ? dueMileage - currentMileage : null;
+
+    // Whichever comes first: the calendar interval or the projected date we hit dueMileage
+    const candidates = [];
+    if (interval.intervalMonths) candidates.push(addMonths(last.at, interval.intervalMonths));
+    if (kmRemaining !== null) candidates.push(new Date(now.getTime() + (kmRemaining / dailyKm) * DAY_MS));
+    if (candidates.length === 0) return;
+
+    const dueDate = new Date(Math.min(...candidates.map((date) => date.getTime())));
+    const daysRemaining = Math.round((dueDate - now) / DAY_MS);
+
+    let status = 'ok';
+    if (daysRemaining < 0 || (kmRemaining !== null && kmRemaining < 0)) {
+      status = 'overdue';
+    } else if (daysRemaining <= DUE_SOON_DAYS || (kmRemaining !== null && kmRemaining <= DUE_SOON_KM)) {
+      status = 'due_soon';
+    }
+
+    items.push({
+      serviceId: last.serviceId,
+      serviceName: service.name || last.serviceName || 'Service',
+      lastServiceDate: last.at.toISOString(),
+      lastServiceMileage: lastMileage,
+      dueMileage,
+      kmRemaining,
+      dueDate: dueDate.toISOString(),
+      daysRemaining,
+      status,
+    });
+  });
+
+  items.sort((a, b) => a.daysRemaining - b.daysRemaining);
+  return { currentMileage, dailyKm: Math.round(dailyKm), items };
+}
+
+module.exports = {
+  DEFAULT_DAILY_KM,
+  getServiceInterval,
+  getOdometerReadings,
+  estimateDailyKm,
+  estimateMileageAt,
+  computeServiceDue
+};
@@ -0,0 +1,181 @@
+// mpesa.js - M-Pesa (Daraja) STK push for Top Autocare Garage
+// index.js only talks to the provider interface returned by getMpesaProvider():
+//   stkPush({ phone, amount, accountReference, description, callbackUrl })
+//     -> { merchantRequestId, checkoutRequestId, customerMessage }
+// The Daraja client is used in production; the fake stands in on the emulator (or with
+// MPESA_PROVIDER=fake) and posts a simulated callback back to callbackUrl.
+
+const DARAJA_URLS = {
+  sandbox: 'https://sandbox.safaricom.co.ke',
+  production: 'https://api.safaricom.co.ke'
+};
+
+// Daraja result codes we treat specially (everything else non-zero is a failure)
+const RESULT_CODES = {
+  SUCCESS: 0,
+  INSUFFICIENT_FUNDS: 1,
+  CANCELLED_BY_USER: 1032,
+  TIMEOUT: 1037
+};
+
+const FAKE_CALLBACK_DELAY_MS = 3000;
+
+// Normalise Kenyan numbers to the 2547XXXXXXXX / 2541XXXXXXXX form Daraja expects
+function normalizePhone(phone) {
+  let digits = String(phone || '').replace(/\D/g, '');
+  if (digits.startsWith('0')) digits = `254${digits.slice(1)}`;
+  if (digits.length === 9 && /^[17]/.test(digits)) digits = `254${digits}`;
+  return /^254[17]\d{8}$/.test(digits) ? digits : null;
+}
+
+// Daraja timestamp (YYYYMMDDHHmmss, Nairobi time)
+function getTimestamp(date = new Date()) {
+  const nairobi = new Date(date.getTime() + 3 * 60 * 60 * 1000);
+  return nairobi.toISOString().replace(/[-:TZ.]/g, '').slice(0, 14);
+}
+
+// Pull the fields we store out of a Daraja STK callback body
+function parseCallback(body) {
+  const callback = body?.Body?.stkCallback;
+  if (!callback || !callback.CheckoutRequestID) return null;
+
+  const metadata = {};
+  (callback.CallbackMetadata?.Item || []).forEach((item) => { metadata[item.Name] = item.Value; });
+
+  return {
+    merchantRequestId: callback.MerchantRequestID || null,
+    checkoutRequestId: callback.CheckoutRequestID,
+    resultCode: Number(callback.ResultCode),
+    resultDesc: callback.ResultDesc || '',
+    amount: Number(metadata.Amount) || null,
+    receipt: metadata.MpesaReceiptNumber || null,
+    phone: metadata.PhoneNumber ? String(metadata.PhoneNumber) : null,
+    transactionDate: metadata.TransactionDate ? String(metadata.TransactionDate) : null
+  };
+}
+
+// Callback body in Daraja's shape (used by the fake and for manual testing)
+function buildCallbackPayload({ merchantRequestId, checkoutRequestId, resultCode, amount, phone, receipt }) {
+  const stkCallback = {
+    MerchantRequestID: merchantRequestId,
+    CheckoutRequestID: checkoutRequestId,
+    ResultCode: resultCode,
+    ResultDesc: resultCode === RESULT_CODES.SUCCESS
+      ? 'The service request is processed successfully.'
+      : resultCode === RESULT_CODES.CANCELLED_BY_USER ? 'Request cancelled by user' : 'The transaction failed.'
+  };
+  if (resultCode === RESULT_CODES.SUCCESS) {
+    stkCallback.CallbackMetadata = {
+      Item: [
+        { Name: 'Amount', Value: amount },
+        { Name: 'MpesaReceiptNumber', Value: receipt },
+        { Name: 'TransactionDate', Value: Number(getTimestamp()) },
+        { Name: 'PhoneNumber', Value: Number(phone) }
+      ]
+    };
+  }
+  return { Body: { stkCallback } };
+}
+
+// Live Daraja client (credentials from environment, see .env)
+function createDarajaProvider(env = process.env) {
+  const baseUrl = DARAJA_URLS[env.MPESA_ENV === 'production' ? 'production' : 'sandbox'];
+
+  async function getAccessToken() {
+    const credentials = Buffer.from(`${env.MPESA_CONSUMER_KEY}:${env.MPESA_CONSUMER_SECRET}`).toString('base64');
+    const response = await fetch(`${baseUrl}/oauth/v1/generate?grant_type=client_credentials`, {
+      headers: { Authorization: `Basic ${credentials}` }
+    });
+    if (!response.ok) throw new Error(`Daraja auth failed (${response.status})`);
+    return (await response.json()).access_token;
+  }
+
+  return {
+    name: 'daraja',
+    async stkPush({ phone, amount, accountReference, description, callbackUrl }) {
+      const timestamp = getTimestamp();
+      const shortcode = env.MPESA_SHORTCODE;
+      const response = await fetch(`${baseUrl}/mpesa/stkpush/v1/processrequest`, {
+        method: 'POST',
+        headers: {
+          Authorization: `Bearer ${await getAccessToken()}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+          BusinessShortCode: shortcode,
+          Password: Buffer.from(`${shortcode}${env.MPESA_PASSKEY}${timestamp}`).toString('base64'),
+          Timestamp: timestamp,
+          TransactionType: 'CustomerPayBillOnline',
+          Amount: amount,
+          PartyA: phone,
+          PartyB: shortcode,
+          PhoneNumber: phone,
+          CallBackURL: callbackUrl,
+          AccountReference: accountReference.slice(0, 12),
+          TransactionDesc: description.slice(0, 13)
+        })
+      });
+      const result = await response.json();
+      if (!response.ok || result.ResponseCode !== '0') {
+        throw new Error(result.errorMessage || result.ResponseDescription || `STK push failed (${response.status})`);
+      }
+      return {
+        merchantRequestId: result.MerchantRequestID,
+        checkoutRequestId: result.CheckoutRequestID,
+        customerMessage: result.CustomerMessage
+      };
+    }
+  };
+}
+
+// Local stand-in: accepts every push and calls back a few seconds later. Phone numbers
+// ending in 1 simulate the customer cancelling, ending in 2 insufficient funds.
+function createFakeProvider({ delayMs = FAKE_CALLBACK_DELAY_MS } = {}) {
+  let counter = 0;
+
+  return {
+    name: 'fake',
+    async stkPush({ phone, amount, callbackUrl }) {
+      counter++;
+      const merchantRequestId = `fake-mr-${Date.now()}-${counter}`;
+      const checkoutRequestId = `ws_CO_fake_${Date.now()}_${counter}`;
+      const resultCode = phone.endsWith('1')
+        ? RESULT_CODES.CANCELLED_BY_USER
+        : phone.endsWith('2') ? RESULT_CODES.INSUFFICIENT_FUNDS : RESULT_CODES.SUCCESS;
+      const payload = buildCallbackPayload({
+        merchantRequestId,
+        checkoutRequestId,
+        resultCode,
+        amount,
+        phone,
+        receipt: `FAKE${String(Date.now()).slice(-6)}${counter}`
+      });
+
+      setTimeout(() => {
+        fetch(callbackUrl, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(payload) })
+          .catch((error) => console.error('Fake M-Pesa callback failed:', error));
+      }, delayMs);
+
+      return { merchantRequestId, checkoutRequestId, customerMessage: 'Success. Request accepted for processing (fake)' };
+    }
+  };
+}
+
+// Fake on the emulator or when MPESA_PROVIDER=fake, Daraja otherwise
+function getMpesaProvider(env = process.env) {
+  if (env.MPESA_PROVIDER === 'fake' || (env.FUNCTIONS_EMULATOR === 'true' && env.MPESA_PROVIDER !== 'daraja')) {
+    return createFakeProvider();
+  }
+  return createDarajaProvider(env);
+}
+
+module.exports = {
+  RESULT_CODES,
+  normalizePhone,
+  getTimestamp,
+  parseCallback,
+  buildCallbackPayload,
+  createDarajaProvider,
+  createFakeProvider,
+  getMpesaProvider
+};
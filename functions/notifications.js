@@ -0,0 +1,337 @@
+// notifications.js - Notification dispatcher for Top Autocare Garage
+// index.js calls dispatcher.dispatch(event, recipient, data) instead of hand-rolling
+// email/SMS/push/in-app sends. The dispatcher renders the event's template, works out which
+// channels the recipient wants for that notification type (users/{uid}.notificationPreferences)
+// and fans out to the registered channel adapters.
+// Keep DEFAULT_PREFERENCES in sync with appConstants.defaultNotificationPreferences in config.js.
+
+const admin = require('firebase-admin');
+const emailTemplates = require('./email-templates');
+
+const CHANNELS = ['inApp', 'email', 'sms', 'push'];
+
+// Per notification type, which channels are on until the user changes them
+const DEFAULT_PREFERENCES = {
+  appointment: { inApp: true, email: true, sms: true, push: true },
+  reminder: { inApp: true, email: true, sms: true, push: true },
+  service: { inApp: true, email: true, sms: false, push: true },
+  payment: { inApp: true, email: true, sms: true, push: true },
+  quote: { inApp: true, email: true, sms: false, push: true },
+  invoice: { inApp: true, email: true, sms: false, push: true },
+  message: { inApp: true, email: true, sms: false, push: true },
+  system: { inApp: true, email: true, sms: false, push: false },
+  promotion: { inApp: true, email: true, sms: false, push: false }
+};
+
+// Merge a user's stored preferences over the defaults
+function resolvePreferences(stored = {}) {
+  const preferences = {};
+  Object.keys(DEFAULT_PREFERENCES).forEach((type) => {
+    preferences[type] = { ...DEFAULT_PREFERENCES[type] };
+    CHANNELS.forEach((channel) => {
+      if (typeof stored[type]?.[channel] === 'boolean') preferences[type][channel] = stored[type][channel];
+    });
+  });
+  return preferences;
+}
+
+// Event templates: type is the notification type (preferences key). render(data) returns
+// { title, message } for in-app/push plus { sms }; email names the email-templates.js template
+// (or picks one from the data).
+const EVENTS = {
+  appointment_booked: {
+    type: 'appointment',
+    email: 'appointment_booked',
+    render: (data) => ({
+      title: 'Appointment Booked',
+      message: `Your ${data.service} on ${data.when} is pending approval.`,
+      sms: `Top Autocare: Your ${data.service} appointment on ${data.when} is booked! Check email.`,
+    }),
+  },
+  appointment_status: {
+    type: 'appointment',
+    email: 'appointment_status',
+    render: (data) => {
+      const statusText = data.toStatus.replace('_', ' ');
+      return {
+        title: `Appointment ${statusText.charAt(0).toUpperCase() + statusText.slice(1)}`,
+        message: `Your ${data.service || 'appointment'} is now ${statusText}.${data.reason ? ` Note: ${data.reason}` : ''}`,
+        sms: `Top Autocare: Your ${data.service || 'appointment'}${data.when ? ` on ${data.when}` : ''} is now ${statusText}.`,
+      };
+    },
+  },
+  appointment_rescheduled: {
+    type: 'appointment',
+    email: 'appointment_rescheduled',
+    render: (data) => ({
+      title: 'Appointment Rescheduled',
+      message: `Your ${data.service || 'appointment'} has moved from ${data.fromSlot} to ${data.toSlot}.`,
+      sms: `Top Autocare: Your ${data.service || 'appointment'} is now on ${data.toSlot}.`,
+    }),
+  },
+  appointment_reminder: {
+    type: 'reminder',
+    email: 'appointment_reminder',
+    render: (data) => ({
+      title: 'Appointment Reminder',
+      message: `Your ${data.service} is coming up on ${data.when}.`,
+      sms: `Top Autocare reminder: ${data.service} on ${data.when}.${data.reference ? ` Ref ${data.reference}.` : ''}`,
+    }),
+  },
+  booking_released: {
+    type: 'appointment',
+    email: 'booking_released',
+    render: (data) => ({
+      title: 'Booking Released',
+      message: `Your ${data.service || 'appointment'} on ${data.when} was cancelled because the deposit wasn't paid in time. You're welcome to book again.`,
+      sms: `Top Autocare: Your ${data.when} booking was released (deposit not paid). Book again anytime.`,
+    }),
+  },
+  quote_sent: {
+    type: 'quote',
+    email: 'quote_sent',
+    render: (data) => ({
+      title: 'Quote Ready for Approval',
+      message: `Quote ${data.number} for ${data.total} is waiting for your approval.`,
+      sms: `Top Autocare: Quote ${data.number} (${data.total}) is ready. Approve it in the app.`,
+    }),
+  },
+  invoice_issued: {
+    type: 'invoice',
+    email: 'invoice_issued',
+    render: (data) => ({
+      title: 'Invoice Issued',
+      message: `Invoice ${data.number} for ${data.total} is ready.`,
+      sms: `Top Autocare: Invoice ${data.number} for ${data.total} is ready. Pay via M-Pesa in the app.`,
+    }),
+  },
+  payment_result: {
+    type: 'payment',
+    email: (data) => (data.paid ? 'payment_received' : 'payment_failed'),
+    render: (data) => ({
+      title: data.paid ? 'Payment Received' : 'Payment Not Completed',
+      message: data.paid
+        ? `We received KES ${data.amount.toLocaleString()} via M-Pesa (${data.receipt}) for your ${data.what}.`
+        : `Your M-Pesa payment for ${data.what} was not completed: ${data.resultDesc || 'please try again'}.`,
+      sms: data.paid
+        ? `Top Autocare: KES ${data.amount.toLocaleString()} received (${data.receipt}). Thank you!`
+        : `Top Autocare: Your M-Pesa payment for ${data.what} was not completed. Please try again.`,
+    }),
+  },
+  appointment_message: {
+    type: 'message',
+    email: 'appointment_message',
+    render: (data) => ({
+      title: `New message from ${data.senderName}`,
+      message: data.preview,
+      sms: `Top Autocare: New message about your ${data.service || 'appointment'}. Reply in the app.`,
+    }),
+  },
+  announcement: {
+    type: 'promotion', // Overridden per send via options.type
+    email: 'announcement',
+    render: (data) => ({
+      title: data.title,
+      message: data.message,
+      sms: `Top Autocare: ${data.title} - ${data.message}`.slice(0, 300),
+    }),
+  },
+  // Garage-side alerts (adminOnly docs read by admin-notifications.html, plus admin push)
+  admin_alert: {
+    type: 'system',
+    render: (data) => ({ title: data.title, message: data.message }),
+  },
+  // Operational alert to one on-duty admin (channels chosen by the alert rule, see admin-alerts.js)
+  ops_alert: {
+    type: 'system',
+    email: 'ops_alert',
+    render: (data) => ({
+      title: `Alert: ${data.label}`,
+      message: data.message,
+      sms: `Top Autocare ALERT: ${data.label} - ${data.message}`.slice(0, 300),
+    }),
+  },
+};
+
+// Days an in-app notification is kept (expiresAt) before cleanupExpiredNotifications deletes it
+const NOTIFICATION_TTL_DAYS = {
+  appointment: 180,
+  reminder: 30,
+  service: 90,
+  payment: 365,
+  quote: 180,
+  invoice: 365,
+  message: 90,
+  system: 90,
+  promotion: 30
+};
+const DEFAULT_TTL_DAYS = 90;
+
+function getExpiry(type, from = new Date()) {
+  const days = NOTIFICATION_TTL_DAYS[type] || DEFAULT_TTL_DAYS;
+  return admin.firestore.Timestamp.fromMillis(from.getTime() + days * 24 * 60 * 60 * 1000);
+}
+
+// Notifications about the same appointment (or other related item) share a groupKey so
+// the notification pages can fold them together
+function getGroupKey(notification) {
+  return notification.data?.appointmentId || notification.relatedId || null;
+}
+
+// Channel adapters: send(recipient, rendered, context) -> true when delivered
+
+function inAppAdapter() {
+  return {
+    async send(recipient, rendered, { type, data }) {
+      if (recipient.admins) {
+        await admin.firestore().collection('notifications').add({
+          type,
+          title: rendered.title,
+          message: rendered.message,
+          relatedId: data.relatedId || null,
+          userName: data.userName || null,
+          adminOnly: true,
+          read: false,
+          groupKey: data.relatedId || null,
+          expiresAt: getExpiry(type),
+          timestamp: admin.firestore.FieldValue.serverTimestamp(),
+          createdBy: data.createdBy || null,
+          dispatched: true,
+        });
+        return true;
+      }
+      await admin.firestore().collection('notifications').add({
+        userId: recipient.userId,
+        type,
+        title: rendered.title,
+        message: rendered.message,
+        data: data.notificationData || {},
+        timestamp: admin.firestore.FieldValue.serverTimestamp(),
+        read: false,
+        groupKey: getGroupKey({ data: data.notificationData }),
+        expiresAt: getExpiry(type),
+        dispatched: true, // Other channels already handled (pushClientNotification skips these)
+      });
+      return true;
+    },
+  };
+}
+
+function emailAdapter(transporter, from) {
+  return {
+    async send(recipient, rendered, { data, attachments }) {
+      if (!recipient.email || !rendered.email) return false;
+      await transporter.sendMail({
+        from,
+        to: recipient.email,
+        subject: rendered.email.subject,
+        html: rendered.email.html,
+        text: rendered.email.text,
+        ...(attachments ? { attachments } : {}),
+        // List-Unsubscribe plus List-Unsubscribe-Post: mail clients' one-click button POSTs to the link
+        ...(data?.unsubscribeUrl ? {
+          list: { unsubscribe: data.unsubscribeUrl },
+          headers: { 'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click' },
+        } : {}),
+      });
+      return true;
+    },
+  };
+}
+
+// onSent(recipient, body, event) lets index.js log the text to the SMS conversation record
+function smsAdapter(client, from, isEnabled = () => true, onSent = null) {
+  return {
+    async send(recipient, rendered, { event }) {
+      if (!recipient.phone || !rendered.sms || !isEnabled()) return false;
+      await client.messages.create({ body: rendered.sms, from, to: recipient.phone });
+      if (onSent) await onSent(recipient, rendered.sms, event);
+      return true;
+    },
+  };
+}
+
+// adapters: { inApp, email, sms, push }; channels without an adapter are skipped
+function createDispatcher(adapters = {}) {
+  const registered = { ...adapters };
+
+  return {
+    registerChannel(channel, adapter) {
+      registered[channel] = adapter;
+    },
+
+    // recipient: { userId, user?, email?, phone?, name?, locale? } or { admins: true }
+    // options: { type, channels (limit to these), ignorePreferences (channels come from the caller), attachments }
+    // Returns { channels: [...delivered], skipped: [...], errors: {channel: message} }
+    async dispatch(event, recipient, data = {}, options = {}) {
+      const definition = EVENTS[event];
+      if (!definition) throw new Error(`Unknown notification event: ${event}`);
+      const type = options.type || definition.type;
+      const result = { channels: [], skipped: [], errors: {} };
+
+      let target = { ...recipient };
+      let wanted = ['inApp', 'push']; // Admins: in-app plus push to every admin device
+      if (!recipient.admins) {
+        // Callers that already loaded the user doc can pass it as recipient.user
+        let user = recipient.user;
+        if (!user) {
+          const userSnap = recipient.userId ? await admin.firestore().collection('users').doc(recipient.userId).get() : null;
+          user = userSnap?.exists ? userSnap.data() : {};
+        }
+        delete target.user;
+        target = {
+          ...target,
+          email: recipient.email || user.email || null,
+          phone: recipient.phone || user.phone || null,
+          name: recipient.name || user.fullName || null,
+          locale: emailTemplates.resolveLocale(recipient.locale || user.language),
+        };
+        const preferences = resolvePreferences(user.notificationPreferences)[type] || DEFAULT_PREFERENCES.system;
+        wanted = options.ignorePreferences ? [...CHANNELS] : CHANNELS.filter((channel) => preferences[channel]);
+        // Replied STOP to an SMS (see sms-inbound.js)
+        if (user.smsOptOut === true) wanted = wanted.filter((channel) => channel !== 'sms');
+      }
+      if (options.channels) wanted = wanted.filter((channel) => options.channels.includes(channel));
+
+      const rendered = definition.render(data, target);
+      const emailTemplate = typeof definition.email === 'function' ? definition.email(data) : definition.email;
+      if (emailTemplate && wanted.includes('email') && registered.email) {
+        rendered.email = emailTemplates.renderEmail(emailTemplate, {
+          locale: target.locale,
+          data: { ...data, name: target.name },
+          business: await emailTemplates.getBusinessDetails(),
+        });
+      }
+      for (const channel of wanted) {
+        const adapter = registered[channel];
+        if (!adapter) {
+          result.skipped.push(channel);
+          continue;
+        }
+        try {
+          const delivered = await adapter.send(target, rendered, { type, data, attachments: options.attachments, event });
+          (delivered ? result.channels : result.skipped).push(channel);
+        } catch (error) {
+          // One failing channel shouldn't stop the others
+          console.error(`Notification ${event} via ${channel} failed:`, error);
+          result.errors[channel] = error.message;
+        }
+      }
+      return result;
+    },
+  };
+}
+
+module.exports = {
+  CHANNELS,
+  DEFAULT_PREFERENCES,
+  EVENTS,
+  NOTIFICATION_TTL_DAYS,
+  resolvePreferences,
+  getExpiry,
+  getGroupKey,
+  inAppAdapter,
+  emailAdapter,
+  smsAdapter,
+  createDispatcher
+};
@@ -0,0 +1,154 @@
+// push.js - Web Push (FCM) delivery for Top Autocare Garage
+// Each browser registers its FCM token under users/{uid}/pushTokens/{deviceId}
+// (registerPushToken in index.js). pushAdapter() is the dispatcher's 'push' channel.
+// Messages are data-only so sw.js renders the title/body itself and can deep-link the click.
+// Tokens FCM reports as dead are deleted on send; pruneStaleTokens() clears silent ones.
+
+const admin = require('firebase-admin');
+
+const TOKENS_SUBCOLLECTION = 'pushTokens';
+const STALE_TOKEN_DAYS = 60;
+const PUSH_TTL_SECONDS = 24 * 60 * 60;
+
+// FCM error codes meaning the token will never work again
+const DEAD_TOKEN_CODES = [
+  'messaging/registration-token-not-registered',
+  'messaging/invalid-registration-token'
+];
+
+function tokensRef(uid) {
+  return admin.firestore().collection('users').doc(uid).collection(TOKENS_SUBCOLLECTION);
+}
+
+// Save (or refresh) this device's token. A token can only belong to one user/device,
+// so copies left behind by an earlier sign-in on the same browser are removed.
+async function registerToken(uid, { token, deviceId, userAgent }) {
+  const db = admin.firestore();
+  const now = admin.firestore.FieldValue.serverTimestamp();
+  const deviceRef = tokensRef(uid).doc(deviceId);
+
+  const [deviceSnap, duplicatesSnap] = await Promise.all([
+    deviceRef.get(),
+    db.collectionGroup(TOKENS_SUBCOLLECTION).where('token', '==', token).get(),
+  ]);
+
+  const batch = db.batch();
+  duplicatesSnap.docs
+    .filter((tokenDoc) => tokenDoc.ref.path !== deviceRef.path)
+    .forEach((tokenDoc) => batch.delete(tokenDoc.ref));
+  batch.set(deviceRef, {
+    token,
+    userAgent: userAgent || null,
+    lastSeenAt: now,
+    updatedAt: now,
+    ...(deviceSnap.exists ? {} : { createdAt: now }),
+  }, { merge: true });
+  await batch.commit();
+}
+
+async function unregisterToken(uid, deviceId) {
+  await tokensRef(uid).doc(deviceId).delete();
+}
+
+async function getUserTokenDocs(uid) {
+  if (!uid) return [];
+  return (await tokensRef(uid).get()).docs;
+}
+
+async function getAdminTokenDocs() {
+  const adminsSnap = await admin.firestore().collection('users').where('role', '==', 'admin').get();
+  const perAdmin = await Promise.all(adminsSnap.docs.map((adminDoc) => getUserTokenDocs(adminDoc.id)));
+  return perAdmin.flat();
+}
+
+// Where a click on the notification should land
+function getPushLink({ admins, type, data = {} }) {
+  const appointmentId = data.notificationData?.appointmentId || data.appointmentId || null;
+  if (admins) {
+    return data.relatedId && type !== 'system'
+      ? `/admin-appointment-details.html?id=${data.relatedId}`
+      : '/admin-notifications.html';
+  }
+  if (appointmentId) return `/appointment-details.html?id=${appointmentId}`;
+  if (type === 'service') return '/myvehicles.html';
+  return '/notifications.html';
+}
+
+// Send to the given token docs; returns the number delivered and deletes dead tokens
+async function sendToTokens(tokenDocs, message) {
+  if (tokenDocs.length === 0) return 0;
+
+  const response = await admin.messaging().sendEachForMulticast({
+    tokens: tokenDocs.map((tokenDoc) => tokenDoc.data().token),
+    data: message,
+    webpush: { headers: { TTL: String(PUSH_TTL_SECONDS), Urgency: 'high' } },
+  });
+
+  const dead = [];
+  response.responses.forEach((result, index) => {
+    if (!result.success && DEAD_TOKEN_CODES.includes(result.error?.code)) dead.push(tokenDocs[index].ref);
+  });
+  if (dead.length > 0) {
+    await Promise.all(dead.map((ref) => ref.delete()));
+    console.log(`Pruned ${dead.length} dead push token(s)`);
+  }
+  return response.successCount;
+}
+
+// FCM data values must be strings
+function buildMessage(rendered, { type, url, tag }) {
+  return {
+    title: String(rendered.title || 'Top Autocare'),
+    body: String(rendered.message || ''),
+    type: String(type || 'system'),
+    url,
+    tag: String(tag || type || 'top-autocare'),
+  };
+}
+
+// Dispatcher channel: users get their own devices, { admins: true } every admin's
+function pushAdapter() {
+  return {
+    async send(recipient, rendered, { type, data }) {
+      const tokenDocs = recipient.admins ? await getAdminTokenDocs() : await getUserTokenDocs(recipient.userId);
+      if (tokenDocs.length === 0) return false;
+
+      const appointmentId = data.notificationData?.appointmentId || data.appointmentId || data.relatedId;
+      const message = buildMessage(rendered, {
+        type,
+        url: getPushLink({ admins: recipient.admins, type, data }),
+        tag: appointmentId ? `appointment-${appointmentId}` : type,
+      });
+      return (await sendToTokens(tokenDocs, message)) > 0;
+    },
+  };
+}
+
+// Remove tokens whose device hasn't checked in for STALE_TOKEN_DAYS
+async function pruneStaleTokens(now = new Date()) {
+  const cutoff = admin.firestore.Timestamp.fromMillis(now.getTime() - STALE_TOKEN_DAYS * 24 * 60 * 60 * 1000);
+  const snapshot = await admin.firestore().collectionGroup(TOKENS_SUBCOLLECTION)
+    .where('lastSeenAt', '<', cutoff)
+    .limit(500)
+    .get();
+  if (snapshot.empty) return 0;
+
+  const batch = admin.firestore().batch();
+  snapshot.docs.forEach((tokenDoc) => batch.delete(tokenDoc.ref));
+  await batch.commit();
+  return snapshot.size;
+}
+
+module.exports = {
+  TOKENS_SUBCOLLECTION,
+  STALE_TOKEN_DAYS,
+  registerToken,
+  unregisterToken,
+  getUserTokenDocs,
+  getAdminTokenDocs,
+  getPushLink,
+  buildMessage,
+  sendToTokens,
+  pushAdapter,
+  pruneStaleTokens
+};
@@ -0,0 +1,361 @@
+// sms-inbound.js - Inbound Twilio SMS/WhatsApp replies for Top Autocare Garage
+// twilioInbound (index.js) hands each webhook payload to handleInbound(), which matches the
+// sender to a user by their verified phone (users/{uid}.verifiedPhone, server-only: set after an
+// SMS code check by confirmPhoneVerification and cleared by syncUserPhone when the profile number
+// changes), runs a keyword command against their next appointment and returns the reply text.
+// Every inbound message and reply is logged to smsConversations/{phone}/messages.
+// buildInboundPayload() produces a Twilio-shaped body for local testing (simulateInboundSms).
+
+const admin = require('firebase-admin');
+const crypto = require('crypto');
+const appointmentStatus = require('./appointment-status');
+
+const CONVERSATIONS = 'smsConversations';
+const VERIFICATIONS = 'phoneVerifications'; // Pending SMS codes, one per user (server-only)
+const VERIFICATION_TTL_MS = 10 * 60 * 1000;
+const VERIFICATION_RESEND_MS = 60 * 1000;
+const VERIFICATION_MAX_ATTEMPTS = 5;
+const UPCOMING_STATUSES = ['pending', 'approved'];
+const UPCOMING_GRACE_MS = 3 * 60 * 60 * 1000; // Today's appointment still counts for a few hours
+
+// First word of the message -> command (anything else is passed to the garage)
+const COMMAND_ALIASES = {
+  CONFIRM: 'CONFIRM', YES: 'CONFIRM', Y: 'CONFIRM', NDIO: 'CONFIRM',
+  CANCEL: 'CANCEL', CANCELLED: 'CANCEL',
+  STATUS: 'STATUS', INFO: 'STATUS',
+  STOP: 'STOP', STOPALL: 'STOP', UNSUBSCRIBE: 'STOP', END: 'STOP', QUIT: 'STOP',
+  START: 'START', UNSTOP: 'START', SUBSCRIBE: 'START',
+  HELP: 'HELP', MSAADA: 'HELP'
+};
+
+const STATUS_TEXT = {
+  pending: 'awaiting approval',
+  approved: 'approved',
+  in_progress: 'in progress',
+  completed: 'completed',
+  cancelled: 'cancelled',
+  rejected: 'declined',
+  no_show: 'marked as missed'
+};
+
+const HELP_TEXT = 'Top Autocare: Reply CONFIRM to confirm your next appointment, CANCEL to cancel it, '
+  + 'STATUS for its details or STOP to stop SMS.';
+
+// Same rules as utils.formatPhone in config.js: Kenyan numbers become +254XXXXXXXXX.
+// Returns null when the number can't be normalised (so it never matches anyone).
+function normalizePhone(phone) {
+  let clean = String(phone || '').replace(/^whatsapp:/i, '').replace(/\D/g, '');
+  if (clean.startsWith('0')) clean = '254' + clean.slice(1);
+  if (clean.length === 12 && clean.startsWith('254')) return `+${clean}`;
+  return clean.length >= 8 ? `+${clean}` : null;
+}
+
+function parseCommand(text) {
+  const word = String(text || '').trim().split(/\s+/)[0].toUpperCase().replace(/[^A-Z]/g, '');
+  return COMMAND_ALIASES[word] || null;
+}
+
+// Twilio posts form fields; WhatsApp senders arrive as "whatsapp:+2547..."
+function parseInbound(params = {}) {
+  const from = String(params.From || '');
+  return {
+    messageSid: params.MessageSid || params.SmsSid || null,
+    from,
+    to: String(params.To || ''),
+    phone: normalizePhone(from),
+    body: String(params.Body || '').trim().slice(0, 1600),
+    channel: /^whatsapp:/i.test(from) ? 'whatsapp' : 'sms',
+    profileName: params.ProfileName || null
+  };
+}
+
+// Twilio-shaped webhook body for local testing
+function buildInboundPayload({ from, body, to = '+15005550006', channel = 'sms' }) {
+  const prefix = channel === 'whatsapp' ? 'whatsapp:' : '';
+  const sid = `SMfake${Date.now()}${Math.random().toString(36).slice(2, 8)}`;
+  return {
+    MessageSid: sid,
+    SmsSid: sid,
+    AccountSid: 'ACfake',
+    From: `${prefix}${from}`,
+    To: `${prefix}${to}`,
+    Body: body,
+    NumMedia: '0'
+  };
+}
+
+function escapeXml(text) {
+  return String(text).replace(/[<>&'"]/g, (char) => ({
+    '<': '&lt;', '>': '&gt;', '&': '&amp;', "'": '&apos;', '"': '&quot;'
+  })[char]);
+}
+
+// Reply as TwiML (an empty <Response/> sends nothing back)
+function toTwiml(reply) {
+  return reply
+    ? `<?xml version="1.0" encoding="UTF-8"?><Response><Message>${escapeXml(reply)}</Message></Response>`
+    : '<?xml version="1.0" encoding="UTF-8"?><Response/>';
+}
+
+// Only verified numbers match: the profile phone field is user-editable and proves nothing
+async function findUserByPhone(phone) {
+  if (!phone) return null;
+  const snapshot = await admin.firestore().collection('users').where('verifiedPhone', '==', phone).limit(2).get();
+  if (snapshot.empty) return null;
+  if (snapshot.size > 1) console.warn(`Inbound SMS: ${phone} matches more than one user, using ${snapshot.docs[0].id}`);
+  return { id: snapshot.docs[0].id, ...snapshot.docs[0].data() };
+}
+
+// Soonest pending/approved appointment that hasn't passed
+async function getNextAppointment(uid, now = new Date()) {
+  const snapshot = await admin.firestore().collection('appointments').where('userId', '==', uid).get();
+  const cutoff = now.getTime() - UPCOMING_GRACE_MS;
+  return snapshot.docs
+    .map((appointmentDoc) => ({ id: appointmentDoc.id, ...appointmentDoc.data() }))
+    .filter((appointment) => UPCOMING_STATUSES.includes(appointment.status) && appointment.date?.toMillis?.() >= cutoff)
+    .sort((a, b) => a.date.toMillis() - b.date.toMillis())[0] || null;
+}
+
+function describeAppointment(appointment) {
+  const when = appointment.slotDate ? `${appointment.slotDate} ${appointment.time}` : appointment.time || 'your booked time';
+  return `${appointment.service || 'appointment'} on ${when}`;
+}
+
+function conversationRef(phone) {
+  return admin.firestore().collection(CONVERSATIONS).doc(phone.replace(/\D/g, ''));
+}
+
+// Append one inbound or outbound entry and bump the conversation summary
+async function logExchange(phone, entry, user) {
+  const ref = conversationRef(phone);
+  const now = admin.firestore.FieldValue.serverTimestamp();
+  const batch = admin.firestore().batch();
+  const messageRef = entry.id ? ref.collection('messages').doc(entry.id) : ref.collection('messages').doc();
+  delete entry.id;
+  batch.set(messageRef, { ...entry, createdAt: now });
+  batch.set(ref, {
+    phone,
+    userId: user?.id || null,
+    userName: user?.fullName || null,
+    channel: entry.channel,
+    lastMessageAt: now,
+    ...(entry.direction === 'inbound' ? { lastInboundText: entry.body } : {})
+  }, { merge: true });
+  await batch.commit();
+}
+
+// Run the command; returns { reply, command, appointmentId, alert? } (alert goes to the admins)
+async function runCommand(command, user, message, now) {
+  if (command === 'HELP') return { reply: HELP_TEXT };
+
+  if (command === 'STOP' || command === 'START') {
+    const optOut = command === 'STOP';
+    await admin.firestore().collection('users').doc(user.id).update({
+      smsOptOut: optOut,
+      smsOptOutAt: optOut ? admin.firestore.FieldValue.serverTimestamp() : null
+    });
+    return {
+      reply: optOut
+        ? 'Top Autocare: You will no longer receive SMS from us. Reply START to turn them back on.'
+        : 'Top Autocare: SMS updates are back on. Reply HELP for options.'
+    };
+  }
+
+  const appointment = await getNextAppointment(user.id, now);
+
+  // Free text: pass it on to the garage
+  if (!command) {
+    return {
+      reply: 'Top Autocare: Thanks, we have passed your message to the garage. Reply HELP for options.',
+      appointmentId: appointment?.id || null,
+      alert: {
+        title: `${message.channel === 'whatsapp' ? 'WhatsApp' : 'SMS'} from ${user.fullName || message.phone}`,
+        message: message.body,
+        relatedId: appointment?.id || null
+      }
+    };
+  }
+
+  if (!appointment) {
+    return { reply: 'Top Autocare: You have no upcoming appointments. Book online anytime.' };
+  }
+  const described = describeAppointment(appointment);
+
+  if (command === 'STATUS') {
+    return {
+      reply: `Top Autocare: Your ${described} is ${STATUS_TEXT[appointment.status] || appointment.status}.${appointment.reference ? ` Ref ${appointment.reference}.` : ''}`,
+      appointmentId: appointment.id
+    };
+  }
+
+  if (command === 'CONFIRM') {
+    await admin.firestore().collection('appointments').doc(appointment.id).update({
+      customerConfirmedAt: admin.firestore.FieldValue.serverTimestamp(),
+      customerConfirmedVia: message.channel
+    });
+    return {
+      reply: `Top Autocare: Thanks${user.fullName ? ` ${user.fullName.split(' ')[0]}` : ''}! Your ${described} is confirmed. Reply CANCEL if plans change.`,
+      appointmentId: appointment.id,
+      alert: {
+        title: 'Appointment Confirmed by Customer',
+        message: `${user.fullName || message.phone} confirmed ${described} by ${message.channel.toUpperCase()}.`,
+        relatedId: appointment.id
+      }
+    };
+  }
+
+  // CANCEL: same state machine as the app (releaseAppointmentSlot frees the slot)
+  try {
+    await appointmentStatus.applyTransition({
+      appointmentId: appointment.id,
+      toStatus: 'cancelled',
+      actor: { uid: user.id, role: 'user' },
+      reason: `Cancelled by ${message.channel.toUpperCase()} reply`
+    });
+  } catch (error) {
+    if (error.code !== 'invalid-transition') throw error;
+    return { reply: `Top Autocare: Your ${described} can no longer be cancelled by SMS. Please call us.`, appointmentId: appointment.id };
+  }
+  return {
+    reply: `Top Autocare: Your ${described} has been cancelled. Book again anytime.`,
+    appointmentId: appointment.id,
+    alert: {
+      title: 'Appointment Cancelled by Customer',
+      message: `${user.fullName || message.phone} cancelled ${described} by ${message.channel.toUpperCase()}.`,
+      relatedId: appointment.id
+    }
+  };
+}
+
+// message: parseInbound() result. notifyAdmins(alert, user) is called for confirmations,
+// cancellations and free-text messages. Returns the reply text (null when nothing to send).
+async function handleInbound(message, { notifyAdmins, now = new Date() } = {}) {
+  if (!message.phone) return null;
+
+  // Twilio retries on timeouts; the MessageSid keeps a retry from running the command twice
+  if (message.messageSid) {
+    const existing = await conversationRef(message.phone).collection('messages').doc(message.messageSid).get();
+    if (existing.exists) return existing.data().reply || null;
+  }
+
+  const user = await findUserByPhone(message.phone);
+  const command = parseCommand(message.body);
+  let result;
+  if (!user) {
+    result = { reply: 'Top Autocare: We could not find an account with this number. Add and verify it in your profile or call us.' };
+  } else {
+    result = await runCommand(command, user, message, now);
+  }
+
+  await logExchange(message.phone, {
+    id: message.messageSid,
+    direction: 'inbound',
+    channel: message.channel,
+    body: message.body,
+    command: command || null,
+    appointmentId: result.appointmentId || null,
+    reply: result.reply || null
+  }, user);
+  if (result.reply) {
+    await logExchange(message.phone, {
+      direction: 'outbound',
+      channel: message.channel,
+      body: result.reply,
+      command: command || null,
+      appointmentId: result.appointmentId || null
+    }, user);
+  }
+  if (result.alert && notifyAdmins) await notifyAdmins(result.alert, user);
+
+  return result.reply || null;
+}
+
+function verificationError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+function hashVerificationCode(uid, code) {
+  return crypto.createHash('sha256').update(`${uid}:${code}`).digest('hex');
+}
+
+// Start verifying the user's profile phone. Returns { phone, code } for the caller to text;
+// only the code's hash is stored.
+async function startPhoneVerification(uid, now = Date.now()) {
+  const db = admin.firestore();
+  const userSnap = await db.collection('users').doc(uid).get();
+  const phone = normalizePhone(userSnap.exists ? userSnap.data().phone : null);
+  if (!phone) throw verificationError('failed-precondition', 'Add a valid phone number to your profile first');
+
+  const verificationRef = db.collection(VERIFICATIONS).doc(uid);
+  const existing = await verificationRef.get();
+  if (existing.exists && now - existing.data().sentAt.toMillis() < VERIFICATION_RESEND_MS) {
+    throw verificationError('resource-exhausted', 'Please wait a minute before requesting another code');
+  }
+
+  const code = String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+  await verificationRef.set({
+    phone,
+    codeHash: hashVerificationCode(uid, code),
+    attempts: 0,
+    sentAt: admin.firestore.Timestamp.fromMillis(now),
+    expiresAt: admin.firestore.Timestamp.fromMillis(now + VERIFICATION_TTL_MS)
+  });
+  return { phone, code };
+}
+
+// Check a code; on success the number becomes users/{uid}.verifiedPhone and is taken off any
+// other account that had verified it before (whoever proves the number now owns it).
+async function confirmPhoneVerification(uid, code, now = Date.now()) {
+  const db = admin.firestore();
+  const verificationRef = db.collection(VERIFICATIONS).doc(uid);
+  const userRef = db.collection('users').doc(uid);
+
+  return db.runTransaction(async (transaction) => {
+    const verificationSnap = await transaction.get(verificationRef);
+    if (!verificationSnap.exists) throw verificationError('not-found', 'Request a new verification code');
+    const verification = verificationSnap.data();
+    if (verification.expiresAt.toMillis() < now) throw verificationError('deadline-exceeded', 'This code has expired. Request a new one.');
+    if (verification.attempts >= VERIFICATION_MAX_ATTEMPTS) throw verificationError('resource-exhausted', 'Too many attempts. Request a new code.');
+
+    const userSnap = await transaction.get(userRef);
+    const previousOwners = await transaction.get(db.collection('users').where('verifiedPhone', '==', verification.phone));
+
+    if (hashVerificationCode(uid, String(code || '').trim()) !== verification.codeHash) {
+      transaction.update(verificationRef, { attempts: verification.attempts + 1 });
+      return null;
+    }
+    // The profile number changed after the code was sent
+    if (normalizePhone(userSnap.data()?.phone) !== verification.phone) {
+      throw verificationError('failed-precondition', 'Your phone number changed. Request a new code.');
+    }
+
+    previousOwners.docs
+      .filter((ownerDoc) => ownerDoc.id !== uid)
+      .forEach((ownerDoc) => transaction.update(ownerDoc.ref, { verifiedPhone: null, phoneVerifiedAt: null }));
+    transaction.update(userRef, {
+      verifiedPhone: verification.phone,
+      phoneVerifiedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+    transaction.delete(verificationRef);
+    return verification.phone;
+  });
+}
+
+module.exports = {
+  CONVERSATIONS,
+  VERIFICATIONS,
+  COMMAND_ALIASES,
+  normalizePhone,
+  parseCommand,
+  parseInbound,
+  buildInboundPayload,
+  toTwiml,
+  findUserByPhone,
+  startPhoneVerification,
+  confirmPhoneVerification,
+  getNextAppointment,
+  logExchange,
+  handleInbound
+};
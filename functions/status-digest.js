@@ -0,0 +1,96 @@
+// status-digest.js - Appointment status digest for installed Top Autocare PWAs
+// Periodic Background Sync in sw.js has no Firebase session, so each installed device gets a
+// digest token (issueStatusDigestToken, index.js) stored as a hash under
+// users/{uid}/statusDigestTokens/{deviceId}. appointmentStatusDigest accepts that token and
+// returns a small summary of the user's open (and just-closed) appointments; sw.js compares it
+// with the last one it saw and notifies about status changes.
+
+const admin = require('firebase-admin');
+const crypto = require('crypto');
+
+const TOKENS = 'statusDigestTokens';
+const OPEN_STATUSES = ['pending', 'approved', 'in_progress'];
+const RECENTLY_CLOSED_MS = 3 * 24 * 60 * 60 * 1000; // Closed bookings stay in the digest so the change is seen
+const DEVICE_ID = /^[A-Za-z0-9_-]{8,64}$/;
+
+function hashSecret(secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+function tokenRef(uid, deviceId) {
+  return admin.firestore().collection('users').doc(uid).collection(TOKENS).doc(deviceId);
+}
+
+// Token format: <uid>.<deviceId>.<secret>; only the secret's hash is stored
+async function issueToken(uid, deviceId) {
+  const secret = crypto.randomBytes(32).toString('hex');
+  await tokenRef(uid, deviceId).set({
+    tokenHash: hashSecret(secret),
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    lastUsedAt: null
+  });
+  return `${uid}.${deviceId}.${secret}`;
+}
+
+async function revokeToken(uid, deviceId) {
+  await tokenRef(uid, deviceId).delete();
+}
+
+// Returns the uid the token belongs to, or null
+async function verifyToken(token) {
+  const parts = String(token || '').split('.');
+  if (parts.length !== 3) return null;
+  const [uid, deviceId, secret] = parts;
+  if (!uid || !DEVICE_ID.test(deviceId) || !/^[a-f0-9]{64}$/.test(secret)) return null;
+
+  const snapshot = await tokenRef(uid, deviceId).get();
+  if (!snapshot.exists) return null;
+  const expected = Buffer.from(snapshot.data().tokenHash, 'hex');
+  const actual = Buffer.from(hashSecret(secret), 'hex');
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+
+  await snapshot.ref.update({ lastUsedAt: admin.firestore.FieldValue.serverTimestamp() });
+  return uid;
+}
+
+function toMillis(timestamp) {
+  return timestamp?.toMillis ? timestamp.toMillis() : null;
+}
+
+// { appointments: [{ id, status, reference, service, slotDate, time, updatedAt }], version }
+// version changes whenever any listed appointment's status does, so clients can skip unchanged digests
+async function buildDigest(uid, now = new Date()) {
+  const snapshot = await admin.firestore().collection('appointments').where('userId', '==', uid).get();
+  const closedCutoff = now.getTime() - RECENTLY_CLOSED_MS;
+
+  const appointments = snapshot.docs
+    .map((appointmentDoc) => ({ id: appointmentDoc.id, ...appointmentDoc.data() }))
+    .filter((appointment) => OPEN_STATUSES.includes(appointment.status)
+      || (toMillis(appointment.updatedAt) || 0) >= closedCutoff)
+    .map((appointment) => ({
+      id: appointment.id,
+      status: appointment.status || 'pending',
+      reference: appointment.reference || null,
+      service: appointment.service || null,
+      slotDate: appointment.slotDate || null,
+      time: appointment.time || null,
+      updatedAt: toMillis(appointment.updatedAt)
+    }))
+    .sort((a, b) => a.id.localeCompare(b.id));
+
+  const version = crypto.createHash('sha256')
+    .update(appointments.map((appointment) => `${appointment.id}:${appointment.status}`).join('|'))
+    .digest('hex')
+    .slice(0, 16);
+
+  return { appointments, version };
+}
+
+module.exports = {
+  TOKENS,
+  DEVICE_ID,
+  issueToken,
+  revokeToken,
+  verifyToken,
+  buildDigest
+};
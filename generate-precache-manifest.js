@@ -0,0 +1,74 @@
+#!/usr/bin/env node
+// generate-precache-manifest.js - Build the service worker precache manifest for Top Autocare Garage
+// Usage: node generate-precache-manifest.js [rootDir]   (run before every hosting deploy)
+// Scans the deployable files, hashes each one and writes precache-manifest.js, which sw.js loads
+// with importScripts(). Each entry carries a content revision, so an updated service worker only
+// refetches the files whose revision changed. Files under public/ (the hosting public dir) are
+// served from the site root. Admin pages are left out: they are network-only in the service worker.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const ROOT = path.resolve(process.argv[2] || __dirname);
+const OUTPUT = 'precache-manifest.js';
+const SKIP_DIRS = ['functions', 'node_modules'];
+const SKIP_FILES = ['sw.js', OUTPUT, path.basename(__filename)];
+
+// Relative path (forward slashes) -> should it be precached?
+const PRECACHE_RULES = [
+  (file) => /^[^/]+\.html$/.test(file) && !file.startsWith('admin'), // Public and customer pages
+  (file) => /^(scripts\/|public\/)?[^/]+\.(js|css)$/.test(file), // Client modules and styles
+  (file) => file === 'manifest.json',
+  (file) => /^images\/[^/]+\.(png|jpe?g|webp|svg)$/.test(file),
+  (file) => /^assets\/images\/(app-icon-(192|512)\.png|favicon\.ico)$/.test(file)
+];
+
+function walk(dir, prefix = '') {
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap((entry) => {
+    if (entry.name.startsWith('.')) return [];
+    const relative = prefix ? `${prefix}/${entry.name}` : entry.name;
+    if (entry.isDirectory()) {
+      return SKIP_DIRS.includes(entry.name) ? [] : walk(path.join(dir, entry.name), relative);
+    }
+    return [relative];
+  });
+}
+
+function toUrl(file) {
+  return `/${file.replace(/^public\//, '')}`;
+}
+
+function hashFile(file) {
+  return crypto.createHash('sha256').update(fs.readFileSync(path.join(ROOT, file))).digest('hex').slice(0, 12);
+}
+
+function buildManifest() {
+  const entries = walk(ROOT)
+    .filter((file) => !SKIP_FILES.includes(file))
+    .filter((file) => PRECACHE_RULES.some((rule) => rule(file)))
+    .map((file) => ({ url: toUrl(file), revision: hashFile(file) }))
+    .sort((a, b) => a.url.localeCompare(b.url));
+
+  // Same files and contents -> same version, so an unchanged deploy doesn't trigger an update
+  const version = crypto.createHash('sha256')
+    .update(entries.map((entry) => `${entry.url}@${entry.revision}`).join('\n'))
+    .digest('hex')
+    .slice(0, 12);
+
+  return { version, entries };
+}
+
+function writeManifest(manifest) {
+  const source = [
+    '// precache-manifest.js - GENERATED by generate-precache-manifest.js, do not edit by hand',
+    '// Loaded by sw.js (importScripts); regenerate before deploying so changed files are refetched.',
+    `self.__PRECACHE_MANIFEST = ${JSON.stringify(manifest, null, 2)};`,
+    ''
+  ].join('\n');
+  fs.writeFileSync(path.join(ROOT, OUTPUT), source);
+}
+
+const manifest = buildManifest();
+writeManifest(manifest);
+console.log(`Precache manifest ${manifest.version}: ${manifest.entries.length} files -> ${OUTPUT}`);
@@ -0,0 +1,208 @@
+// notification-center.js - Shared notification list, paging and unread badge for Top Autocare Garage
+// Used by notifications.html (scope { userId }) and admin-notifications.html (scope { admin: true }).
+// The newest page is live (onSnapshot); loadMore() fetches older pages with startAfter. Unread badges
+// read the counters kept by maintainNotificationState (users/{uid}.unreadNotifications and
+// counters/adminNotifications.unread) instead of querying the collection.
+// Usage: import { createNotificationFeed, groupNotifications, watchUnreadCount } from './notification-center.js';
+//        const feed = createNotificationFeed(db, { userId }, { onChange: (items, { hasMore }) => ... });
+//        await feed.loadMore(); await feed.markRead([id]); feed.destroy();
+
+import {
+  collection,
+  doc,
+  query,
+  where,
+  orderBy,
+  limit,
+  startAfter,
+  endAt,
+  onSnapshot,
+  getDocs,
+  getCountFromServer,
+  writeBatch
+} from 'https://www.gstatic.com/firebasejs/10.7.1/firebase-firestore.js';
+import { environment } from './config.js';
+
+const PAGE_SIZE = environment.maxNotificationLimit;
+const BATCH_LIMIT = 450; // Firestore allows 500 writes per batch
+
+function scopeQuery(db, scope, ...constraints) {
+  const owner = scope.admin ? where('adminOnly', '==', true) : where('userId', '==', scope.userId);
+  return query(collection(db, 'notifications'), owner, ...constraints);
+}
+
+function toItem(notificationDoc) {
+  return { id: notificationDoc.id, ...notificationDoc.data() };
+}
+
+// Same rule as getGroupKey in functions/notifications.js (for docs the trigger hasn't stamped yet)
+export function getGroupKey(notification) {
+  return notification.groupKey ?? notification.data?.appointmentId ?? notification.relatedId ?? null;
+}
+
+// Fold notifications about the same appointment into the newest one: [{ ...latest, earlier: [...] }]
+export function groupNotifications(items) {
+  const groups = [];
+  const byKey = new Map();
+  items.forEach((item) => {
+    const key = getGroupKey(item);
+    if (key && byKey.has(key)) {
+      byKey.get(key).earlier.push(item);
+      return;
+    }
+    const group = { ...item, earlier: [] };
+    if (key) byKey.set(key, group);
+    groups.push(group);
+  });
+  return groups;
+}
+
+// Live newest page plus older pages on demand. onChange(items, { hasMore }) gets the merged list, newest first.
+export function createNotificationFeed(db, scope, { onChange, onError, pageSize = PAGE_SIZE } = {}) {
+  let liveDocs = [];
+  let olderItems = [];
+  let boundary = null; // Last live doc when paging started; the live query then runs down to it
+  let hasMore = false;
+  let unsubscribe = null;
+
+  function emit() {
+    const seen = new Set();
+    const items = [...liveDocs.map(toItem), ...olderItems].filter((item) => {
+      if (seen.has(item.id)) return false;
+      seen.add(item.id);
+      return true;
+    });
+    onChange(items, { hasMore });
+  }
+
+  function listen() {
+    if (unsubscribe) unsubscribe();
+    const range = boundary ? endAt(boundary) : limit(pageSize);
+    unsubscribe = onSnapshot(scopeQuery(db, scope, orderBy('timestamp', 'desc'), range), (snapshot) => {
+      liveDocs = snapshot.docs;
+      if (!boundary) hasMore = snapshot.size === pageSize;
+      emit();
+    }, (error) => {
+      if (onError) onError(error);
+    });
+  }
+
+  // Keep the locally held older pages in step with writes made through the feed
+  function patchOlder(ids, changes) {
+    const idSet = new Set(ids);
+    olderItems = changes
+      ? olderItems.map((item) => (idSet.has(item.id) ? { ...item, ...changes } : item))
+      : olderItems.filter((item) => !idSet.has(item.id));
+    emit();
+  }
+
+  listen();
+
+  return {
+    async loadMore() {
+      if (!hasMore) return 0;
+      if (!boundary) {
+        // Pin the live range so new arrivals can't push loaded notifications out of it
+        boundary = liveDocs[liveDocs.length - 1];
+        listen();
+      }
+      const cursor = olderItems.length ? olderItems[olderItems.length - 1].snapshot : boundary;
+      const snapshot = await getDocs(scopeQuery(db, scope, orderBy('timestamp', 'desc'), startAfter(cursor), limit(pageSize)));
+      olderItems = olderItems.concat(snapshot.docs.map((notificationDoc) => ({
+        ...toItem(notificationDoc),
+        snapshot: notificationDoc
+      })));
+      hasMore = snapshot.size === pageSize;
+      emit();
+      return snapshot.size;
+    },
+    async markRead(ids) {
+      await updateNotifications(db, ids, { read: true });
+      patchOlder(ids, { read: true });
+    },
+    async remove(ids) {
+      await deleteNotifications(db, ids);
+      patchOlder(ids);
+    },
+    async markAllRead() {
+      const count = await markAllNotificationsRead(db, scope);
+      olderItems = olderItems.map((item) => ({ ...item, read: true }));
+      emit();
+      return count;
+    },
+    destroy() {
+      if (unsubscribe) unsubscribe();
+      unsubscribe = null;
+    }
+  };
+}
+
+async function commitInBatches(db, ids, apply) {
+  for (let i = 0; i < ids.length; i += BATCH_LIMIT) {
+    const batch = writeBatch(db);
+    ids.slice(i, i + BATCH_LIMIT).forEach((id) => apply(batch, doc(db, 'notifications', id)));
+    await batch.commit();
+  }
+}
+
+export function updateNotifications(db, ids, changes) {
+  return commitInBatches(db, ids, (batch, ref) => batch.update(ref, changes));
+}
+
+export function deleteNotifications(db, ids) {
+  return commitInBatches(db, ids, (batch, ref) => batch.delete(ref));
+}
+
+// Every unread notification in scope (not just the loaded pages); returns how many were marked
+export async function markAllNotificationsRead(db, scope) {
+  let total = 0;
+  for (;;) {
+    const snapshot = await getDocs(scopeQuery(db, scope, where('read', '==', false), limit(BATCH_LIMIT)));
+    if (snapshot.empty) break;
+    const batch = writeBatch(db);
+    snapshot.docs.forEach((notificationDoc) => batch.update(notificationDoc.ref, { read: true }));
+    await batch.commit();
+    total += snapshot.size;
+    if (snapshot.size < BATCH_LIMIT) break;
+  }
+  return total;
+}
+
+// Every notification in scope; returns how many were deleted
+export async function deleteAllNotifications(db, scope) {
+  let total = 0;
+  for (;;) {
+    const snapshot = await getDocs(scopeQuery(db, scope, limit(BATCH_LIMIT)));
+    if (snapshot.empty) break;
+    const batch = writeBatch(db);
+    snapshot.docs.forEach((notificationDoc) => batch.delete(notificationDoc.ref));
+    await batch.commit();
+    total += snapshot.size;
+    if (snapshot.size < BATCH_LIMIT) break;
+  }
+  return total;
+}
+
+// Live unread count from the denormalized counter. Accounts created before the counter
+// existed have no field yet, so they get a one-off count query instead.
+export function watchUnreadCount(db, scope, callback) {
+  const ref = scope.admin ? doc(db, 'counters', 'adminNotifications') : doc(db, 'users', scope.userId);
+  const field = scope.admin ? 'unread' : 'unreadNotifications';
+  let counted = false;
+
+  return onSnapshot(ref, async (snapshot) => {
+    const value = snapshot.exists() ? snapshot.data()[field] : undefined;
+    if (typeof value === 'number') {
+      callback(Math.max(0, value));
+      return;
+    }
+    if (counted) return;
+    counted = true;
+    try {
+      const result = await getCountFromServer(scopeQuery(db, scope, where('read', '==', false)));
+      callback(result.data().count);
+    } catch (error) {
+      console.warn('Unread count failed:', error);
+    }
+  }, (error) => console.warn('Unread counter listener error:', error));
+}
@@ -0,0 +1,171 @@
+// precache-manifest.js - GENERATED by generate-precache-manifest.js, do not edit by hand
+// Loaded by sw.js (importScripts); regenerate before deploying so changed files are refetched.
+self.__PRECACHE_MANIFEST = {
+  "version": "8dcdb4c9b721",
+  "entries": [
+    {
+      "url": "/404.html",
+      "revision": "8078792ef75e"
+    },
+    {
+      "url": "/about.html",
+      "revision": "671a2d5c0e77"
+    },
+    {
+      "url": "/add-vehicle.html",
+      "revision": "b48bc9281b7c"
+    },
+    {
+      "url": "/appointment-chat.js",
+      "revision": "30fd3d04fcb7"
+    },
+    {
+      "url": "/appointment-details.html",
+      "revision": "928cf4bf62af"
+    },
+    {
+      "url": "/appointments.html",
+      "revision": "158019e1e324"
+    },
+    {
+      "url": "/assets/images/app-icon-192.png",
+      "revision": "b770e4218ac3"
+    },
+    {
+      "url": "/assets/images/app-icon-512.png",
+      "revision": "b770e4218ac3"
+    },
+    {
+      "url": "/blog.html",
+      "revision": "ecf760a7ee50"
+    },
+    {
+      "url": "/book-appointment.html",
+      "revision": "26c7de0f5f91"
+    },
+    {
+      "url": "/config.js",
+      "revision": "e321f6e3dbf1"
+    },
+    {
+      "url": "/contact.html",
+      "revision": "3e1613905a89"
+    },
+    {
+      "url": "/dashboard.html",
+      "revision": "3a4ea943024b"
+    },
+    {
+      "url": "/error.html",
+      "revision": "12da6b6b1575"
+    },
+    {
+      "url": "/faq.html",
+      "revision": "d8688f709215"
+    },
+    {
+      "url": "/images/background.png",
+      "revision": "3344d0b7f053"
+    },
+    {
+      "url": "/images/hero.png",
+      "revision": "ad23c6c2510a"
+    },
+    {
+      "url": "/images/logo.png",
+      "revision": "b770e4218ac3"
+    },
+    {
+      "url": "/index.html",
+      "revision": "8bb53f3b22c4"
+    },
+    {
+      "url": "/manifest.json",
+      "revision": "9a0d17903abd"
+    },
+    {
+      "url": "/myvehicles.html",
+      "revision": "89b983b8c851"
+    },
+    {
+      "url": "/notification-center.js",
+      "revision": "0171f518d004"
+    },
+    {
+      "url": "/notifications.html",
+      "revision": "9891dea66af6"
+    },
+    {
+      "url": "/offline-db.js",
+      "revision": "1a16f3ef00ca"
+    },
+    {
+      "url": "/offline.html",
+      "revision": "2e2906e97994"
+    },
+    {
+      "url": "/password-reset.html",
+      "revision": "1df79450df6a"
+    },
+    {
+      "url": "/pricing.html",
+      "revision": "84e489c4ba86"
+    },
+    {
+      "url": "/privacy-policy.html",
+      "revision": "f3386537efbf"
+    },
+    {
+      "url": "/profile.html",
+      "revision": "5ae77d129050"
+    },
+    {
+      "url": "/push-notifications.js",
+      "revision": "6972c142b546"
+    },
+    {
+      "url": "/pwa-install.js",
+      "revision": "d82f8422c47c"
+    },
+    {
+      "url": "/reset-password.html",
+      "revision": "2b126a11b2b3"
+    },
+    {
+      "url": "/scripts/analytics.js",
+      "revision": "f4b17f6a1d4b"
+    },
+    {
+      "url": "/scripts/error-handler.js",
+      "revision": "4bd14f0bb622"
+    },
+    {
+      "url": "/scripts/firebase-utils.js",
+      "revision": "87e1b73b53d6"
+    },
+    {
+      "url": "/service-worker-manager.js",
+      "revision": "4870f364a586"
+    },
+    {
+      "url": "/services.html",
+      "revision": "e7cabe46d7a0"
+    },
+    {
+      "url": "/signin.html",
+      "revision": "eadbab72e7a6"
+    },
+    {
+      "url": "/signup.html",
+      "revision": "1c428d90f419"
+    },
+    {
+      "url": "/terms-of-service.html",
+      "revision": "066fe1b6ac63"
+    },
+    {
+      "url": "/verify-email.html",
+      "revision": "b60ff21464ad"
+    }
+  ]
+};
@@ -1,117 +1,535 @@
-// offline-db.js - IndexedDB for Offline Queuing in Top Autocare PWA
-// Handles offline forms (e.g., bookings), syncs via Background Sync or on online
+// offline-db.js - IndexedDB write queue for the Top Autocare PWA
+// Actions made while offline (book, cancel, add vehicle, profile update) are stored in the 'queue'
+// store under a client-generated id and replayed through scripts/firebase-utils.js when the
+// connection is back (online event, Background Sync 'sync-queue' relayed by sw.js, or page load).
+// The id doubles as an idempotency key: bookings send it as requestId (the appointment id on the
+// server) and new vehicles are written to vehicles/{id}, so a replay after a lost response is harmless.
+// Item status: pending -> syncing -> synced | conflict (server state changed; user decides) |
+// failed (rejected or out of retries). Transient errors retry with exponential backoff.
+// The 'cache' store is a read cache of the signed-in user's data (see READ CACHE below).
+// Usage: import { queueAction, getQueuedActions, onQueueChange } from './offline-db.js';
+//        await queueAction('bookAppointment', { serviceId, vehicleId, date, time, notes, attachment }, { label });
+//        const stopMirror = await startCacheMirror(db, user.uid);
+//        const cached = await readCache(cacheKey('appointments', user.uid)); // { items, savedAt }
+
+import { appConstants, environment } from './config.js';
 
 const DB_NAME = 'TopAutocareOfflineDB';
-const DB_VERSION = 1;
-const STORE_NAME = 'queue'; // For pending actions (bookings, updates)
-
-// Open DB and handle upgrades
-let db;
-const request = indexedDB.open(DB_NAME, DB_VERSION);
-request.onerror = () => console.error('Offline DB failed to open');
-request.onsuccess = (event) => { db = event.target.result; };
-request.onupgradeneeded = (event) => {
-  db = event.target.result;
-  if (!db.objectStoreNames.contains(STORE_NAME)) {
-    db.createObjectStore(STORE_NAME, { keyPath: 'id', autoIncrement: true });
-  }
-};
+const DB_VERSION = 2;
+const STORE_NAME = 'queue'; // Pending actions, keyed by id
+const CACHE_STORE = 'cache'; // Mirrored Firestore data, keyed by cacheKey()
+const CHANGE_EVENT = 'offlinequeue:change';
+const CACHE_EVENT = 'offlinecache:change';
+const SESSION_KEY = 'session'; // Whose data the cache holds
+const DIGEST_AUTH_KEY = 'statusDigestAuth'; // Read by sw.js for Periodic Background Sync
+const SHARED_BOOKING_KEY = 'sharedBooking'; // Written by sw.js's Web Share Target handler
+const CACHED_APPOINTMENTS = 50;
+const PUBLIC_SETTINGS = ['global', 'availability']; // Business contact details and opening hours
+const SYNC_TAG = 'sync-queue';
 
-// Add action to queue (e.g., booking)
-export async function queueAction(actionType, data) {
-  if (!db) return false;
-  
-  const tx = db.transaction(STORE_NAME, 'readwrite');
-  const store = tx.objectStore(STORE_NAME);
-  const queuedItem = {
-    id: Date.now() + Math.random(), // Unique ID
-    type: actionType, // e.g., 'bookAppointment'
-    data,
-    timestamp: Date.now(),
-    retries: 0,
-    status: 'pending'
-  };
-  
-  const request = store.add(queuedItem);
-  request.onsuccess = () => console.log('Queued offline:', queuedItem);
-  request.onerror = (e) => console.error('Queue failed:', e);
-  
-  // Show user feedback
-  showToast(`Action queued. Will sync when online.`, 'info');
-  return true;
-}
-
-// Sync queue (call on 'online' or background sync)
-export async function syncQueue() {
-  if (!db || !navigator.onLine) return;
-  
-  const tx = db.transaction(STORE_NAME, 'readwrite');
-  const store = tx.objectStore(STORE_NAME);
-  const getAllRequest = store.getAll();
-  
-  getAllRequest.onsuccess = async () => {
-    const pending = getAllRequest.result.filter(item => item.status === 'pending');
-    
-    for (const item of pending) {
-      try {
-        // Simulate API call (replace with your firebase-utils.js call)
-        if (item.type === 'bookAppointment') {
-          // e.g., await firebaseUtils.bookAppointment(item.data, user.uid);
-          console.log('Syncing booking:', item.data);
-          // On success:
-          item.status = 'synced';
+const BASE_DELAY_MS = 5 * 1000;
+const MAX_DELAY_MS = 30 * 60 * 1000;
+const MAX_ATTEMPTS = 8;
+const SYNCED_RETENTION_MS = 7 * 24 * 60 * 60 * 1000;
+// Worth trying again later; anything else is a conflict or a hard failure
+const RETRYABLE_CODES = ['unavailable', 'deadline-exceeded', 'internal', 'aborted', 'resource-exhausted', 'unknown'];
+
+export const ACTION_TYPES = ['bookAppointment', 'cancelAppointment', 'addVehicle', 'updateProfile'];
+
+let dbPromise = null;
+let syncing = null;
+let retryTimer = null;
+
+function openDB() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onerror = () => reject(request.error);
+      request.onsuccess = () => {
+        const db = request.result;
+        // Another tab is upgrading the schema: step aside and reopen on next use
+        db.onversionchange = () => {
+          db.close();
+          dbPromise = null;
+        };
+        resolve(db);
+      };
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(STORE_NAME)) {
+          db.createObjectStore(STORE_NAME, { keyPath: 'id', autoIncrement: true });
         }
-        
-        // Retry logic (up to 3)
-        if (item.retries < 3) {
-          item.retries++;
-        } else {
-          item.status = 'failed';
-          showToast('Some offline actions failed. Check dashboard.', 'error');
+        if (!db.objectStoreNames.contains(CACHE_STORE)) {
+          db.createObjectStore(CACHE_STORE, { keyPath: 'key' });
         }
-        
-        await store.put(item);
-        
-      } catch (error) {
-        console.error('Sync failed for item:', item.id, error);
-        item.status = 'failed';
-        await store.put(item);
+      };
+    });
+  }
+  return dbPromise;
+}
+
+// Run fn(store) in one transaction and resolve with the request result once it commits
+async function withStore(mode, fn, storeName = STORE_NAME) {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, mode);
+    const request = fn(tx.objectStore(storeName));
+    tx.oncomplete = () => resolve(request?.result);
+    tx.onerror = () => reject(tx.error);
+  });
+}
+
+// Also used by pages to pick a request's idempotency key before the first live attempt
+export function generateId() {
+  if (crypto.randomUUID) return crypto.randomUUID();
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 12)}`;
+}
+
+// Items queued by the first version of this file had numeric ids and no attempt bookkeeping
+function normalize(item) {
+  return {
+    ...item,
+    status: item.status === 'syncing' ? 'pending' : item.status, // Page closed mid-replay
+    attempts: item.attempts ?? item.retries ?? 0,
+    nextAttemptAt: item.nextAttemptAt || 0,
+    createdAt: item.createdAt || item.timestamp || Date.now(),
+    updatedAt: item.updatedAt || item.createdAt || item.timestamp || Date.now()
+  };
+}
+
+async function putItem(item) {
+  const stored = { ...item, updatedAt: Date.now() };
+  await withStore('readwrite', (store) => store.put(stored));
+  return stored;
+}
+
+async function announce() {
+  const items = await getQueuedActions();
+  window.dispatchEvent(new CustomEvent(CHANGE_EVENT, { detail: { items } }));
+}
+
+// Every queued action (optionally one user's), oldest first
+export async function getQueuedActions(userId = null) {
+  const items = (await withStore('readonly', (store) => store.getAll())) || [];
+  return items
+    .map(normalize)
+    .filter((item) => !userId || !item.userId || item.userId === userId)
+    .sort((a, b) => a.createdAt - b.createdAt);
+}
+
+// callback(items) whenever the queue changes; returns an unsubscribe function
+export function onQueueChange(callback) {
+  const listener = (event) => callback(event.detail.items);
+  window.addEventListener(CHANGE_EVENT, listener);
+  return () => window.removeEventListener(CHANGE_EVENT, listener);
+}
+
+// Queue an action for replay. options: { id, userId, label } (label is shown in queue listings).
+// Pass the id a live attempt already used, so the replay can't apply the action twice.
+// Returns the queued item; item.id is the idempotency key used on the server.
+export async function queueAction(actionType, data, { id = null, userId = null, label = '' } = {}) {
+  if (!ACTION_TYPES.includes(actionType)) throw new Error(`Unknown offline action: ${actionType}`);
+
+  const item = await putItem({
+    id: id || generateId(),
+    type: actionType,
+    data,
+    userId,
+    label,
+    status: 'pending',
+    attempts: 0,
+    nextAttemptAt: 0,
+    lastError: null,
+    result: null,
+    createdAt: Date.now()
+  });
+  await announce();
+  registerBackgroundSync();
+  if (navigator.onLine) syncQueue();
+  return item;
+}
+
+// Put a conflicted or failed action back in line (e.g. after the user fixed the cause)
+export async function retryAction(id) {
+  const item = (await getQueuedActions()).find((candidate) => candidate.id === id);
+  if (!item) return null;
+  const updated = await putItem({ ...item, status: 'pending', attempts: 0, nextAttemptAt: 0, lastError: null });
+  await announce();
+  syncQueue();
+  return updated;
+}
+
+export async function discardAction(id) {
+  await withStore('readwrite', (store) => store.delete(id));
+  await announce();
+}
+
+function errorCode(error) {
+  return String(error?.code || '').replace(/^(functions|firestore)\//, '');
+}
+
+function describeError(error) {
+  return { code: errorCode(error) || 'network', message: String(error?.message || error).slice(0, 300) };
+}
+
+// True when a live call failed because the connection dropped (the caller should queue it instead)
+export function isConnectionError(error) {
+  return !navigator.onLine || ['unavailable', 'deadline-exceeded'].includes(errorCode(error));
+}
+
+class ConflictError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ConflictError';
+  }
+}
+
+// Replay one action. Returns the result to store; throws ConflictError when the server
+// state no longer allows it, or the original error for the caller to classify.
+const handlers = {
+  // data.attachment (optional File picked on the booking form) goes to the appointment's chat
+  // once booked, as a live booking's does; the booking stands even if that upload fails
+  async bookAppointment(item, utils) {
+    const { attachment, ...booking } = item.data;
+    let result;
+    try {
+      result = await utils.firestoreUtils.bookAppointment({ ...booking, requestId: String(item.id) }, item.userId);
+    } catch (error) {
+      if (['resource-exhausted', 'already-exists', 'failed-precondition'].includes(errorCode(error))) {
+        throw new ConflictError(errorCode(error) === 'resource-exhausted'
+          ? 'That time slot was taken while you were offline. Please pick another time.'
+          : error.message);
       }
+      throw error;
     }
-    
-    // Clear old/failed items (keep 7 days)
-    const cutoff = Date.now() - 7 * 24 * 60 * 60 * 1000;
-    const oldItems = getAllRequest.result.filter(item => Date.now() - item.timestamp > cutoff);
-    oldItems.forEach(item => store.delete(item.id));
-  };
+    if (!attachment) return result;
+
+    try {
+      const [{ getFirestore }, { sendAppointmentMessage }] = await Promise.all([
+        import('https://www.gstatic.com/firebasejs/10.7.1/firebase-firestore.js'),
+        import('./appointment-chat.js')
+      ]);
+      await sendAppointmentMessage(getFirestore(), {
+        appointmentId: result.appointmentId,
+        user: { uid: item.userId },
+        role: 'customer',
+        text: 'Attached when booking',
+        files: [attachment]
+      });
+      return result;
+    } catch (error) {
+      console.warn(`Offline booking ${item.id} attachment not sent:`, error);
+      return { ...result, attachmentError: describeError(error).message };
+    }
+  },
+
+  async cancelAppointment(item, utils) {
+    const { appointmentId, reason } = item.data;
+    try {
+      return await utils.functionsUtils.call('transitionAppointment', { appointmentId, toStatus: 'cancelled', reason });
+    } catch (error) {
+      if (errorCode(error) !== 'failed-precondition') throw error;
+      const appointment = await utils.firestoreUtils.getDoc('appointments', appointmentId);
+      if (appointment?.status === 'cancelled') return { success: true, duplicate: true };
+      throw new ConflictError(`The appointment is now ${appointment?.status || 'unavailable'} and can no longer be cancelled online.`);
+    }
+  },
+
+  async addVehicle(item, utils) {
+    const id = String(item.id);
+    const existing = await utils.firestoreUtils.getDoc('vehicles', id);
+    if (existing) return { vehicleId: id, duplicate: true };
+    await utils.firestoreUtils.addVehicle(item.data, item.userId, id);
+    return { vehicleId: id };
+  },
+
+  // data: { changes, baseUpdatedAt } - baseUpdatedAt is the profile's updatedAt (ms) when it was edited
+  async updateProfile(item, utils) {
+    const { changes, baseUpdatedAt } = item.data;
+    const current = await utils.firestoreUtils.getDoc('users', item.userId);
+    const serverUpdatedAt = current?.updatedAt?.toMillis ? current.updatedAt.toMillis() : 0;
+    if (baseUpdatedAt && serverUpdatedAt > baseUpdatedAt) {
+      throw new ConflictError('Your profile was changed on another device while you were offline.');
+    }
+    await utils.authUtils.updateProfile(item.userId, { ...changes, updatedAt: new Date() });
+    return { success: true };
+  }
+};
+
+function backoffDelay(attempts) {
+  return Math.min(MAX_DELAY_MS, BASE_DELAY_MS * 2 ** attempts);
 }
 
-// Background Sync Registration (call in main JS or SW message)
-export function registerBackgroundSync() {
-  if ('serviceWorker' in navigator && 'sync' in window.ServiceWorkerRegistration.prototype) {
-    navigator.serviceWorker.ready.then(registration => {
-      registration.sync.register('sync-queue')
-        .then(() => console.log('Background sync registered'))
-        .catch(err => console.error('Background sync failed:', err));
+async function replay(item, utils) {
+  await putItem({ ...item, status: 'syncing' });
+  try {
+    const result = await handlers[item.type](item, utils);
+    await putItem({ ...item, status: 'synced', result: result || null, lastError: null, syncedAt: Date.now() });
+    return 'synced';
+  } catch (error) {
+    console.warn(`Offline ${item.type} ${item.id} not synced:`, error);
+    const code = errorCode(error);
+    const attempts = item.attempts + 1;
+    let status = 'failed';
+    if (error instanceof ConflictError) status = 'conflict';
+    else if ((!code || RETRYABLE_CODES.includes(code)) && attempts < MAX_ATTEMPTS) status = 'pending';
+
+    await putItem({
+      ...item,
+      status,
+      attempts,
+      nextAttemptAt: status === 'pending' ? Date.now() + backoffDelay(attempts) : 0,
+      lastError: describeError(error)
+    });
+    return status;
+  }
+}
+
+async function getSignedInUser(utils) {
+  await utils.default.initialize();
+  return new Promise((resolve) => {
+    const unsubscribe = utils.authUtils.onAuthStateChanged((user) => {
+      unsubscribe();
+      resolve(user);
     });
+  });
+}
+
+function scheduleRetry(items) {
+  clearTimeout(retryTimer);
+  const next = items.filter((item) => item.status === 'pending').map((item) => item.nextAttemptAt);
+  if (!next.length) return;
+  retryTimer = setTimeout(syncQueue, Math.max(1000, Math.min(...next) - Date.now()));
+}
+
+async function runSync() {
+  const queued = await getQueuedActions();
+  const cutoff = Date.now() - SYNCED_RETENTION_MS;
+  const stale = queued.filter((item) => item.status === 'synced' && item.updatedAt < cutoff);
+  if (stale.length) await withStore('readwrite', (store) => stale.forEach((item) => store.delete(item.id)));
+  if (!queued.some((item) => item.status === 'pending') || !navigator.onLine) return;
+
+  // Firebase is only loaded once there is something to send
+  const utils = await import('./scripts/firebase-utils.js');
+  const user = await getSignedInUser(utils);
+  if (!user) return; // Replayed after the next sign-in
+
+  const outcomes = [];
+  for (const item of await getQueuedActions(user.uid)) {
+    if (item.status !== 'pending' || item.nextAttemptAt > Date.now() || !handlers[item.type]) continue;
+    outcomes.push(await replay({ ...item, userId: item.userId || user.uid }, utils));
+    await announce();
+    if (!navigator.onLine) break;
+  }
+
+  const synced = outcomes.filter((status) => status === 'synced').length;
+  if (synced) showToast(`${synced} offline change${synced === 1 ? '' : 's'} synced.`, 'success');
+  if (outcomes.includes('conflict')) showToast('Some offline changes conflict with newer data. Please review them.', 'warning');
+  if (outcomes.includes('failed')) showToast('Some offline changes could not be saved.', 'error');
+  scheduleRetry(await getQueuedActions(user.uid));
+}
+
+// Replay due actions for the signed-in user (one run at a time)
+export function syncQueue() {
+  if (!syncing) {
+    syncing = runSync()
+      .catch((error) => console.error('Offline queue sync failed:', error))
+      .finally(() => { syncing = null; });
+  }
+  return syncing;
+}
+
+// Ask the service worker to wake us (via a SYNC_QUEUE message) when connectivity returns
+export function registerBackgroundSync() {
+  if ('serviceWorker' in navigator && 'SyncManager' in window) {
+    navigator.serviceWorker.ready
+      .then((registration) => registration.sync.register(SYNC_TAG))
+      .catch((error) => console.warn('Background sync registration failed:', error));
   }
-  
-  // On online, sync
-  window.addEventListener('online', syncQueue);
+}
+
+// === READ CACHE ===
+// The signed-in user's appointments, vehicles and notifications plus the public services and
+// settings docs, mirrored from live snapshots so dashboard.html, appointments.html, myvehicles.html
+// and offline.html still have something to show without a connection.
+
+// Firestore Timestamps lose their methods in IndexedDB; cached ones come back as this
+class CachedTimestamp {
+  constructor(millis) {
+    this.seconds = Math.floor(millis / 1000);
+    this.nanoseconds = (millis % 1000) * 1e6;
+  }
+
+  toMillis() {
+    return this.seconds * 1000 + Math.floor(this.nanoseconds / 1e6);
+  }
+
+  toDate() {
+    return new Date(this.toMillis());
+  }
+}
+
+function toCacheValue(value) {
+  if (value === null || typeof value !== 'object') return value;
+  if (typeof value.toMillis === 'function') return { __timestamp: value.toMillis() };
+  if (value instanceof Date) return { __timestamp: value.getTime() };
+  if (value.firestore && typeof value.path === 'string') return value.path; // DocumentReference
+  if (Array.isArray(value)) return value.map(toCacheValue);
+  return Object.fromEntries(Object.entries(value).map(([key, entry]) => [key, toCacheValue(entry)]));
+}
+
+function fromCacheValue(value) {
+  if (value === null || typeof value !== 'object') return value;
+  if (typeof value.__timestamp === 'number') return new CachedTimestamp(value.__timestamp);
+  if (Array.isArray(value)) return value.map(fromCacheValue);
+  return Object.fromEntries(Object.entries(value).map(([key, entry]) => [key, fromCacheValue(entry)]));
+}
+
+// Cache keys: per-user collections are suffixed with the uid
+export function cacheKey(name, userId = null) {
+  return userId ? `${name}:${userId}` : name;
+}
+
+// items: [{ id, ...data }]
+export async function cacheData(key, items) {
+  const savedAt = Date.now();
+  await withStore('readwrite', (store) => store.put({ key, items: items.map(toCacheValue), savedAt }), CACHE_STORE);
+  localStorage.setItem(appConstants.storageKeys.LAST_SYNC, String(savedAt));
+  window.dispatchEvent(new CustomEvent(CACHE_EVENT, { detail: { key, savedAt } }));
+}
+
+// { items, savedAt } or null when nothing is cached under key
+export async function readCache(key) {
+  const entry = await withStore('readonly', (store) => store.get(key), CACHE_STORE);
+  return entry ? { items: fromCacheValue(entry.items), savedAt: entry.savedAt } : null;
+}
+
+// Used by offline.html, which has no Firebase session to ask who is signed in
+export async function getCachedUserId() {
+  return (await readCache(SESSION_KEY))?.items[0]?.userId || null;
+}
+
+export async function clearOfflineCache() {
+  await withStore('readwrite', (store) => store.clear(), CACHE_STORE);
+  localStorage.removeItem(appConstants.storageKeys.LAST_SYNC);
+}
+
+// Periodic Background Sync credentials ({ token, userId, deviceId, endpoint }, from
+// pwa-install.js). sw.js reads this record directly, so it is stored as-is rather than via cacheData.
+export async function setDigestCredentials(credentials) {
+  await withStore('readwrite', (store) => store.put({ ...credentials, key: DIGEST_AUTH_KEY, savedAt: Date.now() }), CACHE_STORE);
+}
+
+export async function getDigestCredentials() {
+  return (await withStore('readonly', (store) => store.get(DIGEST_AUTH_KEY), CACHE_STORE)) || null;
+}
+
+// Content shared into the installed app (sw.js /share-target): { text, files: File[], savedAt }.
+// Read once - the booking form takes it and the record is removed.
+export async function takeSharedBooking() {
+  const shared = await withStore('readonly', (store) => store.get(SHARED_BOOKING_KEY), CACHE_STORE);
+  if (!shared) return null;
+  await withStore('readwrite', (store) => store.delete(SHARED_BOOKING_KEY), CACHE_STORE);
+  return {
+    text: shared.text || '',
+    files: (shared.files || []).map(({ name, type, blob }) => new File([blob], name, { type })),
+    savedAt: shared.savedAt
+  };
+}
+
+export function getLastSync() {
+  const stamp = Number(localStorage.getItem(appConstants.storageKeys.LAST_SYNC));
+  return stamp > 0 ? stamp : null;
+}
+
+// Keep the cache in step with live snapshots for userId; returns a function that stops mirroring.
+// Call once per page after sign-in with the page's Firestore instance.
+export async function startCacheMirror(db, userId) {
+  const {
+    collection, query, where, orderBy, limit, onSnapshot, documentId
+  } = await import('https://www.gstatic.com/firebasejs/10.7.1/firebase-firestore.js');
+
+  // A different account on this device: don't leave the previous one's data readable
+  const previousUser = await getCachedUserId();
+  if (previousUser && previousUser !== userId) await clearOfflineCache();
+  await cacheData(SESSION_KEY, [{ id: 'session', userId }]);
+
+  const sources = {
+    [cacheKey('appointments', userId)]: query(collection(db, 'appointments'), where('userId', '==', userId),
+      orderBy('date', 'desc'), limit(CACHED_APPOINTMENTS)),
+    [cacheKey('vehicles', userId)]: query(collection(db, 'vehicles'), where('userId', '==', userId)),
+    [cacheKey('notifications', userId)]: query(collection(db, 'notifications'), where('userId', '==', userId),
+      orderBy('timestamp', 'desc'), limit(environment.maxNotificationLimit)),
+    services: collection(db, 'services'),
+    settings: query(collection(db, 'settings'), where(documentId(), 'in', PUBLIC_SETTINGS))
+  };
+
+  const unsubscribers = Object.entries(sources).map(([key, source]) => onSnapshot(source, (snapshot) => {
+    if (snapshot.metadata.fromCache) return; // Only mirror what the server confirmed
+    cacheData(key, snapshot.docs.map((cachedDoc) => ({ id: cachedDoc.id, ...cachedDoc.data() })))
+      .catch((error) => console.warn(`Offline cache write failed (${key}):`, error));
+  }, (error) => console.warn(`Offline cache listener failed (${key}):`, error)));
+
+  return () => unsubscribers.forEach((unsubscribe) => unsubscribe());
+}
+
+function formatSyncTime(stamp) {
+  const date = new Date(stamp);
+  const sameDay = date.toDateString() === new Date().toDateString();
+  return sameDay
+    ? date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
+    : date.toLocaleString([], { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+}
+
+// Keep element showing the LAST_SYNC stamp (and whether we are offline); returns a cleanup function
+export function mountSyncStamp(element) {
+  function render() {
+    const stamp = getLastSync();
+    const online = navigator.onLine;
+    element.classList.toggle('offline', !online);
+    if (!stamp) {
+      element.textContent = online ? '' : 'Offline - nothing saved on this device yet';
+      return;
+    }
+    element.textContent = online
+      ? `Last synced ${formatSyncTime(stamp)}`
+      : `Offline - showing data last synced ${formatSyncTime(stamp)}`;
+  }
+  ['online', 'offline', CACHE_EVENT].forEach((eventName) => window.addEventListener(eventName, render));
+  render();
+  return () => ['online', 'offline', CACHE_EVENT].forEach((eventName) => window.removeEventListener(eventName, render));
 }
 
 // Utility: Show toast (from error-handler.js or inline)
 function showToast(message, type = 'info') {
+  const colors = { error: '#ff6b6b', warning: '#ff9800', info: '#2196F3', success: '#4CAF50' };
   const toast = document.createElement('div');
   toast.className = `toast ${type}`;
   toast.textContent = message;
   toast.style.cssText = `
-    position: fixed; bottom: 20px; right: 20px; background: ${type === 'error' ? '#ff6b6b' : '#4CAF50'}; 
+    position: fixed; bottom: 20px; right: 20px; background: ${colors[type] || colors.info};
     color: white; padding: 1rem; border-radius: 5px; z-index: 1000;
   `;
   document.body.appendChild(toast);
   setTimeout(() => toast.remove(), 4000);
 }
 
-// Export for use (e.g., in book-appointment.html)
-window.OfflineDB = { queueAction, syncQueue, registerBackgroundSync };
+window.addEventListener('online', syncQueue);
+if ('serviceWorker' in navigator) {
+  navigator.serviceWorker.addEventListener('message', (event) => {
+    if (event.data?.type === 'SYNC_QUEUE') syncQueue();
+  });
+}
+syncQueue();
+
+window.OfflineDB = {
+  queueAction,
+  syncQueue,
+  registerBackgroundSync,
+  getQueuedActions,
+  retryAction,
+  discardAction,
+  onQueueChange,
+  readCache,
+  getLastSync
+};
@@ -0,0 +1,79 @@
+// push-notifications.js - Web Push subscription for Top Autocare Garage
+// Registers this browser's FCM token with the registerPushToken function so the
+// notification dispatcher can reach it. sw.js shows the incoming messages.
+// Usage: import { enablePush, disablePush, refreshPush, getPushState } from './push-notifications.js';
+//        await enablePush(app);   // app = the page's initialized Firebase app
+
+import { getMessaging, getToken, deleteToken, isSupported } from 'https://www.gstatic.com/firebasejs/10.7.1/firebase-messaging.js';
+import { getFunctions, httpsCallable } from 'https://www.gstatic.com/firebasejs/10.7.1/firebase-functions.js';
+import { appConstants } from './config.js';
+
+// Stable id for this browser, so re-subscribing replaces its old token instead of adding one
+function getDeviceId() {
+  const key = appConstants.storageKeys.PUSH_DEVICE_ID;
+  let deviceId = localStorage.getItem(key);
+  if (!deviceId) {
+    deviceId = (crypto.randomUUID ? crypto.randomUUID() : `${Date.now()}-${Math.random().toString(36).slice(2)}`).replace(/[^A-Za-z0-9_-]/g, '');
+    localStorage.setItem(key, deviceId);
+  }
+  return deviceId;
+}
+
+async function getPushToken(app) {
+  const registration = await navigator.serviceWorker.register(appConstants.pwa.serviceWorkerUrl);
+  const options = { serviceWorkerRegistration: registration };
+  if (appConstants.pwa.pushVapidKey) options.vapidKey = appConstants.pwa.pushVapidKey;
+  return getToken(getMessaging(app), options);
+}
+
+// 'unsupported' | 'denied' | 'default' (not asked yet) | 'enabled' | 'disabled' (granted, switched off here)
+export async function getPushState() {
+  if (!('serviceWorker' in navigator) || !('Notification' in window) || !(await isSupported())) return 'unsupported';
+  if (Notification.permission !== 'granted') return Notification.permission;
+  return localStorage.getItem(appConstants.storageKeys.PUSH_DEVICE_ID) ? 'enabled' : 'disabled';
+}
+
+// Ask for permission (must run from a user gesture) and register this device
+export async function enablePush(app) {
+  if ((await getPushState()) === 'unsupported') throw new Error('Push notifications are not supported in this browser');
+
+  const permission = await Notification.requestPermission();
+  if (permission !== 'granted') throw new Error('Notification permission was not granted');
+
+  const token = await getPushToken(app);
+  if (!token) throw new Error('Could not get a push token for this device');
+
+  await httpsCallable(getFunctions(app), 'registerPushToken')({
+    token,
+    deviceId: getDeviceId(),
+    userAgent: navigator.userAgent
+  });
+  return token;
+}
+
+// Stop pushes to this browser
+export async function disablePush(app) {
+  const deviceId = localStorage.getItem(appConstants.storageKeys.PUSH_DEVICE_ID);
+  try {
+    if (await isSupported()) await deleteToken(getMessaging(app));
+  } catch (error) {
+    console.warn('Push token delete failed:', error);
+  }
+  if (deviceId) {
+    await httpsCallable(getFunctions(app), 'unregisterPushToken')({ deviceId });
+    localStorage.removeItem(appConstants.storageKeys.PUSH_DEVICE_ID);
+  }
+}
+
+// On sign-in: re-send the (possibly rotated) token so the server keeps it fresh. Never prompts.
+export async function refreshPush(app) {
+  try {
+    if ((await getPushState()) !== 'enabled') return;
+    const token = await getPushToken(app);
+    if (token) {
+      await httpsCallable(getFunctions(app), 'registerPushToken')({ token, deviceId: getDeviceId(), userAgent: navigator.userAgent });
+    }
+  } catch (error) {
+    console.warn('Push token refresh failed:', error);
+  }
+}
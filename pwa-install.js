@@ -1,5 +1,6 @@
 // pwa-install.js - PWA Installation Handler for Top Autocare Garage
-// Self-contained vanilla JS for custom install prompt and handling
+// Self-contained vanilla JS (classic script) for the custom install prompt and handling.
+// Pages report engagement with: window.dispatchEvent(new CustomEvent('pwa:milestone', { detail: { milestone: 'first_booking' } }))
 
 // Global variables to track PWA state
 let deferredPrompt = null; // Stores the beforeinstallprompt event
@@ -27,6 +28,207 @@ function isPWAInstalled() {
          window.matchMedia('(display-mode: minimal-ui)').matches;
 }
 
+// === APPOINTMENT STATUS UPDATES (Periodic Background Sync) ===
+// Installed apps ask sw.js to check the appointmentStatusDigest endpoint in the background and
+// notify when a booking changes status. Browsers without Periodic Background Sync (or without
+// permission for it) get the same check whenever the app is opened or brought back into view.
+const STATUS_SYNC_TAG = 'status-digest';
+const STATUS_SYNC_INTERVAL = 12 * 60 * 60 * 1000; // The browser decides the real cadence
+const STATUS_FALLBACK_INTERVAL = 15 * 60 * 1000;
+let lastStatusCheck = 0;
+
+function requestStatusCheck(registration) {
+  if (Date.now() - lastStatusCheck < STATUS_FALLBACK_INTERVAL) return;
+  lastStatusCheck = Date.now();
+  const worker = registration.active || navigator.serviceWorker.controller;
+  if (worker) worker.postMessage({ type: 'CHECK_STATUS_DIGEST' });
+}
+
+// Make sure this device has a digest token for the signed-in user (sw.js has no Firebase session)
+async function ensureDigestCredentials() {
+  const [{ default: FirebaseUtils, authUtils, functionsUtils }, OfflineDB, { environment }] = await Promise.all([
+    import('./scripts/firebase-utils.js'),
+    import('./offline-db.js'),
+    import('./config.js')
+  ]);
+  await FirebaseUtils.initialize();
+  const user = await new Promise((resolve) => {
+    const unsubscribe = authUtils.onAuthStateChanged((currentUser) => {
+      unsubscribe();
+      resolve(currentUser);
+    });
+  });
+  if (!user) return false;
+
+  const existing = await OfflineDB.getDigestCredentials();
+  if (existing?.userId === user.uid) return true;
+
+  const deviceId = existing?.deviceId
+    || (crypto.randomUUID ? crypto.randomUUID() : `${Date.now()}-${Math.random().toString(36).slice(2)}`).replace(/[^A-Za-z0-9_-]/g, '');
+  const { token } = await functionsUtils.call('issueStatusDigestToken', { deviceId });
+  await OfflineDB.setDigestCredentials({
+    token,
+    userId: user.uid,
+    deviceId,
+    endpoint: environment.functionsUrl('appointmentStatusDigest')
+  });
+  log('Status digest token issued for this device');
+  return true;
+}
+
+async function registerStatusUpdates() {
+  if (!('serviceWorker' in navigator)) return;
+
+  try {
+    if (!(await ensureDigestCredentials())) return;
+    const registration = await navigator.serviceWorker.ready;
+
+    let periodic = false;
+    if ('periodicSync' in registration) {
+      const permission = await navigator.permissions.query({ name: 'periodic-background-sync' }).catch(() => null);
+      if (permission?.state === 'granted') {
+        await registration.periodicSync.register(STATUS_SYNC_TAG, { minInterval: STATUS_SYNC_INTERVAL });
+        periodic = true;
+        log('Periodic status sync registered');
+      }
+    }
+
+    if (!periodic) {
+      log('Periodic Background Sync unavailable - checking status while the app is open');
+      requestStatusCheck(registration);
+      document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'visible') requestStatusCheck(registration);
+      });
+    }
+  } catch (error) {
+    log('Status updates not enabled', error);
+  }
+}
+
+// === INSTALL MANAGER ===
+// Applies pwaConfig.installPrompt (config.js): the prompt appears `delay` ms after load on the
+// `showOnPages` pages, or on the next page after an engagement milestone (first booking, first
+// vehicle, third visit day). Each dismissal is remembered; after `maxDismissals` it never returns.
+// Funnel events go to Analytics.trackEvent: pwa_install_prompt_shown, pwa_install_accepted,
+// pwa_install_dismissed, pwa_installed and pwa_launched_standalone.
+const INSTALL_DEFAULTS = { delay: 5000, maxDismissals: 3, showOnPages: ['/dashboard.html', '/book-appointment.html'] };
+const INSTALL_STATE_KEY = 'top-autocare-pwa-install'; // { dismissals, lastDismissedAt, milestones, pendingMilestone, visitDays }
+const DISMISS_COOLDOWN = 3 * 24 * 60 * 60 * 1000; // Don't re-ask the day after a "not now"
+const RETURN_VISIT_DAYS = 3;
+const MILESTONE_EVENT = 'pwa:milestone';
+const STANDALONE_SESSION_KEY = 'top-autocare-standalone-tracked';
+
+let installConfig = INSTALL_DEFAULTS;
+let installReady = null; // Resolves once config.js is loaded
+let promptTimer = null;
+let promptVisible = false;
+let promptTrigger = null; // 'page' or the milestone that earned this prompt
+let Analytics = null;
+
+function readInstallState() {
+  try {
+    return { dismissals: 0, lastDismissedAt: 0, milestones: {}, pendingMilestone: null, visitDays: [],
+      ...JSON.parse(localStorage.getItem(INSTALL_STATE_KEY) || '{}') };
+  } catch (error) {
+    return { dismissals: 0, lastDismissedAt: 0, milestones: {}, pendingMilestone: null, visitDays: [] };
+  }
+}
+
+function updateInstallState(changes) {
+  const state = { ...readInstallState(), ...changes };
+  localStorage.setItem(INSTALL_STATE_KEY, JSON.stringify(state));
+  return state;
+}
+
+// Funnel tracking through scripts/analytics.js (ES module, loaded on demand from this classic script)
+async function trackInstallEvent(eventName, params = {}) {
+  try {
+    if (!Analytics) Analytics = await import('./scripts/analytics.js');
+    Analytics.trackEvent(eventName, {
+      event_category: 'pwa_install',
+      page: window.location.pathname,
+      platform: isIOS() ? 'ios' : 'web',
+      ...params
+    });
+  } catch (error) {
+    log('Install analytics unavailable', error);
+  }
+}
+
+function isIOS() {
+  return /iphone|ipad|ipod/i.test(navigator.userAgent) && !window.MSStream;
+}
+
+// config.js lists pages as '/dashboard.html'; hosting's cleanUrls serves them as '/dashboard'
+function isPromptPage() {
+  const path = window.location.pathname.replace(/\.html$/, '');
+  return installConfig.showOnPages.some((page) => page.replace(/\.html$/, '') === path);
+}
+
+function canPrompt() {
+  if (isInstalled || promptVisible) return false;
+  if (!deferredPrompt && !isIOS()) return false;
+  const state = readInstallState();
+  if (state.dismissals >= installConfig.maxDismissals) return false;
+  return Date.now() - state.lastDismissedAt >= DISMISS_COOLDOWN;
+}
+
+// Called when an install prompt becomes available, config loads, or a milestone is reached
+function scheduleInstallPrompt() {
+  if (promptTimer || !canPrompt()) return;
+  const { pendingMilestone } = readInstallState();
+  const trigger = pendingMilestone || (isPromptPage() ? 'page' : null);
+  if (!trigger) return;
+
+  promptTimer = setTimeout(() => {
+    promptTimer = null;
+    if (!canPrompt()) return;
+    promptTrigger = trigger;
+    updateInstallState({ pendingMilestone: null });
+    if (deferredPrompt) {
+      showInstallUI();
+    } else {
+      showiOSInstallBanner();
+    }
+  }, installConfig.delay);
+}
+
+// Engagement milestones: each counts once, and earns a prompt on the next eligible page
+function recordMilestone(milestone) {
+  if (!milestone || isInstalled) return;
+  const state = readInstallState();
+  if (state.milestones[milestone]) return;
+  updateInstallState({ milestones: { ...state.milestones, [milestone]: Date.now() }, pendingMilestone: milestone });
+  log('Engagement milestone reached:', milestone);
+  if (installReady) installReady.then(scheduleInstallPrompt);
+}
+
+function recordVisit() {
+  const today = new Date().toISOString().slice(0, 10);
+  const { visitDays } = readInstallState();
+  if (visitDays.includes(today)) return;
+  const days = [...visitDays, today].slice(-RETURN_VISIT_DAYS);
+  updateInstallState({ visitDays: days });
+  if (days.length >= RETURN_VISIT_DAYS) recordMilestone('return_visit');
+}
+
+function recordDismissal(reason) {
+  const state = readInstallState();
+  const dismissals = state.dismissals + 1;
+  updateInstallState({ dismissals, lastDismissedAt: Date.now() });
+  trackInstallEvent('pwa_install_dismissed', { reason, dismissals, trigger: promptTrigger });
+  log(`Install prompt dismissed (${dismissals}/${installConfig.maxDismissals})`);
+}
+
+async function loadInstallConfig() {
+  try {
+    const { pwaConfig } = await import('./config.js');
+    installConfig = { ...INSTALL_DEFAULTS, ...pwaConfig.installPrompt };
+  } catch (error) {
+    log('Using default install prompt settings', error);
+  }
+}
+
 // Initialize PWA installation listener
 function initializePWAInstall() {
   log('Initializing PWA installer...');
@@ -36,9 +238,16 @@ function initializePWAInstall() {
     log('PWA already installed or running in standalone mode');
     isInstalled = true;
     hideInstallUI();
+    if (!sessionStorage.getItem(STANDALONE_SESSION_KEY)) {
+      sessionStorage.setItem(STANDALONE_SESSION_KEY, '1');
+      trackInstallEvent('pwa_launched_standalone');
+    }
+    registerStatusUpdates();
     return;
   }
 
+  installReady = loadInstallConfig();
+
   // Listen for beforeinstallprompt event (Chrome/Edge)
   window.addEventListener('beforeinstallprompt', (e) => {
     log('beforeinstallprompt event fired', e);
@@ -46,11 +255,9 @@ function initializePWAInstall() {
     // Prevent default browser prompt
     e.preventDefault();
     
-    // Store the event for later use
+    // Store the event for later use; the install manager decides when to offer it
     deferredPrompt = e;
-    
-    // Show custom install UI
-    showInstallUI();
+    installReady.then(scheduleInstallPrompt);
   });
 
   // Listen for appinstalled event (confirm installation)
@@ -58,36 +265,29 @@ function initializePWAInstall() {
     log('PWA was installed successfully', e);
     isInstalled = true;
     deferredPrompt = null;
+    clearTimeout(promptTimer);
     hideInstallUI();
+    trackInstallEvent('pwa_installed', { trigger: promptTrigger });
+    registerStatusUpdates();
     // Optional: Show thank you message
     showMessage('PWA installed successfully! Welcome to Top Autocare app.', 'success');
   });
 
-  // Listen for abortinstall event (user dismissed install)
-  window.addEventListener('appinstallabort', (e) => {
-    log('PWA installation was aborted', e);
-  });
+  window.addEventListener(MILESTONE_EVENT, (e) => recordMilestone(e.detail?.milestone));
 
-  // Auto-hide install UI on page unload or if already installed
-  window.addEventListener('beforeunload', () => {
-    if (!isInstalled && deferredPrompt) {
-      deferredPrompt = null;
-    }
+  // iOS Safari has no beforeinstallprompt - offer Add to Home Screen instructions instead
+  installReady.then(() => {
+    recordVisit();
+    if (isIOS()) scheduleInstallPrompt();
   });
 
-  // Check for Safari iOS support (uses different approach)
-  if ('serviceWorker' in navigator && window.safari) {
-    log('Safari detected - using custom install logic');
-    // For iOS Safari, show a persistent banner encouraging add to home screen
-    showiOSInstallBanner();
-  }
-
   log('PWA installer initialized');
 }
 
 // Show custom install UI (button or banner)
 function showInstallUI() {
   log('Showing install UI');
+  promptVisible = true;
 
   // Get or create install button
   installButton = document.getElementById(defaultInstallButtonId);
@@ -103,25 +303,22 @@ function showInstallUI() {
   installBanner = document.getElementById(defaultInstallBannerId);
   if (installBanner) {
     installBanner.style.display = 'block';
+    installBanner.classList.add('show');
   }
 
   // Add close functionality to banner if present
   const closeButton = document.getElementById(defaultCloseBannerId);
   if (closeButton) {
-    closeButton.addEventListener('click', hideInstallUI);
+    closeButton.addEventListener('click', handleCloseClick);
   }
 
-  // Optional: Show banner after a delay or on scroll
-  setTimeout(() => {
-    if (installBanner) {
-      installBanner.classList.add('show');
-    }
-  }, 2000); // Show after 2 seconds
+  trackInstallEvent('pwa_install_prompt_shown', { trigger: promptTrigger });
 }
 
-// Hide install UI
+// Hide install UI (the stored prompt is kept; it can still be used from PWAInstall.install)
 function hideInstallUI() {
   log('Hiding install UI');
+  promptVisible = false;
   
   if (installButton) {
     installButton.style.display = 'none';
@@ -133,15 +330,17 @@ function hideInstallUI() {
     installBanner.classList.remove('show');
   }
 
-  // Clear stored prompt if dismissed
-  if (deferredPrompt) {
-    deferredPrompt.userChoice.then((choiceResult) => {
-      log('User choice:', choiceResult.outcome);
-    });
-    deferredPrompt = null;
+  const closeButton = document.getElementById(defaultCloseBannerId);
+  if (closeButton) {
+    closeButton.removeEventListener('click', handleCloseClick);
   }
 }
 
+function handleCloseClick() {
+  hideInstallUI();
+  recordDismissal('closed');
+}
+
 // Handle install button click
 async function handleInstallClick() {
   log('Install button clicked');
@@ -153,34 +352,33 @@ async function handleInstallClick() {
 
   hideInstallUI();
   
-  // Trigger the install prompt
-  deferredPrompt.prompt();
+  // Trigger the install prompt (each beforeinstallprompt event can only be used once)
+  const promptEvent = deferredPrompt;
+  deferredPrompt = null;
+  promptEvent.prompt();
   
   // Wait for user choice
-  const { outcome } = await deferredPrompt.userChoice;
+  const { outcome } = await promptEvent.userChoice;
   log('User response to install prompt:', outcome);
   
-  deferredPrompt = null;
-  
   if (outcome === 'accepted') {
     // User accepted - wait for appinstalled event
+    trackInstallEvent('pwa_install_accepted', { trigger: promptTrigger });
     showMessage('Installation started. You can now use the app from your home screen!', 'success');
   } else {
-    // User dismissed - offer to show again later
-    setTimeout(() => {
-      if (deferredPrompt && !isInstalled) {
-        showInstallUI();
-      }
-    }, 10000); // Show again after 10 seconds
+    recordDismissal('declined');
   }
 }
 
 // iOS Safari specific handling (no beforeinstallprompt support)
 function showiOSInstallBanner() {
+  if (document.getElementById('iOSInstallBanner')) return;
+  promptVisible = true;
+
   const banner = document.createElement('div');
   banner.id = 'iOSInstallBanner';
   banner.innerHTML = `
-    <div style="
+    <div class="slide-up" style="
       position: fixed; 
       bottom: 0; 
       left: 0; 
@@ -191,23 +389,22 @@ function showiOSInstallBanner() {
       text-align: center; 
       font-weight: 600; 
       z-index: 10000; 
-      display: none;
       box-shadow: 0 -2px 10px rgba(0,0,0,0.3);
       border-top: 2px solid #b8962e;
     ">
       <i class="fas fa-mobile-alt"></i> 
-      Add Top Autocare to your home screen for the best experience! 
-      <span style="cursor: pointer; color: #ff6b6b; margin-left: 1rem;" onclick="this.parentElement.style.display='none'">&times;</span>
+      Install Top Autocare: tap <i class="fas fa-share-square"></i> Share, then "Add to Home Screen".
+      <span class="ios-install-close" role="button" aria-label="Dismiss" style="cursor: pointer; color: #ff6b6b; margin-left: 1rem;">&times;</span>
     </div>
   `;
+  banner.querySelector('.ios-install-close').addEventListener('click', () => {
+    banner.remove();
+    promptVisible = false;
+    recordDismissal('closed');
+  });
   document.body.appendChild(banner);
-  
-  // Show banner after delay
-  setTimeout(() => {
-    banner.style.display = 'block';
-    banner.classList.add('slide-up');
-  }, 3000);
-  
+
+  trackInstallEvent('pwa_install_prompt_shown', { trigger: promptTrigger });
   log('iOS install banner shown');
 }
 
@@ -335,7 +532,8 @@ window.PWAInstall = {
   showUI: showInstallUI,
   hideUI: hideInstallUI,
   isInstalled: () => isInstalled,
-  install: () => deferredPrompt ? handleInstallClick() : log('No install prompt available')
+  install: () => deferredPrompt ? handleInstallClick() : log('No install prompt available'),
+  recordMilestone
 };
 
 log('PWA Installer script loaded successfully');
@@ -21,6 +21,8 @@ const MAX_ERROR_LOG_SIZE = 50; // Limit stored errors
 const ERROR_STORAGE_KEY = 'top-autocare-errors-log'; // LocalStorage for offline errors
 const RETRY_ATTEMPTS = 3; // Max retries for recoverable errors
 const RECOVERABLE_ERROR_TYPES = ['network-error', 'timeout', 'validation-error']; // Types that can retry
+const ERROR_REPORT_DELAY = 2000; // Collect a burst of errors into one report
+const MAX_ERRORS_PER_REPORT = 10; // Matches reportClientErrors
 
 // Analytics integration (if available)
 let Analytics;
@@ -57,11 +59,63 @@ function queueError(errorData) {
     
     localStorage.setItem(ERROR_STORAGE_KEY, JSON.stringify(errorLog));
     logError('Queued error for sync', errorData);
+    reportError(errorData);
   } catch (storageError) {
     console.warn('Error Handler: Failed to queue error', storageError);
   }
 }
 
+// Report errors to the reportClientErrors function so admins get alerted on spikes
+// (client_errors rule in settings/alerts). Network errors are left out - going offline isn't a bug.
+let reportBuffer = [];
+let reportTimer = null;
+
+function reportError(errorData) {
+  if (!ERROR_TRACKING_ENABLED || errorData.type === 'network-error' || !Config.environment?.functionsUrl) return;
+
+  reportBuffer.push({
+    message: errorData.message || errorData.error || 'Unknown error',
+    type: errorData.type || 'unknown',
+    url: window.location.href,
+    fatal: errorData.fatal === true
+  });
+  if (!reportTimer) reportTimer = setTimeout(flushErrorReports, ERROR_REPORT_DELAY);
+}
+
+// reportClientErrors only accepts reports from signed-in users; the ID token goes in the body
+// because sendBeacon can't set an Authorization header
+async function getReportToken() {
+  try {
+    const { default: FirebaseUtils, authUtils } = await import('./firebase-utils.js');
+    await FirebaseUtils.initialize();
+    const user = authUtils.getCurrentUser();
+    return user ? await user.getIdToken() : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+async function flushErrorReports() {
+  reportTimer = null;
+  const errors = reportBuffer.slice(0, MAX_ERRORS_PER_REPORT);
+  reportBuffer = [];
+  if (errors.length === 0 || !navigator.onLine) return;
+
+  const idToken = await getReportToken();
+  if (!idToken) return;
+
+  const url = Config.environment.functionsUrl('reportClientErrors');
+  const body = JSON.stringify({ idToken, errors });
+  try {
+    // sendBeacon survives page unloads; text/plain keeps it a simple (no preflight) request
+    if (!navigator.sendBeacon || !navigator.sendBeacon(url, body)) {
+      fetch(url, { method: 'POST', body, keepalive: true }).catch(() => {});
+    }
+  } catch (reportFailure) {
+    logError('Failed to report errors', reportFailure);
+  }
+}
+
 // Sync queued errors (when online or on analytics init)
 function syncErrorQueue() {
   if (!ERROR_TRACKING_ENABLED || !navigator.onLine || !Analytics) return;
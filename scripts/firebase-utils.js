@@ -1,10 +1,16 @@
 // firebase-utils.js - Firebase Utilities for Top Autocare Garage
 // Self-contained module for Firebase operations (Auth, Firestore, Storage)
 // Integrates with config.js (firebaseConfig) and error-handler.js
-// Usage: import { authUtils, firestoreUtils } from './firebase-utils.js';
+// Usage: import { authUtils, firestoreUtils, functionsUtils } from './firebase-utils.js';
 
-let firebaseApp, auth, db, storage, analytics;
+let firebaseApp, auth, db, storage, analytics, functions;
 let Config, ErrorHandler, Analytics;
+// SDK calls used by the helpers below (assigned on first init)
+let createUserWithEmailAndPassword, signInWithEmailAndPassword, signOut, sendEmailVerification,
+  updateProfile, onAuthStateChanged, sendPasswordResetEmail;
+let doc, getDoc, setDoc, addDoc, updateDoc, deleteDoc, collection, query, where, orderBy, limit,
+  getDocs, onSnapshot, serverTimestamp, writeBatch;
+let ref, uploadBytes, getDownloadURL, deleteObject, httpsCallable, logEvent;
 
 // Lazy load Firebase SDKs and config
 async function initializeFirebase() {
@@ -12,49 +18,59 @@ async function initializeFirebase() {
   
   try {
     // Load config
-    Config = (await import('./config.js')).default;
+    Config = (await import('../config.js')).default;
     
     // Load Firebase SDKs
-    const { initializeApp } = await import('https://www.gstatic.com/firebasejs/10.7.1/firebase-app.js');
-    const { 
-      getAuth, 
-      createUserWithEmailAndPassword, 
-      signInWithEmailAndPassword, 
-      signOut, 
-      sendEmailVerification, 
+    const { initializeApp, getApps } = await import('https://www.gstatic.com/firebasejs/10.7.1/firebase-app.js');
+    const authSdk = await import('https://www.gstatic.com/firebasejs/10.7.1/firebase-auth.js');
+    const { getAuth } = authSdk;
+    ({
+      createUserWithEmailAndPassword,
+      signInWithEmailAndPassword,
+      signOut,
+      sendEmailVerification,
       updateProfile,
       onAuthStateChanged,
       sendPasswordResetEmail
-    } = await import('https://www.gstatic.com/firebasejs/10.7.1/firebase-auth.js');
-    const { 
-      getFirestore, 
-      doc, 
-      getDoc, 
-      setDoc, 
-      addDoc, 
-      updateDoc, 
-      deleteDoc, 
-      collection, 
-      query, 
-      where, 
-      orderBy, 
-      limit, 
-      getDocs, 
+    } = authSdk);
+    const firestoreSdk = await import('https://www.gstatic.com/firebasejs/10.7.1/firebase-firestore.js');
+    const { getFirestore } = firestoreSdk;
+    ({
+      doc,
+      getDoc,
+      setDoc,
+      addDoc,
+      updateDoc,
+      deleteDoc,
+      collection,
+      query,
+      where,
+      orderBy,
+      limit,
+      getDocs,
       onSnapshot,
       serverTimestamp,
-      writeBatch 
-    } = await import('https://www.gstatic.com/firebasejs/10.7.1/firebase-firestore.js');
-    const { getStorage, ref, uploadBytes, getDownloadURL } = await import('https://www.gstatic.com/firebasejs/10.7.1/firebase-storage.js');
-    const { getAnalytics, logEvent } = await import('https://www.gstatic.com/firebasejs/10.7.1/firebase-analytics.js');
+      writeBatch
+    } = firestoreSdk);
+    const storageSdk = await import('https://www.gstatic.com/firebasejs/10.7.1/firebase-storage.js');
+    const { getStorage } = storageSdk;
+    ({ ref, uploadBytes, getDownloadURL, deleteObject } = storageSdk);
+    const analyticsSdk = await import('https://www.gstatic.com/firebasejs/10.7.1/firebase-analytics.js');
+    const { getAnalytics } = analyticsSdk;
+    ({ logEvent } = analyticsSdk);
+    const functionsSdk = await import('https://www.gstatic.com/firebasejs/10.7.1/firebase-functions.js');
+    const { getFunctions } = functionsSdk;
+    ({ httpsCallable } = functionsSdk);
     
-    // Initialize Firebase App
-    firebaseApp = initializeApp(Config.firebaseConfig);
+    // Initialize Firebase App (reuse the page's app if it already created one)
+    firebaseApp = getApps().length ? getApps()[0] : initializeApp(Config.firebaseConfig);
     
     // Initialize services
     auth = getAuth(firebaseApp);
     db = getFirestore(firebaseApp);
     storage = getStorage(firebaseApp);
     analytics = getAnalytics(firebaseApp);
+    functions = getFunctions(firebaseApp);
     
     // Load optional integrations
     try {
@@ -357,13 +373,13 @@ export const firestoreUtils = {
     return await firestoreUtils.queryCollection(Config.appConstants.collections.APPOINTMENTS, qOptions);
   },
   
+  // Books through the bookAppointment callable (server validates and reserves the slot).
+  // appointmentData: { serviceId, vehicleId, date: 'YYYY-MM-DD', time: 'HH:MM', notes }
+  // userId is kept for call-site compatibility; the server books for the signed-in user.
   async bookAppointment(appointmentData, userId) {
-    return await firestoreUtils.addDoc(Config.appConstants.collections.APPOINTMENTS, {
-      ...appointmentData,
-      userId,
-      status: 'pending',
-      createdAt: serverTimestamp()
-    });
+    const result = await functionsUtils.call('bookAppointment', appointmentData);
+    if (Analytics) Analytics.trackEvent('appointments_created', { id: result.appointmentId, userId });
+    return result; // { success, appointmentId, reference }
   },
   
   // Vehicle utilities
@@ -373,12 +389,12 @@ export const firestoreUtils = {
     });
   },
   
-  async addVehicle(vehicleData, userId) {
-    return await firestoreUtils.addDoc(Config.appConstants.collections.VEHICLES, {
-      ...vehicleData,
-      userId,
-      createdAt: serverTimestamp()
-    });
+  // vehicleId (optional) writes to a known id, so a replayed offline add can't create a duplicate
+  async addVehicle(vehicleData, userId, vehicleId = null) {
+    await initializeFirebase();
+    const vehicle = { ...vehicleData, userId, createdAt: serverTimestamp() };
+    if (vehicleId) return await firestoreUtils.saveDoc(Config.appConstants.collections.VEHICLES, vehicleId, vehicle, false);
+    return await firestoreUtils.addDoc(Config.appConstants.collections.VEHICLES, vehicle);
   },
   
   // Batch operations (for multiple writes)
@@ -401,6 +417,22 @@ export const firestoreUtils = {
   }
 };
 
+// === FUNCTIONS UTILITIES (Callable Cloud Functions) ===
+export const functionsUtils = {
+  // Call a callable function and return its data payload
+  async call(name, data = {}) {
+    await initializeFirebase();
+    try {
+      const callable = httpsCallable(functions, name);
+      const result = await callable(data);
+      return result.data;
+    } catch (error) {
+      if (ErrorHandler) ErrorHandler.trackError(error, { context: 'functions-call', name });
+      throw error;
+    }
+  }
+};
+
 // === STORAGE UTILITIES (Firebase Storage) ===
 export const storageUtils = {
   // Upload file
@@ -459,6 +491,7 @@ export const analyticsUtils = {
 export default {
   authUtils,
   firestoreUtils,
+  functionsUtils,
   storageUtils,
   analyticsUtils,
   initialize: initializeFirebase
@@ -469,6 +502,7 @@ if (typeof window !== 'undefined' && !window.FirebaseUtils) {
   window.FirebaseUtils = {
     auth: authUtils,
     firestore: firestoreUtils,
+    functions: functionsUtils,
     storage: storageUtils,
     analytics: analyticsUtils,
     init: initializeFirebase
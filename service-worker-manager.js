@@ -0,0 +1,154 @@
+// service-worker-manager.js - Service worker registration and update prompt for Top Autocare Garage
+// Self-contained vanilla JS (classic script, included on every page).
+// sw.js installs new versions in the background but waits; when one is ready this shows an
+// "Update available" bar. Reload sends SKIP_WAITING to the waiting worker, and the page reloads
+// once it has taken control. Updates are also checked when the tab comes back into view.
+
+(() => {
+  const SW_URL = '/sw.js';
+  const UPDATE_CHECK_INTERVAL = 60 * 60 * 1000; // Hourly, for tabs left open
+  const BAR_ID = 'swUpdateBar';
+
+  let registration = null;
+  let reloadRequested = false;
+  let lastCheck = Date.now();
+
+  // Utility: Log messages (can be disabled in production)
+  const debug = true;
+  function log(message, data = null) {
+    if (debug) {
+      console.log(`[SW Manager] ${message}`, data || '');
+    }
+  }
+
+  // Show the update bar for a worker that has installed and is waiting
+  function showUpdatePrompt(worker) {
+    if (document.getElementById(BAR_ID)) return;
+
+    const bar = document.createElement('div');
+    bar.id = BAR_ID;
+    bar.setAttribute('role', 'status');
+    bar.innerHTML = `
+      <span><i class="fas fa-sync-alt"></i> A new version of Top Autocare is available.</span>
+      <button type="button" class="sw-update-reload">Reload</button>
+      <button type="button" class="sw-update-close" aria-label="Dismiss">&times;</button>
+    `;
+    bar.querySelector('.sw-update-reload').addEventListener('click', () => {
+      reloadRequested = true;
+      bar.querySelector('.sw-update-reload').disabled = true;
+      worker.postMessage({ type: 'SKIP_WAITING' });
+    });
+    bar.querySelector('.sw-update-close').addEventListener('click', () => bar.remove());
+    document.body.appendChild(bar);
+    log('Update available');
+  }
+
+  function watchInstalling(worker) {
+    worker.addEventListener('statechange', () => {
+      // Only an update if a previous worker controls the page (first install just activates)
+      if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+        showUpdatePrompt(worker);
+      }
+    });
+  }
+
+  async function checkForUpdate() {
+    if (!registration) return;
+    lastCheck = Date.now();
+    try {
+      await registration.update();
+    } catch (error) {
+      log('Update check failed', error);
+    }
+  }
+
+  // Precache version of the active worker (from precache-manifest.js)
+  function getVersion() {
+    const controller = navigator.serviceWorker?.controller;
+    if (!controller) return Promise.resolve(null);
+    return new Promise((resolve) => {
+      const channel = new MessageChannel();
+      channel.port1.onmessage = (event) => resolve(event.data.version);
+      controller.postMessage({ type: 'GET_VERSION' }, [channel.port2]);
+      setTimeout(() => resolve(null), 3000);
+    });
+  }
+
+  async function initialize() {
+    if (!('serviceWorker' in navigator)) return;
+
+    try {
+      registration = await navigator.serviceWorker.register(SW_URL);
+    } catch (error) {
+      log('Registration failed', error);
+      return;
+    }
+
+    if (registration.waiting && navigator.serviceWorker.controller) {
+      showUpdatePrompt(registration.waiting);
+    }
+    if (registration.installing) watchInstalling(registration.installing);
+    registration.addEventListener('updatefound', () => watchInstalling(registration.installing));
+
+    navigator.serviceWorker.addEventListener('controllerchange', () => {
+      if (!reloadRequested) return;
+      reloadRequested = false;
+      window.location.reload();
+    });
+
+    document.addEventListener('visibilitychange', () => {
+      if (document.visibilityState === 'visible' && Date.now() - lastCheck > UPDATE_CHECK_INTERVAL) {
+        checkForUpdate();
+      }
+    });
+    setInterval(checkForUpdate, UPDATE_CHECK_INTERVAL);
+  }
+
+  const style = document.createElement('style');
+  style.textContent = `
+    #${BAR_ID} {
+      position: fixed;
+      left: 50%;
+      bottom: 20px;
+      transform: translateX(-50%);
+      display: flex;
+      align-items: center;
+      gap: 12px;
+      max-width: calc(100% - 40px);
+      padding: 12px 16px;
+      background: rgba(18, 18, 18, 0.95);
+      color: #fff;
+      border: 1px solid #d4af37;
+      border-radius: 8px;
+      box-shadow: 0 4px 15px rgba(0, 0, 0, 0.4);
+      font-size: 14px;
+      z-index: 10002;
+    }
+    #${BAR_ID} .sw-update-reload {
+      background: #d4af37;
+      color: #000;
+      border: none;
+      border-radius: 4px;
+      padding: 6px 14px;
+      font-weight: 600;
+      cursor: pointer;
+    }
+    #${BAR_ID} .sw-update-close {
+      background: none;
+      border: none;
+      color: #BDBDBD;
+      font-size: 20px;
+      cursor: pointer;
+    }
+  `;
+  document.head.appendChild(style);
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initialize);
+  } else {
+    initialize();
+  }
+
+  // Export functions for external use
+  window.ServiceWorkerManager = { checkForUpdate, getVersion };
+})();
@@ -1,224 +1,546 @@
 // sw.js - Service Worker for Top Autocare Garage PWA
 // Self-contained, vanilla JS implementation for caching and offline support
+// The precache list comes from precache-manifest.js (generate-precache-manifest.js): each file is
+// stored under its content revision, so an update only downloads files that actually changed.
+// Everything else goes through the route table (RUNTIME ROUTES) with per-route strategy and limits.
+// A new version waits until the page's "Update available" prompt sends SKIP_WAITING
+// (service-worker-manager.js), then takes over and the page reloads.
 
-const CACHE_NAME = 'top-autocare-v2.0'; // Version for cache busting - update when assets change
+importScripts('/precache-manifest.js');
+
+const CACHE_PREFIX = 'top-autocare';
+const PRECACHE_NAME = `${CACHE_PREFIX}-precache`; // Revisioned build files (never renamed)
 const OFFLINE_PAGE = '/offline.html'; // Fallback page for offline navigation
-const SKIP_WAITING = true; // Automatically activate after installation
-
-// Pre-defined assets to cache (app shell + static files)
-const urlsToCache = [
-  // HTML Pages (core app shell)
-  '/',
-  '/index.html',
-  '/dashboard.html',
-  '/book-appointment.html',
-  '/myvehicles.html',
-  '/services.html',
-  '/profile.html',
-  '/notifications.html',
-  '/signin.html',
-  '/signup.html',
-  '/verify-email.html',
-  // Admin Pages
-  '/admin.html',
-  '/admin-users.html',
-  '/admin-appointments.html',
-  '/admin-appointment-details.html',
-  '/admin-services.html',
-  '/admin-vehicles.html',
-  '/admin-reports.html',
-  '/admin-settings.html',
-  '/admin-profile.html',
-  '/admin-notifications.html',
-  '/admin-faq.html',
-  '/admin-analytics.html',
-  '/admin-backup.html',
-  // Fallback/Offline
-  OFFLINE_PAGE,
-  // Manifest and Icons (PWA essentials)
-  '/manifest.json',
-  '/assets/images/app-icon-192.png',
-  '/assets/images/app-icon-512.png',
-  '/assets/images/logo.png',
-  // Images/Assets
-  '/images/logo.png',
-  '/images/background.png',
-  '/assets/images/favicon.ico',
-  // Scripts (external libraries)
-  '/analytics.js',
-  '/offline-db.js',
-  '/performance-monitor.js',
-  '/error-handler.js',
-  '/service-worker-manager.js',
-  // Note: Dynamic content (user data, APIs) will be network-first
-];
 
-// Install Event - Cache the app shell
+const PRECACHE_MANIFEST = self.__PRECACHE_MANIFEST || { version: 'dev', entries: [] };
+
+// Cache key for an entry: the URL plus its revision
+function precacheKey(entry) {
+  return new URL(`${entry.url}?__rev=${entry.revision}`, self.location.origin).href;
+}
+
+// Request URL (without query) -> precache key. Hosting serves clean URLs, so /dashboard and
+// /dashboard.html are the same file, and / is index.html.
+const precacheKeys = new Map();
+PRECACHE_MANIFEST.entries.forEach((entry) => {
+  const key = precacheKey(entry);
+  precacheKeys.set(entry.url, key);
+  if (entry.url.endsWith('.html')) precacheKeys.set(entry.url.slice(0, -'.html'.length), key);
+  if (entry.url === '/index.html') precacheKeys.set('/', key);
+});
+
+function findPrecacheKey(request) {
+  const url = new URL(request.url);
+  return url.origin === self.location.origin ? precacheKeys.get(url.pathname) : undefined;
+}
+
+// The offline page is precached under its revision key
+function matchOfflinePage() {
+  const key = precacheKeys.get(OFFLINE_PAGE);
+  return key ? caches.match(key, { cacheName: PRECACHE_NAME }) : caches.match(OFFLINE_PAGE);
+}
+
+// Responses that followed a redirect (cleanUrls) can't answer navigations; store a plain copy
+async function cleanResponse(response) {
+  if (!response.redirected) return response;
+  const body = await response.blob();
+  return new Response(body, { status: response.status, statusText: response.statusText, headers: response.headers });
+}
+
+// Install Event - fetch the files whose revision isn't cached yet
 self.addEventListener('install', (event) => {
-  console.log('🛠️ Service Worker: Installing...');
-  
-  // Skip waiting to activate immediately
-  self.skipWaiting();
-  
+  console.log(`🛠️ Service Worker: Installing ${PRECACHE_MANIFEST.version}...`);
+
   event.waitUntil(
-    caches.open(CACHE_NAME)
-      .then((cache) => {
-        console.log('📦 Service Worker: Caching app shell');
-        return cache.addAll(urlsToCache).catch((error) => {
-          console.warn('⚠️ Service Worker: Some assets failed to cache:', error);
-        });
-      })
-      .then(() => {
-        console.log('✅ Service Worker: Install complete');
-      })
+    caches.open(PRECACHE_NAME).then(async (cache) => {
+      const cachedKeys = new Set((await cache.keys()).map((request) => request.url));
+      const missing = PRECACHE_MANIFEST.entries.filter((entry) => !cachedKeys.has(precacheKey(entry)));
+      console.log(`📦 Service Worker: Precaching ${missing.length} of ${PRECACHE_MANIFEST.entries.length} files`);
+
+      const results = await Promise.allSettled(missing.map(async (entry) => {
+        const response = await fetch(entry.url, { cache: 'reload' });
+        if (!response.ok) throw new Error(`${entry.url} returned ${response.status}`);
+        await cache.put(precacheKey(entry), await cleanResponse(response));
+      }));
+      results
+        .filter((result) => result.status === 'rejected')
+        .forEach((result) => console.warn('⚠️ Service Worker: Precache failed:', result.reason));
+      console.log('✅ Service Worker: Install complete');
+    })
   );
 });
 
-// Activate Event - Clean up old caches
+// Activate Event - drop old caches and revisions no longer in the manifest
 self.addEventListener('activate', (event) => {
   console.log('🔄 Service Worker: Activating...');
-  
-  // Claim all clients immediately
-  event.waitUntil(clients.claim());
-  
-  event.waitUntil(
-    caches.keys().then((cacheNames) => {
-      return Promise.all(
-        cacheNames.map((cacheName) => {
-          if (cacheName !== CACHE_NAME) {
-            console.log('🗑️ Service Worker: Deleting old cache:', cacheName);
-            return caches.delete(cacheName);
-          }
-        })
-      );
-    }).then(() => {
-      console.log('✅ Service Worker: Cache cleanup complete');
-    })
-  );
+
+  event.waitUntil((async () => {
+    const keep = [PRECACHE_NAME, ...ROUTES.filter((route) => route.strategy !== 'network-only').map(routeCacheName)];
+    const cacheNames = await caches.keys();
+    await Promise.all(cacheNames
+      .filter((cacheName) => !keep.includes(cacheName))
+      .map((cacheName) => {
+        console.log('🗑️ Service Worker: Deleting old cache:', cacheName);
+        return caches.delete(cacheName);
+      }));
+
+    const currentKeys = new Set(PRECACHE_MANIFEST.entries.map(precacheKey));
+    const precache = await caches.open(PRECACHE_NAME);
+    const staleRequests = (await precache.keys()).filter((request) => !currentKeys.has(request.url));
+    await Promise.all(staleRequests.map((request) => precache.delete(request)));
+
+    // Claim all clients immediately
+    await clients.claim();
+    console.log('✅ Service Worker: Cache cleanup complete');
+  })());
 });
 
-// Fetch Event - Network-first with cache fallback for dynamic content
+// === RUNTIME ROUTES ===
+// First matching route wins; requests that match nothing are left to the browser.
+// strategy: 'cache-first' | 'stale-while-revalidate' | 'network-only'. Cached routes keep at most
+// maxEntries responses for maxAgeSeconds; allowOpaque lets no-CORS cross-origin responses in.
+const DAY = 24 * 60 * 60;
+const FIREBASE_HOSTS = /(^|\.)(firestore\.googleapis\.com|firebaseio\.com|identitytoolkit\.googleapis\.com|securetoken\.googleapis\.com|firebaseinstallations\.googleapis\.com|fcmregistrations\.googleapis\.com|cloudfunctions\.net|google-analytics\.com|googletagmanager\.com)$/;
+
+const ROUTES = [
+  {
+    name: 'firebase',
+    match: (url) => FIREBASE_HOSTS.test(url.hostname),
+    strategy: 'network-only'
+  },
+  {
+    name: 'admin',
+    match: (url) => url.origin === self.location.origin && url.pathname.startsWith('/admin'),
+    strategy: 'network-only'
+  },
+  {
+    // Versioned URLs (firebasejs/10.7.1/...), so a cached copy never goes stale
+    name: 'firebase-sdk',
+    match: (url) => url.hostname === 'www.gstatic.com' && url.pathname.startsWith('/firebasejs/'),
+    strategy: 'cache-first',
+    maxEntries: 30,
+    maxAgeSeconds: 30 * DAY,
+    allowOpaque: true
+  },
+  {
+    name: 'fonts',
+    match: (url) => ['fonts.googleapis.com', 'fonts.gstatic.com', 'cdnjs.cloudflare.com'].includes(url.hostname),
+    strategy: 'stale-while-revalidate',
+    maxEntries: 30,
+    maxAgeSeconds: 365 * DAY,
+    allowOpaque: true
+  },
+  {
+    name: 'images',
+    match: (url, request) => request.destination === 'image',
+    strategy: 'cache-first',
+    maxEntries: 60,
+    maxAgeSeconds: 30 * DAY,
+    allowOpaque: true
+  },
+  {
+    name: 'pages',
+    match: (url, request) => url.origin === self.location.origin && request.mode === 'navigate',
+    strategy: 'stale-while-revalidate',
+    maxEntries: 30,
+    maxAgeSeconds: 7 * DAY
+  },
+  {
+    name: 'static',
+    match: (url, request) => url.origin === self.location.origin && ['script', 'style', 'manifest'].includes(request.destination),
+    strategy: 'stale-while-revalidate',
+    maxEntries: 40,
+    maxAgeSeconds: 7 * DAY
+  }
+];
+
+function routeCacheName(route) {
+  return `${CACHE_PREFIX}-${route.name}`;
+}
+
+function findRoute(request) {
+  const url = new URL(request.url);
+  return ROUTES.find((route) => route.match(url, request));
+}
+
+// When each runtime entry was stored (opaque responses have no readable headers), kept in IndexedDB
+const META_DB = 'top-autocare-sw';
+const META_STORE = 'cacheEntries';
+let metaDbPromise = null;
+
+function openMetaDB() {
+  if (!metaDbPromise) {
+    metaDbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(META_DB, 1);
+      request.onupgradeneeded = () => {
+        const store = request.result.createObjectStore(META_STORE, { keyPath: 'id' });
+        store.createIndex('cacheName', 'cacheName');
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+  return metaDbPromise;
+}
+
+async function metaTransaction(mode, fn) {
+  const db = await openMetaDB();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(META_STORE, mode);
+    const request = fn(tx.objectStore(META_STORE));
+    tx.oncomplete = () => resolve(request?.result);
+    tx.onerror = () => reject(tx.error);
+  });
+}
+
+function metaId(cacheName, url) {
+  return `${cacheName}|${url}`;
+}
+
+async function isExpired(route, url) {
+  if (!route.maxAgeSeconds) return false;
+  const entry = await metaTransaction('readonly', (store) => store.get(metaId(routeCacheName(route), url)));
+  return !entry || Date.now() - entry.cachedAt > route.maxAgeSeconds * 1000;
+}
+
+// Drop entries past maxAgeSeconds, then the oldest beyond maxEntries
+async function expireEntries(route) {
+  const cacheName = routeCacheName(route);
+  const entries = await metaTransaction('readonly', (store) => store.index('cacheName').getAll(cacheName));
+  const now = Date.now();
+  const sorted = entries.sort((a, b) => b.cachedAt - a.cachedAt);
+  const stale = sorted.filter((entry, index) => (route.maxEntries && index >= route.maxEntries)
+    || (route.maxAgeSeconds && now - entry.cachedAt > route.maxAgeSeconds * 1000));
+  if (!stale.length) return;
+
+  const cache = await caches.open(cacheName);
+  await Promise.all(stale.map((entry) => cache.delete(entry.url)));
+  await metaTransaction('readwrite', (store) => stale.forEach((entry) => store.delete(entry.id)));
+}
+
+function isCacheable(route, response) {
+  return response.ok || (route.allowOpaque && response.type === 'opaque');
+}
+
+async function putInCache(route, request, response) {
+  if (!isCacheable(route, response)) return;
+  const cacheName = routeCacheName(route);
+  const cache = await caches.open(cacheName);
+  await cache.put(request, await cleanResponse(response));
+  await metaTransaction('readwrite', (store) => store.put({
+    id: metaId(cacheName, request.url),
+    cacheName,
+    url: request.url,
+    cachedAt: Date.now()
+  }));
+  await expireEntries(route);
+}
+
+async function matchRoute(route, request) {
+  const cached = await caches.match(request, { cacheName: routeCacheName(route) });
+  if (!cached || await isExpired(route, request.url)) return null;
+  return cached;
+}
+
+// Navigations get the offline page; anything else a plain 503
+async function offlineResponse(request) {
+  if (request.mode === 'navigate') {
+    const offlinePage = await matchOfflinePage();
+    if (offlinePage) return offlinePage;
+  }
+  return new Response('You are offline. Please try again later.', {
+    status: 503,
+    statusText: 'Service Unavailable'
+  });
+}
+
+const STRATEGIES = {
+  'network-only': async (route, request) => {
+    try {
+      return await fetch(request);
+    } catch (error) {
+      return offlineResponse(request);
+    }
+  },
+
+  'cache-first': async (route, request, event) => {
+    const cached = await matchRoute(route, request);
+    if (cached) return cached;
+    try {
+      const response = await fetch(request);
+      event.waitUntil(putInCache(route, request, response.clone()));
+      return response;
+    } catch (error) {
+      // An expired copy still beats nothing when offline
+      return (await caches.match(request, { cacheName: routeCacheName(route) })) || offlineResponse(request);
+    }
+  },
+
+  'stale-while-revalidate': async (route, request, event) => {
+    const cached = await matchRoute(route, request);
+    const network = fetch(request).then((response) => {
+      event.waitUntil(putInCache(route, request, response.clone()));
+      return response;
+    });
+    if (cached) {
+      event.waitUntil(network.catch(() => {}));
+      return cached;
+    }
+    try {
+      return await network;
+    } catch (error) {
+      return (await caches.match(request, { cacheName: routeCacheName(route) })) || offlineResponse(request);
+    }
+  }
+};
+
+// Web Share Target (manifest.json share_target): keep what was shared in the offline DB and
+// open the booking form, which pre-fills notes and the attachment from it
+const SHARE_TARGET_PATH = '/share-target';
+const SHARED_BOOKING_KEY = 'sharedBooking';
+
+async function handleShareTarget(request) {
+  try {
+    const formData = await request.formData();
+    const text = ['title', 'text', 'url']
+      .map((field) => String(formData.get(field) || '').trim())
+      .filter((value, index, values) => value && values.indexOf(value) === index)
+      .join('\n');
+    const files = formData.getAll('attachment')
+      .filter((file) => file instanceof File && file.size > 0)
+      .map((file) => ({ name: file.name, type: file.type, blob: file }));
+
+    const db = await openOfflineDB();
+    try {
+      await offlineCacheTransaction(db, 'readwrite', (store) => store.put({
+        key: SHARED_BOOKING_KEY, text, files, savedAt: Date.now()
+      }));
+    } finally {
+      db.close();
+    }
+  } catch (error) {
+    console.warn('⚠️ Service Worker: Could not read shared content', error);
+  }
+  return Response.redirect('/book-appointment.html?shared=1', 303);
+}
+
+// Fetch Event - precached build files first, then the route table
 self.addEventListener('fetch', (event) => {
   const { request } = event;
-  
-  // Ignore non-GET requests and non-same-origin
-  if (request.method !== 'GET' || !request.url.startsWith(self.location.origin)) {
+
+  if (request.method === 'POST' && new URL(request.url).pathname === SHARE_TARGET_PATH) {
+    event.respondWith(handleShareTarget(request));
     return;
   }
-  
-  // Cache-first strategy for cached assets (app shell)
-  if (urlsToCache.some(url => request.url.endsWith(url) || request.url.includes('/images/') || request.url.includes('/assets/'))) {
-    event.respondWith(
-      caches.match(request).then((cachedResponse) => {
-        if (cachedResponse) {
-          console.log('📦 Service Worker: Serving from cache:', request.url);
-          return cachedResponse;
-        }
-        return fetch(request).then((networkResponse) => {
-          // Cache successful responses for future use
-          const responseToCache = networkResponse.clone();
-          caches.open(CACHE_NAME).then((cache) => {
-            cache.put(request, responseToCache);
-          });
-          return networkResponse;
-        }).catch(() => {
-          console.log('❌ Service Worker: Network failed, returning offline page');
-          return caches.match(OFFLINE_PAGE);
-        });
-      })
-    );
+
+  // Only GETs are cacheable
+  if (request.method !== 'GET') {
     return;
   }
-  
-  // Network-first for API calls and dynamic content (e.g., /api, user data)
-  if (request.url.includes('/api/') || request.destination === 'fetch') {
+
+  // Precached build files: cache-first from their current revision
+  const key = findPrecacheKey(request);
+  if (key) {
     event.respondWith(
-      fetch(request).catch((error) => {
-        console.warn('🌐 Service Worker: API request failed:', error);
-        // Return a custom offline response for API failures
-        return new Response(JSON.stringify({ error: 'Offline - Please check your connection' }), {
-          headers: { 'Content-Type': 'application/json' }
-        });
-      })
+      caches.open(PRECACHE_NAME)
+        .then((cache) => cache.match(key))
+        .then((cachedResponse) => cachedResponse || fetch(request))
+        .catch(() => offlineResponse(request))
     );
     return;
   }
-  
-  // Default: Network-first with cache fallback for documents (pages)
-  event.respondWith(
-    fetch(request).then((networkResponse) => {
-      // Cache the response if successful
-      const responseToCache = networkResponse.clone();
-      caches.open(CACHE_NAME).then((cache) => {
-        cache.put(request, responseToCache);
-      });
-      return networkResponse;
-    }).catch(() => {
-      console.log('🌐 Service Worker: Fetch failed, trying cache');
-      return caches.match(request).then((cachedResponse) => {
-        if (cachedResponse) {
-          return cachedResponse;
-        }
-        // Final fallback for navigation requests
-        if (request.destination === 'document') {
-          console.log('📄 Service Worker: Serving offline fallback');
-          return caches.match(OFFLINE_PAGE);
-        }
-        // For other resources, return a generic error
-        return new Response('You are offline. Please try again later.', {
-          status: 503,
-          statusText: 'Service Unavailable'
-        });
-      });
-    })
-  );
+
+  const route = findRoute(request);
+  if (!route) return;
+  event.respondWith(STRATEGIES[route.strategy](route, request, event));
 });
 
-// Background Sync (Optional - for queued actions like form submissions)
+// Background Sync - the offline write queue (offline-db.js) replays through the page's
+// Firebase session, so wake any open page and let it sync
 self.addEventListener('sync', (event) => {
-  if (event.tag === 'sync-appointment-booking') {
-    console.log('🔄 Service Worker: Syncing appointment booking...');
-    // Example: Sync queued data from IndexedDB when online
-    // Implement your sync logic here
+  if (event.tag === 'sync-queue') {
+    console.log('🔄 Service Worker: Syncing offline queue...');
+    event.waitUntil(
+      clients.matchAll({ type: 'window', includeUncontrolled: true }).then((windowClients) => {
+        windowClients.forEach((client) => client.postMessage({ type: 'SYNC_QUEUE' }));
+      })
+    );
   }
 });
 
-// Push Notifications (Optional - Add if needed later)
+// Periodic Background Sync - appointment status digest. pwa-install.js stores a digest token
+// in offline-db.js's cache store; compare the digest with the last one seen, notify about status
+// changes and patch the cached appointments so the next offline launch shows the new status.
+const OFFLINE_DB = 'TopAutocareOfflineDB';
+const OFFLINE_DB_VERSION = 2; // Keep in step with public/offline-db.js
+const OFFLINE_CACHE_STORE = 'cache';
+const DIGEST_AUTH_KEY = 'statusDigestAuth';
+const DIGEST_STATE_KEY = 'statusDigest';
+const STATUS_LABELS = {
+  pending: 'is pending confirmation',
+  approved: 'has been confirmed',
+  in_progress: 'is now in progress',
+  completed: 'is complete',
+  cancelled: 'has been cancelled',
+  rejected: 'could not be accepted',
+  no_show: 'was marked as missed'
+};
+
+function openOfflineDB() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(OFFLINE_DB, OFFLINE_DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains('queue')) db.createObjectStore('queue', { keyPath: 'id', autoIncrement: true });
+      if (!db.objectStoreNames.contains(OFFLINE_CACHE_STORE)) db.createObjectStore(OFFLINE_CACHE_STORE, { keyPath: 'key' });
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+async function offlineCacheTransaction(db, mode, fn) {
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(OFFLINE_CACHE_STORE, mode);
+    const request = fn(tx.objectStore(OFFLINE_CACHE_STORE));
+    tx.oncomplete = () => resolve(request?.result);
+    tx.onerror = () => reject(tx.error);
+  });
+}
+
+async function checkStatusDigest() {
+  const db = await openOfflineDB();
+  try {
+    const auth = await offlineCacheTransaction(db, 'readonly', (store) => store.get(DIGEST_AUTH_KEY));
+    if (!auth?.token || !auth.endpoint) return;
+
+    const response = await fetch(auth.endpoint, {
+      headers: { Authorization: `Bearer ${auth.token}` },
+      cache: 'no-store'
+    });
+    if (!response.ok) {
+      console.warn('⚠️ Service Worker: Status digest unavailable', response.status);
+      return;
+    }
+    const digest = await response.json();
+
+    const previous = await offlineCacheTransaction(db, 'readonly', (store) => store.get(DIGEST_STATE_KEY));
+    if (previous?.userId === auth.userId && previous.version === digest.version) return;
+
+    const statuses = Object.fromEntries(digest.appointments.map((appointment) => [appointment.id, appointment.status]));
+    await offlineCacheTransaction(db, 'readwrite', (store) => store.put({
+      key: DIGEST_STATE_KEY, userId: auth.userId, version: digest.version, statuses, savedAt: Date.now()
+    }));
+
+    // First digest for this user is the baseline - nothing to compare against yet
+    if (!previous || previous.userId !== auth.userId) return;
+    const changes = digest.appointments.filter((appointment) => previous.statuses[appointment.id]
+      && previous.statuses[appointment.id] !== appointment.status);
+    if (!changes.length) return;
+
+    const cacheKey = `appointments:${auth.userId}`;
+    const cached = await offlineCacheTransaction(db, 'readonly', (store) => store.get(cacheKey));
+    if (cached?.items) {
+      cached.items = cached.items.map((item) => (statuses[item.id] ? { ...item, status: statuses[item.id] } : item));
+      await offlineCacheTransaction(db, 'readwrite', (store) => store.put(cached));
+    }
+
+    if (self.Notification && Notification.permission === 'granted') {
+      await Promise.all(changes.map((appointment) => self.registration.showNotification('Appointment Update', {
+        body: `Your ${appointment.service || 'appointment'}${appointment.reference ? ` (${appointment.reference})` : ''} ${STATUS_LABELS[appointment.status] || `is now ${appointment.status}`}.`,
+        icon: '/assets/images/app-icon-192.png',
+        badge: '/assets/images/app-icon-192.png',
+        tag: `appointment-status-${appointment.id}`,
+        renotify: true,
+        data: {
+          dateOfArrival: Date.now(),
+          type: 'appointment',
+          url: `/appointment-details.html?id=${encodeURIComponent(appointment.id)}`
+        }
+      })));
+    }
+
+    const windowClients = await clients.matchAll({ type: 'window', includeUncontrolled: true });
+    windowClients.forEach((client) => client.postMessage({ type: 'STATUS_DIGEST_CHANGED', changes }));
+  } finally {
+    db.close();
+  }
+}
+
+self.addEventListener('periodicsync', (event) => {
+  if (event.tag === 'status-digest') {
+    console.log('🔄 Service Worker: Checking appointment status...');
+    event.waitUntil(checkStatusDigest().catch((error) => console.warn('⚠️ Service Worker: Status check failed', error)));
+  }
+});
+
+// Push Notifications - data-only FCM messages sent by functions/push.js
+// ({ data: { title, body, type, url, tag } }); plain-text pushes still show as a generic update
 self.addEventListener('push', (event) => {
-  const title = 'Top Autocare Update';
+  let message = {};
+  if (event.data) {
+    try {
+      const payload = event.data.json();
+      message = payload.data || payload.notification || payload;
+    } catch (error) {
+      message = { body: event.data.text() };
+    }
+  }
+
+  const title = message.title || 'Top Autocare Update';
   const options = {
-    body: event.data ? event.data.text() : 'You have a new notification!',
+    body: message.body || 'You have a new notification!',
     icon: '/assets/images/app-icon-192.png',
     badge: '/assets/images/app-icon-192.png',
     vibrate: [100, 50, 100],
+    tag: message.tag || undefined,
+    renotify: Boolean(message.tag),
     data: {
       dateOfArrival: Date.now(),
-      primaryKey: 1
+      type: message.type || 'system',
+      url: message.url || '/notifications.html'
     }
   };
-  
+
   event.waitUntil(
     self.registration.showNotification(title, options)
   );
 });
 
-// Notification Click Handler (Optional)
+// Notification Click Handler - focus an open tab on the target page, else reuse or open one
 self.addEventListener('notificationclick', (event) => {
   event.notification.close();
-  
-  if (event.notification.data.primaryKey) {
-    // Open specific page or handle action
-    event.waitUntil(
-      clients.openWindow('/notifications.html')
-    );
-  }
+
+  const targetUrl = new URL(event.notification.data?.url || '/notifications.html', self.location.origin);
+  // Only ever navigate within the app
+  const url = targetUrl.origin === self.location.origin ? targetUrl.href : `${self.location.origin}/notifications.html`;
+
+  event.waitUntil(
+    clients.matchAll({ type: 'window', includeUncontrolled: true }).then((windowClients) => {
+      const exact = windowClients.find((client) => client.url === url);
+      if (exact) return exact.focus();
+
+      const sameOrigin = windowClients.find((client) => client.url.startsWith(self.location.origin) && 'navigate' in client);
+      if (sameOrigin) return sameOrigin.navigate(url).then((client) => (client || sameOrigin).focus());
+
+      return clients.openWindow(url);
+    })
+  );
 });
 
-// Debug: Listen for messages from page
+// Messages from the page: SKIP_WAITING comes from the "Update available" prompt, GET_VERSION
+// lets service-worker-manager.js show which precache version is running, CHECK_STATUS_DIGEST is
+// pwa-install.js's fallback where Periodic Background Sync isn't available
 self.addEventListener('message', (event) => {
   if (event.data && event.data.type === 'SKIP_WAITING') {
     self.skipWaiting();
   }
+  if (event.data && event.data.type === 'GET_VERSION' && event.ports[0]) {
+    event.ports[0].postMessage({ version: PRECACHE_MANIFEST.version });
+  }
+  if (event.data && event.data.type === 'CHECK_STATUS_DIGEST') {
+    event.waitUntil(checkStatusDigest().catch((error) => console.warn('⚠️ Service Worker: Status check failed', error)));
+  }
 });
 
 console.log('🚀 Service Worker: Loaded and ready!');